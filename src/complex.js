@@ -0,0 +1,164 @@
+/**
+ * @class Complex
+ * @classdesc Immutable complex number re + i im that can be used as the value of a Matrix element
+ * @summary The Complex class should not be instantiated with the new keyword. Instead use Complex.of.
+ * @hidecontructor
+ * @see Complex.of
+ * @example
+ *
+ * const z = Matrix.Complex.of(1, 2)
+ * z.multiply(z).toString() // '-3 + 4i'
+ *
+ */
+let Complex = function (re, im) {
+  this.re = re
+  this.im = im
+}
+
+/**
+ * @memberOf Complex
+ * @static
+ * @function Complex.of
+ * @desc Creates a complex number
+ * @param {Number} re - Real part
+ * @param {Number} [im=0] - Imaginary part
+ * @returns {Complex}
+ */
+Complex.of = function (re, im = 0) {
+  return new Complex(re, im)
+}
+
+/**
+ * @memberOf Complex
+ * @static
+ * @function Complex.from
+ * @desc Converts a number to a complex number, complex numbers are returned as is
+ * @param {Number|Complex} x
+ * @returns {Complex}
+ */
+Complex.from = function (x) {
+  return x instanceof Complex ? x : new Complex(x, 0)
+}
+
+/**
+ * @memberOf Complex
+ * @property {String} type - Returns the string 'Complex' for all Complex objects
+ * @type {String}
+ */
+Complex.prototype.type = 'Complex'
+
+/**
+ * @memberOf Complex
+ * @function Complex#add
+ * @param {Number|Complex} z
+ * @returns {Complex}
+ */
+Complex.prototype.add = function (z) {
+  const w = Complex.from(z)
+  return new Complex(this.re + w.re, this.im + w.im)
+}
+
+/**
+ * @memberOf Complex
+ * @function Complex#subtract
+ * @param {Number|Complex} z
+ * @returns {Complex}
+ */
+Complex.prototype.subtract = function (z) {
+  const w = Complex.from(z)
+  return new Complex(this.re - w.re, this.im - w.im)
+}
+
+/**
+ * @memberOf Complex
+ * @function Complex#multiply
+ * @param {Number|Complex} z
+ * @returns {Complex}
+ */
+Complex.prototype.multiply = function (z) {
+  const w = Complex.from(z)
+  return new Complex(this.re * w.re - this.im * w.im, this.re * w.im + this.im * w.re)
+}
+
+/**
+ * @memberOf Complex
+ * @function Complex#divide
+ * @desc Divides by a number or a complex number using Smith's algorithm to avoid overflow
+ * @param {Number|Complex} z
+ * @returns {Complex}
+ */
+Complex.prototype.divide = function (z) {
+  const w = Complex.from(z)
+  if (Math.abs(w.re) >= Math.abs(w.im)) {
+    const r = w.im / w.re
+    const d = w.re + r * w.im
+    return new Complex((this.re + this.im * r) / d, (this.im - this.re * r) / d)
+  }
+  const r = w.re / w.im
+  const d = w.im + r * w.re
+  return new Complex((this.re * r + this.im) / d, (this.im * r - this.re) / d)
+}
+
+/**
+ * @memberOf Complex
+ * @function Complex#negate
+ * @returns {Complex}
+ */
+Complex.prototype.negate = function () {
+  return new Complex(-this.re, -this.im)
+}
+
+/**
+ * @memberOf Complex
+ * @function Complex#conjugate
+ * @returns {Complex}
+ */
+Complex.prototype.conjugate = function () {
+  return new Complex(this.re, -this.im)
+}
+
+/**
+ * @memberOf Complex
+ * @function Complex#abs
+ * @desc Returns the modulus |z|
+ * @returns {Number}
+ */
+Complex.prototype.abs = function () {
+  return Math.hypot(this.re, this.im)
+}
+
+/**
+ * @memberOf Complex
+ * @function Complex#isZero
+ * @returns {Boolean}
+ */
+Complex.prototype.isZero = function () {
+  return this.re === 0 && this.im === 0
+}
+
+/**
+ * @memberOf Complex
+ * @function Complex#equals
+ * @param {Number|Complex} z
+ * @returns {Boolean}
+ */
+Complex.prototype.equals = function (z) {
+  const w = Complex.from(z)
+  return this.re === w.re && this.im === w.im
+}
+
+/**
+ * @memberOf Complex
+ * @function Complex#toString
+ * @returns {String}
+ * @example
+ *
+ * Complex.of(1, -2).toString() // '1 - 2i'
+ */
+Complex.prototype.toString = function () {
+  if (this.im === 0) return String(this.re)
+  if (this.re === 0) return this.im + 'i'
+  return this.re + (this.im < 0 ? ' - ' : ' + ') + Math.abs(this.im) + 'i'
+}
+
+export default Complex
@@ -0,0 +1,204 @@
+import Matrix from './matrix'
+import packable from './util/packable'
+import scalar from './util/scalar'
+
+/**
+ * @class LazyMatrix
+ * @classdesc Deferred Matrix that records elementwise operations instead of calculating them. Every recorded operation composes
+ * the function returning the value at (i, j), so a chain of operations is fused into a single pass over the values when the
+ * LazyMatrix is evaluated. Methods that need all values, like dot and the decompositions, evaluate the LazyMatrix first.
+ * @summary The LazyMatrix class should not be instantiated with the new keyword. Use Matrix#lazy or LazyMatrix.of instead.
+ * @hidecontructor
+ * @see Matrix#lazy
+ * @example
+ *
+ * const C = A.lazy().map(Math.exp).add(B).multiply(2).transpose().evaluate()
+ * // one array is allocated for C, none for the intermediate results
+ *
+ */
+let LazyMatrix = function (rows, cols, element, dtype, policy) {
+  this.rows = rows
+  this.cols = cols
+  this.element = element
+  this.dtype = dtype
+  this.policy = policy
+}
+
+/**
+ * @memberOf LazyMatrix
+ * @static
+ * @function LazyMatrix.of
+ * @desc Creates a LazyMatrix reading the values of a Matrix, which should not be changed before the LazyMatrix is evaluated.
+ * The LazyMatrix keeps the dtype and the numeric policy of the Matrix.
+ * @param {LazyMatrix|Matrix|Array} M
+ * @returns {LazyMatrix}
+ */
+LazyMatrix.of = function (M) {
+  if (M instanceof LazyMatrix) return M
+  const A = Matrix.of(M)
+  const a = A.__value
+  return new LazyMatrix(A.getRows(), A.getCols(), (i, j) => a[i][j], A.dtype, A.policy)
+}
+
+/**
+ * @memberOf LazyMatrix
+ * @property {String} type - Returns the string 'LazyMatrix' for all LazyMatrix objects
+ * @type {String}
+ */
+LazyMatrix.prototype.type = 'LazyMatrix'
+
+/**
+ * @memberOf LazyMatrix
+ * @function LazyMatrix#getRows
+ * @returns {Number}
+ */
+LazyMatrix.prototype.getRows = function () {
+  return this.rows
+}
+
+/**
+ * @memberOf LazyMatrix
+ * @function LazyMatrix#getCols
+ * @returns {Number}
+ */
+LazyMatrix.prototype.getCols = function () {
+  return this.cols
+}
+
+/**
+ * @memberOf LazyMatrix
+ * @function LazyMatrix#getShape
+ * @returns {Array} [rows, cols]
+ */
+LazyMatrix.prototype.getShape = function () {
+  return [this.rows, this.cols]
+}
+
+/**
+ * @memberOf LazyMatrix
+ * @function LazyMatrix#map
+ * @desc Records a function applied to every value. Unlike Matrix#map, which maps over the rows, the function receives a single value.
+ * @param {Function} f - Called with the value, its row index and its column index
+ * @returns {LazyMatrix}
+ */
+LazyMatrix.prototype.map = function (f) {
+  const element = this.element
+  return new LazyMatrix(this.rows, this.cols, (i, j) => f(element(i, j), i, j), this.dtype, this.policy)
+}
+
+/**
+ * @memberOf LazyMatrix
+ * @function LazyMatrix#fill
+ * @desc Records a function replacing every value, like Matrix#fill
+ * @param {Function} f - Called with the value
+ * @returns {LazyMatrix}
+ */
+LazyMatrix.prototype.fill = function (f) {
+  return this.map(x => f(x))
+}
+
+/**
+ * @memberOf LazyMatrix
+ * @function LazyMatrix#transpose
+ * @desc Records the transpose, which only swaps the indices
+ * @returns {LazyMatrix}
+ */
+LazyMatrix.prototype.transpose = function () {
+  const element = this.element
+  return new LazyMatrix(this.cols, this.rows, (i, j) => element(j, i), this.dtype, this.policy)
+}
+
+/**
+ * @memberOf LazyMatrix
+ * @function LazyMatrix#elementwise
+ * @desc Records an elementwise binary function with a scalar or, with broadcasting like the eager operations, with a Matrix or LazyMatrix
+ * @param {*} M - Scalar, Matrix, SparseMatrix or LazyMatrix
+ * @param {Function} f - Binary function applied to the values
+ * @param {String} operation - Name of the operation used in the error message
+ * @returns {LazyMatrix}
+ */
+LazyMatrix.prototype.elementwise = function (M, f, operation) {
+  const element = this.element
+  if (!(M instanceof LazyMatrix || M instanceof Matrix || M instanceof Matrix.SparseMatrix)) {
+    return new LazyMatrix(this.rows, this.cols, (i, j) => f(element(i, j), M), this.dtype, this.policy)
+  }
+  const B = M instanceof Matrix.SparseMatrix ? LazyMatrix.of(M.toMatrix()) : LazyMatrix.of(M)
+  const [m, n, p, q] = [this.rows, this.cols, B.rows, B.cols]
+  const rows = m === p || p === 1 ? m : (m === 1 ? p : -1)
+  const cols = n === q || q === 1 ? n : (n === 1 ? q : -1)
+  if (rows < 0 || cols < 0) {
+    throw Error('Matrices do not match, cannot ' + operation + ' a ' + m + 'x' + n + ' and a ' + p + 'x' + q + ' Matrix')
+  }
+  const other = B.element
+  return new LazyMatrix(rows, cols, (i, j) => f(
+    element(m === 1 ? 0 : i, n === 1 ? 0 : j),
+    other(p === 1 ? 0 : i, q === 1 ? 0 : j)
+  ), this.dtype, this.policy)
+}
+
+/**
+ * @memberOf LazyMatrix
+ * @function LazyMatrix#add
+ * @desc Records the elementwise addition of a scalar or a Matrix
+ * @param {*} M - Scalar, Matrix or LazyMatrix
+ * @returns {LazyMatrix}
+ */
+LazyMatrix.prototype.add = function (M) {
+  return this.elementwise(M, scalar.add, 'add')
+}
+
+/**
+ * @memberOf LazyMatrix
+ * @function LazyMatrix#subtract
+ * @desc Records the elementwise subtraction of a scalar or a Matrix
+ * @param {*} M - Scalar, Matrix or LazyMatrix
+ * @returns {LazyMatrix}
+ */
+LazyMatrix.prototype.subtract = function (M) {
+  return this.elementwise(M, scalar.subtract, 'subtract')
+}
+
+/**
+ * @memberOf LazyMatrix
+ * @function LazyMatrix#multiply
+ * @desc Records the elementwise multiplication with a scalar or a Matrix
+ * @param {*} M - Scalar, Matrix or LazyMatrix
+ * @returns {LazyMatrix}
+ */
+LazyMatrix.prototype.multiply = function (M) {
+  return this.elementwise(M, scalar.multiply, 'multiply')
+}
+
+/**
+ * @memberOf LazyMatrix
+ * @function LazyMatrix#evaluate
+ * @desc Calculates all recorded operations in a single pass and returns the resulting Matrix. Typed storage is kept when the results fit in it.
+ * The result has the numeric policy of the Matrix the LazyMatrix was created from. Like the eager elementwise operations the values are not rounded,
+ * the policy rounds the results of dot, inverse, rref and determinant called on the LazyMatrix or the result.
+ * @returns {Matrix}
+ * @example
+ *
+ * Matrix.of([[1, 2], [3, 4]]).lazy().multiply(10).add(1).transpose().evaluate() // [[11, 31], [21, 41]]
+ *
+ */
+LazyMatrix.prototype.evaluate = function () {
+  const element = this.element
+  const result = Array.from(Array(this.rows), (x, i) => Array.from(Array(this.cols), (y, j) => element(i, j)))
+  return Matrix.of(result, packable(result, this.dtype) ? { dtype: this.dtype } : {}).setPolicy(this.policy)
+}
+
+/**
+ * @memberOf LazyMatrix
+ * @function LazyMatrix#dot
+ * @desc dot, inverse, determinant, solve, lu, qr, cholesky, svd, eig, sum, toArray and toString need all values,
+ * they evaluate the LazyMatrix and return the result of the method of the evaluated Matrix
+ */
+const evaluating = ['dot', 'inverse', 'determinant', 'solve', 'lu', 'qr', 'cholesky', 'svd', 'eig', 'sum', 'toArray', 'toString']
+evaluating.forEach(name => {
+  LazyMatrix.prototype[name] = function (...args) {
+    const M = this.evaluate()
+    return M[name].apply(M, args)
+  }
+})
+
+export default LazyMatrix
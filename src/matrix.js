@@ -1,4 +1,4 @@
-import { curry, map, fold, max, min, reduce, equals, not, flatMap, identity } from 'fun.js'
+import { curry, map, fold, equals, not, flatMap, identity } from 'fun.js'
 import concat from './util/concat'
 import empty from './util/empty'
 import dot from './util/dot'
@@ -7,6 +7,34 @@ import transpose from './util/transpose'
 import generate from './util/generate'
 
 import solve from './util/solve'
+import qr from './util/qr'
+import jacobi from './util/jacobi'
+import hqr from './util/hqr'
+import svd from './util/svd'
+import pack from './util/pack'
+import allocate from './util/allocate'
+import packable from './util/packable'
+import rounding from './util/rounding'
+import index from './util/index'
+import range from './util/range'
+import broadcast from './util/broadcast'
+import statistics from './util/statistics'
+import tolerance from './util/tolerance'
+import negligible from './util/negligible'
+import pade from './util/pade'
+import gaussLegendre from './util/gaussLegendre'
+import csv from './util/csv'
+import matrixMarket from './util/matrixMarket'
+import npy from './util/npy'
+import render from './util/render'
+import parallel from './util/parallel'
+import iterative from './util/iterative'
+import SparseMatrix from './sparse'
+import Complex from './complex'
+import Rational from './rational'
+import Vector from './vector'
+import LazyMatrix from './lazy'
+import scalar from './util/scalar'
 
 /**
  * @class Matrix
@@ -27,20 +55,55 @@ let Matrix = function (val) {
  * @memberOf Matrix
  * @static
  * @function Matrix.of
- * @desc Creates a Matrix object and flattens the Matrix
- * @param {Array|Function} val - An array of arrays
+ * @desc Creates a Matrix object and flattens the Matrix.
+ * With the dtype option the values are stored in a single Float64Array or Float32Array with row-major strides instead of nested arrays.
+ * The rows of a typed Matrix are views on that buffer, so all methods keep working and toArray still returns nested arrays.
+ * The dtype 'rational' converts all values to exact fractions (see Rational.from), so that rref, lu, inverse, rank and determinant are calculated without rounding errors.
+ * Passing a Matrix with a different dtype converts it, passing a SparseMatrix returns its dense Matrix and a Vector returns a one column or one row Matrix.
+ * The policy option sets the numeric policy of the new Matrix, see Matrix#setPolicy.
+ * @param {Array|Function|Matrix|SparseMatrix|Vector} val - An array of arrays
+ * @param {Object} [options]
+ * @param {String} [options.dtype='array'] - Storage of the values: 'array', 'float64', 'float32' or 'rational'
+ * @param {Object} [options.policy] - Numeric policy { rounding, digits }
  * @returns {Matrix}
  * @example
  *
  * const m =  Matrix.of([[1,2],[2,3],[4,5]])
+ * const t =  Matrix.of([[1,2],[2,3],[4,5]], { dtype: 'float64' })
+ * const r =  Matrix.of([[1,2],[2,3],[4,5]], { dtype: 'rational' })
+ * const p =  Matrix.of([[1,2],[2,3],[4,5]], { policy: { rounding: 'decimals', digits: 2 } })
  *
  */
-Matrix.of = function (val) {
-  if (val instanceof Matrix) return val
+Matrix.of = function (val, options = {}) {
+  if (options.policy !== undefined) {
+    const M = val instanceof Matrix
+      ? Matrix.of(val.toArray(), { dtype: options.dtype || val.dtype })
+      : Matrix.of(val, { dtype: options.dtype })
+    return M.setPolicy(options.policy)
+  }
+  if (val instanceof SparseMatrix || val instanceof Vector) {
+    return Matrix.of(val.toMatrix().toArray(), options)
+  }
+  if (val instanceof LazyMatrix) {
+    return Matrix.of(val.evaluate(), options)
+  }
+  if (val instanceof Matrix) {
+    return options.dtype === undefined || options.dtype === val.dtype ? val : Matrix.of(val.toArray(), options)
+  }
   if (this instanceof Matrix) {
     this.__value = val
     return this
   }
+  if (options.dtype === 'rational') {
+    const M = new Matrix(val.map(row => Array.from(row, x => Rational.from(x))))
+    M.dtype = options.dtype
+    return M
+  }
+  if (options.dtype !== undefined && options.dtype !== 'array') {
+    const M = new Matrix(pack(val, options.dtype))
+    M.dtype = options.dtype
+    return M
+  }
   return new Matrix(val)
 }
 
@@ -57,34 +120,109 @@ Matrix.prototype.type = 'Matrix'
 
 /**
  * @memberOf Matrix
- * @property {Number} precision - Floating point precision is set to 4 by default
- * @type {Number}
+ * @property {Object} policy - Numeric policy { rounding, digits } deciding how the results of dot, inverse, rref and determinant are rounded.
+ * The rounding is either 'none' (default, full precision), 'decimals' or 'significant'. Calculations always use full precision, only the results are rounded.
+ * @type {Object}
  * @example
  *
  * const m =  Matrix.of([[1,2],[2,3],[4,5]])
- * m.precision === 4
+ * m.policy.rounding === 'none'
+ */
+Matrix.prototype.policy = { rounding: 'none' }
+
+/**
+ * @memberOf Matrix
+ * @property {String} dtype - Storage of the values, 'array' for nested arrays (default), 'float64' or 'float32' for typed storage, 'rational' for exact fractions
+ * @type {String}
+ * @example
+ *
+ * const m =  Matrix.of([[1,2],[2,3],[4,5]], { dtype: 'float32' })
+ * m.dtype === 'float32'
+ */
+Matrix.prototype.dtype = 'array'
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#setPolicy
+ * @desc Sets the numeric policy of the Matrix, which rounds the results of dot, inverse, rref and determinant.
+ * Throws an error for an unknown rounding or an invalid number of digits.
+ * @param {Object} policy
+ * @param {String} [policy.rounding='none'] - Either 'none' for full precision, 'decimals' or 'significant'
+ * @param {Number} [policy.digits] - Number of decimals or significant digits to round to
+ * @returns {Matrix} The Matrix itself
+ * @example
+ *
+ * const m =  Matrix.of([[1.23456, 2], [2, 3]])
+ * m.setPolicy({ rounding: 'decimals', digits: 2 })
+ * m.dot(m) // [[5.52, 8.47], [8.47, 13]]
  */
-Matrix.prototype.precision = 4
+Matrix.prototype.setPolicy = function (policy) {
+  rounding(policy)
+  this.policy = Object.assign({ rounding: 'none' }, policy)
+  return this
+}
 
 /**
  * @memberOf Matrix
  * @function Matrix#setPrecision
- * @desc The precision is used in floating point calculations for the dot product
- * @param {Number} [precision=4] - Set the number of decimals for rounding
+ * @desc Shorthand for a numeric policy rounding the results to a number of significant digits
+ * @param {Number} precision - Number of significant digits
+ * @returns {Matrix} The Matrix itself
+ * @see Matrix#setPolicy
  * @example
  *
  * const m =  Matrix.of([[1,2],[2,3],[4,5]])
  * m.setPrecision(10)
- * m.precision === 10
+ * m.policy // { rounding: 'significant', digits: 10 }
  */
 Matrix.prototype.setPrecision = function (precision) {
-  this.precision = precision
+  return this.setPolicy({ rounding: 'significant', digits: precision })
+}
+
+/**
+ * @memberOf Matrix
+ * @property {Number} precision - Number of digits of the numeric policy, undefined when the policy keeps full precision.
+ * Setting the precision sets a policy rounding to significant digits, like Matrix#setPrecision.
+ * Before the numeric policy the precision was a number of decimals that rounded every product of the dot product, 4 by default.
+ * @deprecated Use the policy property and Matrix#setPolicy instead
+ * @type {Number}
+ * @example
+ *
+ * const m =  Matrix.of([[1,2],[2,3],[4,5]])
+ * m.precision = 10
+ * m.policy // { rounding: 'significant', digits: 10 }
+ */
+Object.defineProperty(Matrix.prototype, 'precision', {
+  get: function () {
+    return this.policy.rounding === 'none' ? undefined : this.policy.digits
+  },
+  set: function (precision) {
+    this.setPrecision(precision)
+  }
+})
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#applyPolicy
+ * @desc Returns a Matrix with the values rounded according to the numeric policy, or the Matrix itself when the policy keeps full precision
+ * @returns {Matrix}
+ * @example
+ *
+ * Matrix.of([[1.2345, 2]], { policy: { rounding: 'significant', digits: 2 } }).applyPolicy() // [[1.2, 2]]
+ */
+Matrix.prototype.applyPolicy = function () {
+  const f = rounding(this.policy)
+  return f === identity ? this : this.map(map(f)).setPolicy(this.policy)
 }
 
 /**
  * @memberOf Matrix
  * @function Matrix#isSymmetric
- * @desc Boolean indicating whether the Matrix is symmetric by testing for equality of the transposed Matrix.
+ * @desc Boolean indicating whether the Matrix is symmetric by testing whether the transposed Matrix is close to the Matrix.
+ * The default tolerance is relative to the largest value of the Matrix, so small values can differ a lot from their mirrored value.
+ * The decompositions that need a symmetric Matrix (eig, cholesky and ldl) use the exact test isSymmetric({ rtol: 0 }) and only accept real values,
+ * because a complex symmetric Matrix is not Hermitian.
+ * @param {Object} [options] - The tolerance { atol, rtol }, see Matrix#closeTo
  * @returns {Boolean}
  * @example
  *
@@ -92,10 +230,8 @@ Matrix.prototype.setPrecision = function (precision) {
  * true === A.isSymmetric()
  *
  */
-Matrix.prototype.isSymmetric = function () {
-  const a = this.__value
-  const b = Matrix.transpose(this).__value
-  return equals(a, b)
+Matrix.prototype.isSymmetric = function (options) {
+  return this.isSquare() && this.closeTo(Matrix.transpose(this), options)
 }
 
 /**
@@ -116,18 +252,162 @@ Matrix.prototype.isSquare = function () {
 /**
  * @memberOf Matrix
  * @function Matrix#isOrthogonal
- * @desc Boolean indicating whether the Matrix is orthogonal by testing for equality between Identity Matrix and the dot product of the Matrix and its transpose.
+ * @desc Boolean indicating whether the Matrix is orthogonal by testing whether the dot product of the Matrix and its transpose is close to the Identity Matrix.
+ * The default absolute tolerance is 5e-5, so the product only needs to match the Identity Matrix to 4 decimals, like the products rounded to 4 decimals did before the numeric policy.
+ * @param {Object} [options] - The tolerance { atol = 5e-5, rtol }, see Matrix#closeTo
  * @returns {Boolean}
  * @example
  *
  * const result = [[-0.3092, -0.9510], [-0.9510, 0.3092]]
  * const A = Matrix.fromArray(result)
  * true  === A.isOrthogonal()
+ * false === A.isOrthogonal({ atol: 0 })
+ */
+Matrix.prototype.isOrthogonal = function (options) {
+  return this.isSquare() && this.dot(this.transpose()).closeTo(this.identity(), Object.assign({ atol: 5e-5 }, options))
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#isHermitian
+ * @desc Boolean indicating whether the Matrix is close to its conjugate transpose. For a real Matrix this is the same as isSymmetric.
+ * @param {Object} [options] - The tolerance { atol, rtol }, see Matrix#closeTo
+ * @returns {Boolean}
+ * @example
+ *
+ * const A = Matrix.of([[2, Complex.of(1, 1)], [Complex.of(1, -1), 3]])
+ * true === A.isHermitian()
+ *
+ */
+Matrix.prototype.isHermitian = function (options) {
+  return this.isSquare() && this.closeTo(this.conjugateTranspose(), options)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#isUnitary
+ * @desc Boolean indicating whether the Matrix is unitary by testing whether the dot product of the Matrix and its conjugate transpose is close to the Identity Matrix.
+ * For a real Matrix this is the same as isOrthogonal, including the default absolute tolerance of 5e-5.
+ * @param {Object} [options] - The tolerance { atol = 5e-5, rtol }, see Matrix#closeTo
+ * @returns {Boolean}
+ * @example
+ *
+ * const A = Matrix.of([[0, Complex.of(0, 1)], [Complex.of(0, 1), 0]])
+ * true === A.isUnitary()
+ *
+ */
+Matrix.prototype.isUnitary = function (options) {
+  return this.isSquare() && this.dot(this.conjugateTranspose()).closeTo(this.identity(), Object.assign({ atol: 5e-5 }, options))
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#isDiagonal
+ * @desc Boolean indicating whether all values outside the diagonal are close to zero
+ * @param {Object} [options] - The tolerance { atol, rtol }, see Matrix#closeTo
+ * @returns {Boolean}
+ * @example
+ *
+ * const A = Matrix.of([[1, 1e-17], [0, 2]])
+ * true === A.isDiagonal()
+ *
+ */
+Matrix.prototype.isDiagonal = function (options) {
+  return this.closeTo(this.toArray().map((row, i) => row.map((x, j) => i === j ? x : 0)), options)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#isUpperTriangular
+ * @desc Boolean indicating whether all values below the diagonal are close to zero
+ * @param {Object} [options] - The tolerance { atol, rtol }, see Matrix#closeTo
+ * @returns {Boolean}
+ * @example
+ *
+ * const A = Matrix.of([[1, 2], [0, 3]])
+ * true === A.isUpperTriangular()
+ *
+ */
+Matrix.prototype.isUpperTriangular = function (options) {
+  return this.closeTo(this.toArray().map((row, i) => row.map((x, j) => i <= j ? x : 0)), options)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#isLowerTriangular
+ * @desc Boolean indicating whether all values above the diagonal are close to zero
+ * @param {Object} [options] - The tolerance { atol, rtol }, see Matrix#closeTo
+ * @returns {Boolean}
+ * @example
+ *
+ * const A = Matrix.of([[1, 0], [2, 3]])
+ * true === A.isLowerTriangular()
+ *
+ */
+Matrix.prototype.isLowerTriangular = function (options) {
+  return this.closeTo(this.toArray().map((row, i) => row.map((x, j) => i >= j ? x : 0)), options)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#isIdentity
+ * @desc Boolean indicating whether the Matrix is square and close to the Identity Matrix
+ * @param {Object} [options] - The tolerance { atol, rtol }, see Matrix#closeTo
+ * @returns {Boolean}
+ * @example
+ *
+ * const A = Matrix.of([[1, 0], [0, 1]])
+ * true === A.isIdentity()
+ *
+ */
+Matrix.prototype.isIdentity = function (options) {
+  return this.isSquare() && this.closeTo(this.identity(), options)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#isPositiveDefinite
+ * @desc Boolean indicating whether the Matrix is symmetric and all eigenvalues are positive.
+ * Eigenvalues within the tolerance of zero, relative to the largest absolute eigenvalue, do not count as positive.
+ * @param {Object} [options] - The tolerance { atol, rtol }, see Matrix#closeTo
+ * @returns {Boolean}
+ * @example
+ *
+ * const A = Matrix.of([[2, -1], [-1, 2]])
+ * true === A.isPositiveDefinite()
+ *
+ */
+Matrix.prototype.isPositiveDefinite = function (options) {
+  if (not(this.isSymmetric(options))) return false
+  const values = jacobi(this.toArray())[0]
+  const scale = values.reduce((acc, x) => Math.max(acc, Math.abs(x)), 0)
+  return values.every(x => x > tolerance(scale, options))
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#isSingular
+ * @desc Boolean indicating whether a square Matrix is singular, testing whether the smallest singular value is within the tolerance of zero, relative to the largest singular value.
+ * The default relative tolerance is n * ε, like Matrix#rank, so a Matrix is only singular when it is singular up to rounding errors.
+ * Matrices with other element types than numbers, like exact fractions, are singular when their rank is less than the number of rows.
+ * @param {Object} [options] - The tolerance { atol, rtol }, see Matrix#closeTo
+ * @returns {Boolean}
+ * @example
+ *
+ * const A = Matrix.of([[1, 2], [2, 4.0000000001]])
+ * false === A.isSingular()
+ * true === A.isSingular({ rtol: 1e-8 })
+ *
  */
-Matrix.prototype.isOrthogonal = function () {
-  const AxAt = this.dot(this.transpose())
-  const I = this.identity()
-  return equals(AxAt, I)
+Matrix.prototype.isSingular = function (options) {
+  if (not(this.isSquare())) {
+    throw Error('The Matrix needs to be a square Matrix to test whether it is singular')
+  }
+  if (this.flatten().some(x => typeof x !== 'number')) {
+    return this.rank() < this.getRows()
+  }
+  const s = svd(this.toArray())[1]
+  return s[s.length - 1] <= tolerance(s[0], Object.assign({ rtol: this.getRows() * Number.EPSILON }, options))
 }
 
 /**
@@ -142,14 +422,16 @@ Matrix.prototype.isOrthogonal = function () {
  *
  */
 Matrix.prototype.getCols = function () {
-  return this.__value[0].length
+  return this.__value.length ? this.__value[0].length : 0
 }
 
 /**
  * @memberOf Matrix
  * @function Matrix#equals
- * @desc Function returning a boolean testing for equality of the values of a Matrix or Array
+ * @desc Function returning a boolean testing for equality of the values of a Matrix or Array.
+ * Without options the values need to be exactly equal, with a tolerance the Matrices are compared with Matrix#closeTo.
  * @param {Matrix|Array} M - Matrix or Array to compare for equality
+ * @param {Object} [options] - The tolerance { atol, rtol }, see Matrix#closeTo
  * @returns {Boolean}
  * @example
  *
@@ -157,9 +439,42 @@ Matrix.prototype.getCols = function () {
  * var A = Matrix.of(a)
  * var B = Matrix.of(a)
  * true  === A.equals(B)
+ * true  === A.equals([[1, 1], [1, 1 + 1e-12]], { atol: 1e-9 })
+ */
+Matrix.prototype.equals = function (M, options) {
+  if (options !== undefined) {
+    return this.closeTo(M, options)
+  }
+  return equals(this.toArray(), M instanceof Matrix ? M.toArray() : M)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#closeTo
+ * @desc Function returning a boolean testing whether the values of a Matrix or Array of the same shape are within a tolerance |a - b| <= atol + rtol * scale,
+ * where the scale is the largest absolute value of both Matrices. By default atol is 0 and rtol is √ε, so values are compared relative to the magnitude of the Matrices.
+ * @param {Matrix|Array} M - Matrix or Array to compare
+ * @param {Object} [options]
+ * @param {Number} [options.atol=0] - Absolute tolerance
+ * @param {Number} [options.rtol=√ε] - Tolerance relative to the largest absolute value
+ * @returns {Boolean}
+ * @example
+ *
+ * const c = Math.cos(Math.PI / 6)
+ * const s = Math.sin(Math.PI / 6)
+ * const R = Matrix.of([[c, -s], [s, c]])
+ * true === R.dot(R.transpose()).closeTo([[1, 0], [0, 1]])
  */
-Matrix.prototype.equals = function (M) {
-  return equals(this.__value, M.__value || M)
+Matrix.prototype.closeTo = function (M, options) {
+  const B = Matrix.of(M)
+  if (this.getRows() !== B.getRows() || this.__value.some((row, i) => row.length !== B.__value[i].length)) {
+    return false
+  }
+  const a = this.flatten()
+  const b = B.flatten()
+  const scale = a.concat(b).reduce((acc, x) => Math.max(acc, Number(scalar.abs(x))), 0)
+  const tol = tolerance(scale, options)
+  return a.every((x, idx) => Number(scalar.abs(scalar.subtract(x, b[idx]))) <= tol)
 }
 
 /**
@@ -203,7 +518,29 @@ Matrix.prototype.getShape = function () {
  *
  */
 Matrix.prototype.map = function (f) {
-  return Matrix.of(map(f)(this.__value))
+  if (this.dtype === 'array') {
+    return Matrix.of(map(f)(this.__value))
+  }
+  if (this.dtype === 'rational') {
+    const result = map(f)(this.toArray())
+    return Matrix.of(result, packable(result, this.dtype) ? { dtype: this.dtype } : {})
+  }
+  // Typed rows are mapped one at a time into the typed storage of the result, until a row cannot be stored in it
+  const a = this.__value
+  let rows = []
+  let typed = true
+  for (let i = 0; i < a.length; ++i) {
+    const row = f(Array.from(a[i]), i, a)
+    if (typed && packable([row]) && typeof row.length === 'number' && (i === 0 || row.length === rows[0].length)) {
+      if (i === 0) rows = allocate(a.length, row.length, this.dtype)
+      rows[i].set(row)
+    } else {
+      if (typed) rows = rows.slice(0, i).map(values => Array.from(values))
+      typed = false
+      rows.push(row)
+    }
+  }
+  return Matrix.of(rows, typed ? { dtype: this.dtype } : {})
 }
 
 /**
@@ -238,7 +575,7 @@ Matrix.map = curry(function (f, M) {
  *
  */
 Matrix.prototype.flatMap = function (fn) {
-  return flatMap(fn)(this.__value)
+  return flatMap(fn)(this.dtype === 'array' ? this.__value : this.toArray())
 }
 
 /**
@@ -303,7 +640,7 @@ Matrix.flatten = function (M) {
  * // [1, 1, 1, 1]
  */
 Matrix.prototype.fold = function (f) {
-  return Matrix.of(fold(f, [])(this.__value))
+  return Matrix.of(fold(f, [])(this.dtype === 'array' ? this.__value : this.toArray()))
 }
 
 /**
@@ -494,7 +831,9 @@ Matrix.combine = curry(function (A, B) {
 /**
  * @memberOf Matrix
  * @function Matrix#dot
- * @description Returns the dot product between 2 matrices
+ * @description Returns the dot product between 2 matrices, calculated in full precision and rounded according to the numeric policy of the left Matrix.
+ * The dot product with a Vector returns a Vector when the result has one column or one row.
+ * Throws an error when the number of columns of the Matrix differs from the number of rows of M.
  * @param {Matrix|Array} M - Right side of the dot product
  * @returns {Matrix}
  * @example
@@ -511,7 +850,36 @@ Matrix.combine = curry(function (A, B) {
  *
  */
 Matrix.prototype.dot = function (M) {
-  return this.concat(Matrix.of(M), dot(this.precision))
+  if (M instanceof Vector) {
+    const result = this.dot(M.toMatrix())
+    return result.getCols() === 1 || result.getRows() === 1 ? Vector.fromMatrix(result) : result
+  }
+  const B = Matrix.of(M)
+  if (this.getCols() !== B.getRows()) {
+    throw Error('Matrices do not match, cannot create the dot product of a ' + this.getRows() + 'x' + this.getCols() +
+      ' and a ' + B.getRows() + 'x' + B.getCols() + ' Matrix')
+  }
+  const typed = [this.dtype, B.dtype].filter(dtype => dtype === 'float64' || dtype === 'float32')
+  const numbers = [this, B].every(X => typed.indexOf(X.dtype) !== -1 || packable(X.__value))
+  if (!typed.length || !numbers) {
+    return this.concat(B, dot).setPolicy(this.policy).applyPolicy()
+  }
+  const a = this.__value
+  const b = B.__value
+  const n = B.getCols()
+  const dtype = typed[0]
+  const result = Matrix.of(allocate(a.length, n, dtype), { dtype })
+  const c = result.__value
+  for (let i = 0; i < a.length; ++i) {
+    for (let j = 0; j < n; ++j) {
+      let acc = 0
+      for (let k = 0; k < b.length; ++k) {
+        acc += a[i][k] * b[k][j]
+      }
+      c[i][j] = acc
+    }
+  }
+  return result.setPolicy(this.policy).applyPolicy()
 }
 
 /**
@@ -536,6 +904,50 @@ Matrix.dot = curry(function (A, B) {
   return Matrix.of(A).dot(Matrix.of(B))
 })
 
+/**
+ * @memberOf Matrix
+ * @static
+ * @function Matrix.dotAsync
+ * @description Returns a Promise of the dot product of 2 matrices, calculated in parallel by Node.js worker threads or Web Workers.
+ * The rows of A are split into blocks, which are sent with a copy of B to the workers as transferred Float64Array buffers.
+ * The result is the same as the result of Matrix#dot, including its dtype and the numeric policy of A.
+ * Without worker support, or when the values are not all numbers, the synchronous dot product is returned instead.
+ * @param {Matrix|Array} A - Left side of the dot product
+ * @param {Matrix|Array} B - Right side of the dot product
+ * @param {Object} [options]
+ * @param {Number} [options.workers] - Number of workers, defaults to the number of logical processors
+ * @returns {Promise} Resolves to a Matrix
+ * @example
+ *
+ * Matrix.dotAsync(A, B, { workers: 4 }).then(C => C.equals(A.dot(B))) // true
+ *
+ */
+Matrix.dotAsync = function (A, B, options = {}) {
+  return Promise.resolve().then(() => {
+    const { workers = parallel.concurrency() } = options
+    if (!Number.isInteger(workers) || workers < 1) {
+      throw Error('The number of workers needs to be a positive integer, got ' + workers)
+    }
+    const left = Matrix.of(A)
+    const right = Matrix.of(B)
+    const [m, n, p, q] = left.getShape().concat(right.getShape())
+    if (n !== p) {
+      throw Error('Matrices do not match, cannot create the dot product of a ' + m + 'x' + n + ' and a ' + p + 'x' + q + ' Matrix')
+    }
+    const numbers = M => M.__value.every(row => Array.prototype.every.call(row, x => typeof x === 'number'))
+    if (!m || !n || !q || !parallel.supported() || !numbers(left) || !numbers(right)) {
+      return left.dot(right)
+    }
+    return parallel.dot(left.__value, right.__value, workers).then(rows => {
+      const typed = [left.dtype, right.dtype].filter(dtype => dtype === 'float64' || dtype === 'float32')
+      const result = typed.length
+        ? Matrix.of(rows, { dtype: typed[0] })
+        : Matrix.of(rows.map(row => Array.from(row)))
+      return result.setPolicy(left.policy).applyPolicy()
+    })
+  })
+}
+
 /**
  * @memberOf Matrix
  * @function Matrix#fill
@@ -652,7 +1064,135 @@ Matrix.random = function (f = e => (Math.random() * 2 - 1), rows, cols) {
  * @returns {Array}
  */
 Matrix.prototype.toArray = function () {
-  return this.__value.map(row => row.map(col => col))
+  return this.__value.map(row => Array.from(row))
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#lazy
+ * @desc Returns a LazyMatrix that records the elementwise operations map, fill, add, subtract, multiply and transpose
+ * and calculates them in a single pass when it is evaluated, without allocating the intermediate results.
+ * Methods like dot and the decompositions evaluate the LazyMatrix first.
+ * @see LazyMatrix
+ * @returns {LazyMatrix}
+ * @example
+ *
+ * const C = A.lazy().map(x => x * x).add(B).multiply(2).transpose().evaluate()
+ *
+ */
+Matrix.prototype.lazy = function () {
+  return LazyMatrix.of(this)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#toString
+ * @desc Returns the Matrix as text with right-aligned columns. Matrices with more rows or columns than the maximum only show the
+ * first and last edge items, with an ellipsis in between. The values are rounded according to the numeric policy.
+ * Node.js uses this text when a Matrix is printed with console.log.
+ * @param {Object} [options]
+ * @param {Function} [options.format] - Function returning the text of a value
+ * @param {Number} [options.decimals] - Number of decimals of the numbers
+ * @param {Number} [options.maxRows=10] - Largest number of rows shown without truncation
+ * @param {Number} [options.maxCols=10] - Largest number of columns shown without truncation
+ * @param {Number} [options.edgeItems=3] - Number of rows and columns shown at both sides of an ellipsis, at most half of maxRows and maxCols
+ * @returns {String}
+ * @example
+ *
+ * Matrix.of([[1.5, -2], [3, 10]]).toString()
+ * // [[1.5, -2],
+ * //  [  3, 10]]
+ *
+ * Matrix.ones(100, 100).toString({ edgeItems: 1 })
+ * // [[1, ..., 1],
+ * //  ...,
+ * //  [1, ..., 1]]
+ *
+ */
+Matrix.prototype.toString = function (options = {}) {
+  const rows = render.cells(this.__value, this.policy, options, '...')
+  const widths = render.widths(rows)
+  const lines = rows.map(row => row === null ? '...' : '[' + row.map((x, j) => x.padStart(widths[j])).join(', ') + ']')
+  return '[' + lines.join(',\n ') + ']'
+}
+
+Matrix.prototype[Symbol.for('nodejs.util.inspect.custom')] = function () {
+  return this.toString()
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#toMarkdown
+ * @desc Returns the Matrix as a Markdown table with right-aligned columns. The header holds the column labels of a Matrix read with
+ * a header and the column indices otherwise. Takes the same options as toString.
+ * @see Matrix#toString
+ * @param {Object} [options]
+ * @param {Array} [options.header] - Column labels
+ * @returns {String}
+ * @example
+ *
+ * Matrix.of([[1.5, -2], [3, 10]]).toMarkdown({ header: ['x', 'y'] })
+ * // |   x |  y |
+ * // | --: | -: |
+ * // | 1.5 | -2 |
+ * // |   3 | 10 |
+ *
+ */
+Matrix.prototype.toMarkdown = function (options = {}) {
+  const header = options.header || this.labels || Array.from(Array(this.getCols()).keys())
+  if (header.length !== this.getCols()) {
+    throw Error('The header has ' + header.length + ' labels, the Matrix has ' + this.getCols() + ' columns')
+  }
+  const labels = header.map(x => String(x).replace(/\|/g, '\\|'))
+  const head = render.cells([labels], {}, Object.assign({}, options, { format: String, maxRows: 1 }), '...')[0]
+  const body = render.cells(this.__value, this.policy, options, '...').map(row => row || head.map(() => '...'))
+  const widths = render.widths([head].concat(body)).map(width => Math.max(2, width))
+  const line = row => '| ' + row.map((x, j) => x.padStart(widths[j])).join(' | ') + ' |'
+  const separator = '| ' + widths.map(width => '-'.repeat(width - 1) + ':').join(' | ') + ' |'
+  return [line(head), separator].concat(body.map(line)).join('\n')
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#toLatex
+ * @desc Returns the Matrix as a LaTeX matrix environment of the amsmath package, with \cdots, \vdots and \ddots for truncated rows and columns.
+ * Takes the same options as toString.
+ * @see Matrix#toString
+ * @param {Object} [options]
+ * @param {String} [options.env='bmatrix'] - Environment, like 'matrix', 'pmatrix', 'bmatrix' or 'vmatrix'
+ * @returns {String}
+ * @example
+ *
+ * Matrix.of([[1, 2], [3, 4]]).toLatex({ env: 'pmatrix' })
+ * // \begin{pmatrix}
+ * // 1 & 2 \\
+ * // 3 & 4
+ * // \end{pmatrix}
+ *
+ */
+Matrix.prototype.toLatex = function (options = {}) {
+  const { env = 'bmatrix' } = options
+  const rows = render.cells(this.__value, this.policy, options, '\\cdots')
+  const shown = rows.find(row => row !== null) || []
+  const lines = rows.map(row => row === null
+    ? shown.map(x => x === '\\cdots' ? '\\ddots' : '\\vdots').join(' & ')
+    : row.join(' & '))
+  return '\\begin{' + env + '}\n' + lines.join(' \\\\\n') + '\n\\end{' + env + '}'
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#toSparse
+ * @desc Returns a SparseMatrix holding the non-zero values of the Matrix
+ * @see SparseMatrix
+ * @returns {SparseMatrix}
+ * @example
+ *
+ * const S = Matrix.of([[1, 0], [0, 0]]).toSparse()
+ * S.nnz() // 1
+ */
+Matrix.prototype.toSparse = function () {
+  return SparseMatrix.of(this)
 }
 
 /**
@@ -662,9 +1202,7 @@ Matrix.prototype.toArray = function () {
  * @returns {Matrix}
  */
 Matrix.prototype.clone = function () {
-  const M = Matrix.fromArray(this.__value)
-  M.setPrecision(this.precision)
-  return M
+  return Matrix.of(this.toArray(), { dtype: this.dtype, policy: this.policy })
 }
 
 /**
@@ -679,119 +1217,356 @@ Matrix.fromArray = function (arr) {
 
 /**
  * @memberOf Matrix
- * @function Matrix#transpose
- * @desc Returns a transposed Matrix
+ * @static
+ * @function Matrix.fromCSV
+ * @desc Creates a Matrix from delimited text like CSV or TSV. Fields can be quoted with double quotes and missing values become NaN.
+ * An empty line is a row of missing values, so the rows keep their line numbers.
+ * With a header the first row is kept as the column labels in the labels property of the Matrix.
+ * Throws an error for fields that are not numbers and for rows with a different number of fields.
+ * @param {String} text
+ * @param {Object} [options]
+ * @param {String} [options.delimiter=','] - Field delimiter, use '\t' for TSV
+ * @param {Boolean} [options.header=false] - Whether the first row holds the column labels
+ * @param {Array} [options.missing=['', 'NA', 'N/A', 'NaN', 'null']] - Fields that are read as NaN
+ * @param {String} [options.dtype] - Storage of the values, see Matrix.of
  * @returns {Matrix}
  * @example
  *
- * const A = Matrix.of([-1, 2], [3, 4], [-8, 2])
- * const b = A.transpose().toArray()
- * // returns [[-1, 3,-8], [2, 4, 2]]
+ * const A = Matrix.fromCSV('x,y\n1,2\n3,NA\n', { header: true })
+ * // A.toArray() = [[1, 2], [3, NaN]]
+ * // A.labels = ['x', 'y']
+ *
  */
-Matrix.prototype.transpose = function () {
-  return Matrix.of(fold(transpose, [], this.__value))
+Matrix.fromCSV = function (text, options = {}) {
+  const { delimiter = ',', header = false, missing = ['', 'NA', 'N/A', 'NaN', 'null'], dtype } = options
+  const rows = csv.parse(String(text), delimiter)
+  const labels = header ? rows.shift() || [] : undefined
+  const offset = header ? 2 : 1
+  const cols = labels ? labels.length : (rows[0] || []).length
+  const values = rows.map((row, i) => {
+    if (row.length === 1 && row[0] === '') {
+      return Array(cols).fill(NaN)
+    }
+    if (row.length !== cols) {
+      throw Error('Row ' + (i + offset) + ' has ' + row.length + ' fields, expected ' + cols)
+    }
+    return row.map((field, j) => {
+      const value = field.trim()
+      if (missing.indexOf(value) !== -1) {
+        return NaN
+      }
+      const x = Number(value)
+      if (value === '' || Number.isNaN(x)) {
+        throw Error('Cannot parse \'' + field + '\' in row ' + (i + offset) + ', column ' + (j + 1) + ' as a number')
+      }
+      return x
+    })
+  })
+  const M = Matrix.of(values, dtype ? { dtype } : {})
+  if (labels) {
+    M.labels = labels
+  }
+  return M
 }
 
 /**
  * @memberOf Matrix
- * @function Matrix.transpose
- * @desc Returns a transposed Matrix
- * @param {Matrix|Array} M - A Matrix or a matrix array
- * @returns {Matrix}
+ * @function Matrix#toCSV
+ * @desc Returns the Matrix as delimited text like CSV or TSV, with one line per row. Fields containing the delimiter, quotes or line breaks are quoted.
+ * The column labels of a Matrix read with a header are written as the first row.
+ * @param {Object} [options]
+ * @param {String} [options.delimiter=','] - Field delimiter, use '\t' for TSV
+ * @param {Array|Boolean} [options.header] - Column labels, defaults to the labels of the Matrix. true writes the labels of the Matrix and false leaves them out
+ * @param {String} [options.missing=''] - Text written for NaN values
+ * @param {Number} [options.decimals] - Number of decimals of the numbers
+ * @param {Function} [options.format] - Function returning the text of a value, overrides decimals
+ * @returns {String}
  * @example
  *
- * const a = [-1, 2], [3, 4], [-8, 2]
- * const b = Matrix.transpose(a).toArray()
- * // returns [[-1, 3,-8], [2, 4, 2]]
+ * Matrix.of([[1, 2.5], [3, NaN]]).toCSV() // '1,2.5\n3,\n'
+ * Matrix.of([[1, 2.5]]).toCSV({ delimiter: '\t', decimals: 2, header: ['x', 'y'] }) // 'x\ty\n1.00\t2.50\n'
+ *
  */
-Matrix.transpose = function (M) {
-  return Matrix.of(M).transpose()
+Matrix.prototype.toCSV = function (options = {}) {
+  const { delimiter = ',', missing = '', decimals, format } = options
+  if (options.header !== undefined && typeof options.header !== 'boolean' && !Array.isArray(options.header)) {
+    throw Error('The header needs to be an array of labels or a boolean')
+  }
+  if (options.header === true && !this.labels) {
+    throw Error('The Matrix has no labels, pass the header as an array of labels')
+  }
+  const header = options.header === undefined || options.header === true ? this.labels : options.header
+  const write = format || (x => typeof x === 'number' && decimals !== undefined ? x.toFixed(decimals) : String(x))
+  const rows = this.toArray().map(row => row.map(x => Number.isNaN(x) ? missing : write(x)))
+  if (header) {
+    if (header.length !== this.getCols()) {
+      throw Error('The header has ' + header.length + ' labels, the Matrix has ' + this.getCols() + ' columns')
+    }
+    rows.unshift(header.map(String))
+  }
+  return csv.stringify(rows, delimiter)
 }
 
 /**
  * @memberOf Matrix
- * @function Matrix#add
- * @desc Adds a number or a Matrix to this
- * @param {Matrix|Number} M - Add a Matrix or a number
- * @returns {Matrix}
+ * @static
+ * @function Matrix.fromMatrixMarket
+ * @desc Creates a Matrix from the Matrix Market exchange format (.mtx), as used by the SuiteSparse Matrix Collection.
+ * Supports the coordinate and array formats, real, integer and pattern fields and general, symmetric and skew-symmetric matrices.
+ * Entries stored in the file are summed and the values of a pattern field are 1.
+ * @param {String} text
+ * @param {Object} [options]
+ * @param {Boolean} [options.sparse=false] - Returns a SparseMatrix instead of a dense Matrix
+ * @returns {Matrix|SparseMatrix}
  * @example
  *
- * const A = Matrix.of([[5, 4]])
- * A.add(1) // [[6, 5]]
- * const B = Matrix.of([[5, 5]])
- * B.add(B) // [[10, 10]]
+ * const A = Matrix.fromMatrixMarket('%%MatrixMarket matrix coordinate real symmetric\n2 2 2\n1 1 4\n2 1 -1\n')
+ * // [[4, -1], [-1, 0]]
  *
  */
-Matrix.prototype.add = function (M) {
-  if (M instanceof Matrix) {
-    if (this.getCols() !== M.getCols() || this.getRows() !== M.getRows()) {
-      throw new Error('Matrices do not match, cannot add')
-    }
-    return this.map((row, idx) => map((val, jdx) => val + M.__value[idx][jdx])(row))
-  } else {
-    return this.map(map(x => x + M))
+Matrix.fromMatrixMarket = function (text, options = {}) {
+  const { rows, cols, rowIndices, colIndices, values } = matrixMarket.parse(text)
+  if (options.sparse) {
+    return SparseMatrix.fromCOO(rows, cols, rowIndices, colIndices, values)
   }
+  const a = Matrix.zeros(rows, cols).__value
+  values.forEach((x, k) => {
+    a[rowIndices[k]][colIndices[k]] += x
+  })
+  return Matrix.of(a)
 }
 
 /**
  * @memberOf Matrix
- * @function Matrix#subtract
- * @desc Subtracts a number or a Matrix from this
- * @param {Matrix|Number} M - Subtract a Matrix or a number
- * @returns {Matrix}
+ * @function Matrix#toMatrixMarket
+ * @desc Returns the Matrix in the Matrix Market exchange format. The array format writes all values column by column,
+ * the coordinate format only the non-zero values. Symmetric and skew-symmetric matrices only write their lower triangle,
+ * an error is thrown if the Matrix does not have the requested symmetry.
+ * @param {Object} [options]
+ * @param {String} [options.format='array'] - Either 'array' or 'coordinate'
+ * @param {String} [options.field] - Either 'real', 'integer' or 'pattern', defaults to 'integer' when all values are integers and 'real' otherwise
+ * @param {String} [options.symmetry='general'] - Either 'general', 'symmetric' or 'skew-symmetric'
+ * @returns {String}
  * @example
  *
- * const A = Matrix.of([[5, 4]])
- * A.subtract(1) // [[4, 2]]
- * const B = Matrix.of([[5, 5]])
- * B.subtract(B) // [[0, 0]]
+ * Matrix.of([[4, -1], [-1, 0]]).toMatrixMarket({ format: 'coordinate', symmetry: 'symmetric' })
+ * // '%%MatrixMarket matrix coordinate integer symmetric\n2 2 2\n1 1 4\n2 1 -1\n'
  *
  */
-Matrix.prototype.subtract = function (M) {
-  if (M instanceof Matrix) {
-    if (this.getCols() !== M.getCols() || this.getRows() !== M.getRows()) {
-      throw new Error('Matrices do not match, cannot subtract')
+Matrix.prototype.toMatrixMarket = function (options = {}) {
+  const { format = 'array', field, symmetry } = options
+  const a = this.toArray()
+  const entries = []
+  for (let j = 0; j < this.getCols(); ++j) {
+    for (let i = 0; i < this.getRows(); ++i) {
+      if (format !== 'coordinate' || a[i][j] !== 0) {
+        entries.push([i, j, a[i][j]])
+      }
     }
-    return this.map((row, idx) => map((val, jdx) => val - M.__value[idx][jdx])(row))
-  } else {
-    return this.map(map(x => x - M))
   }
+  return matrixMarket.stringify(entries, this.getRows(), this.getCols(), { format, field, symmetry })
 }
 
 /**
  * @memberOf Matrix
- * @function Matrix#multiply
- * @desc Mutliply a scalar or a matrix with a matrix. Throws an error if the multiplication is not possible.
- * @param {Matrix|Number} M - A Matrix M or a Number to multiply a Matrix
+ * @static
+ * @function Matrix.fromNpy
+ * @desc Creates a Matrix from a 2-D array in the binary NumPy .npy format, as written by numpy.save.
+ * Supports little and big endian float64, float32 and int32 values in row-major (C) and column-major (Fortran) order.
+ * Float64 and float32 values are kept in typed storage of the same dtype, int32 values become plain numbers.
+ * @param {ArrayBuffer|Uint8Array|Buffer} buffer - The contents of the .npy file
  * @returns {Matrix}
  * @example
  *
- * const A = Matrix.of([[5, 4]])
- * A.multiply(2) // [[10, 8]]
- * const B = Matrix.of([[5, 5]])
- * B.multiply(B) // [[25, 25]]
+ * const A = Matrix.fromNpy(fs.readFileSync('data.npy'))
  *
  */
-Matrix.prototype.multiply = function (M) {
-  if (M instanceof Matrix) {
-    if (this.getCols() !== M.getCols() || this.getRows() !== M.getRows()) {
-      console.log('Use static method \'dot\' to do matrix multiplication')
-      throw new Error('Matrices do not match, cannot create hadamard product')
-    }
-    return this.map((row, idx) => map((col, jdx) => col * M.__value[idx][jdx])(row))
-  } else {
-    return this.map(map(x => x * M))
-  }
+Matrix.fromNpy = function (buffer) {
+  const { dtype, rows } = npy.parse(buffer)
+  return Matrix.of(rows, dtype === 'int32' ? {} : { dtype })
 }
 
 /**
  * @memberOf Matrix
- * @function Matrix#additiveinverse
- * @desc Function that returns the matrix obtained by changing the sign of every matrix element. The additive inverse of matrix A is written –A.
- * @returns {Matrix}
+ * @function Matrix#toNpy
+ * @desc Returns the Matrix as a 2-D array in the binary NumPy .npy format, which numpy.load reads.
+ * @param {Object} [options]
+ * @param {String} [options.dtype] - Either 'float64', 'float32' or 'int32', defaults to 'float32' for float32 storage and 'float64' otherwise
+ * @param {Boolean} [options.fortranOrder=false] - Writes the values column by column
+ * @param {Boolean} [options.littleEndian=true] - Writes little endian values
+ * @returns {Uint8Array}
  * @example
  *
- * const A = Matrix.of([[5,-5], [-4, 4]])
+ * fs.writeFileSync('result.npy', A.toNpy())
+ * // numpy.load('result.npy')
+ *
+ */
+Matrix.prototype.toNpy = function (options = {}) {
+  const { dtype = this.dtype === 'float32' ? 'float32' : 'float64', fortranOrder = false, littleEndian = true } = options
+  return npy.stringify(this.toArray(), { dtype, fortranOrder, littleEndian })
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#transpose
+ * @desc Returns a transposed Matrix
+ * @returns {Matrix}
+ * @example
+ *
+ * const A = Matrix.of([-1, 2], [3, 4], [-8, 2])
+ * const b = A.transpose().toArray()
+ * // returns [[-1, 3,-8], [2, 4, 2]]
+ */
+Matrix.prototype.transpose = function () {
+  if (this.dtype === 'array') {
+    return Matrix.of(fold(transpose, [], this.__value))
+  }
+  const a = this.__value
+  const result = this.dtype === 'rational'
+    ? Matrix.of(Matrix.zeros(this.getCols(), this.getRows()).__value, { dtype: this.dtype })
+    : Matrix.of(allocate(this.getCols(), this.getRows(), this.dtype), { dtype: this.dtype })
+  const t = result.__value
+  for (let i = 0; i < a.length; ++i) {
+    for (let j = 0; j < a[i].length; ++j) t[j][i] = a[i][j]
+  }
+  return result
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix.transpose
+ * @desc Returns a transposed Matrix
+ * @param {Matrix|Array} M - A Matrix or a matrix array
+ * @returns {Matrix}
+ * @example
+ *
+ * const a = [-1, 2], [3, 4], [-8, 2]
+ * const b = Matrix.transpose(a).toArray()
+ * // returns [[-1, 3,-8], [2, 4, 2]]
+ */
+Matrix.transpose = function (M) {
+  return Matrix.of(M).transpose()
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#conjugateTranspose
+ * @desc Returns the conjugate transpose (Hermitian adjoint) of a Matrix. For a real Matrix it equals the transpose.
+ * @returns {Matrix}
+ * @example
+ *
+ * const A = Matrix.of([[Complex.of(1, 2), 3]])
+ * const b = A.conjugateTranspose().toArray()
+ * // returns [[1 - 2i], [3]]
+ */
+Matrix.prototype.conjugateTranspose = function () {
+  return this.transpose().map(map(scalar.conjugate))
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix.conjugateTranspose
+ * @desc Returns the conjugate transpose (Hermitian adjoint) of a Matrix
+ * @param {Matrix|Array} M - A Matrix or a matrix array
+ * @returns {Matrix}
+ */
+Matrix.conjugateTranspose = function (M) {
+  return Matrix.of(M).conjugateTranspose()
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#add
+ * @desc Adds a number or a Matrix to this. Row vectors, column vectors and 1x1 Matrices are broadcast to the shape of the other Matrix,
+ * other Matrices need to have the same shape.
+ * @param {Matrix|SparseMatrix|LazyMatrix|Number|Complex} M - Add a Matrix or a number
+ * @returns {Matrix}
+ * @example
+ *
+ * const A = Matrix.of([[5, 4]])
+ * A.add(1) // [[6, 5]]
+ * const B = Matrix.of([[5, 5]])
+ * B.add(B) // [[10, 10]]
+ * Matrix.of([[1, 2], [3, 4]]).add(Matrix.of([[10], [20]])) // [[11, 12], [23, 24]]
+ *
+ */
+Matrix.prototype.add = function (M) {
+  if (M instanceof SparseMatrix || M instanceof LazyMatrix) {
+    return this.add(Matrix.of(M))
+  }
+  if (M instanceof Matrix) {
+    const result = broadcast(this.__value, M.__value, scalar.add, 'add')
+    return Matrix.of(result, packable(result, this.dtype) ? { dtype: this.dtype } : {})
+  } else {
+    return this.map(map(x => scalar.add(x, M)))
+  }
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#subtract
+ * @desc Subtracts a number or a Matrix from this. Row vectors, column vectors and 1x1 Matrices are broadcast to the shape of the other Matrix,
+ * other Matrices need to have the same shape.
+ * @param {Matrix|SparseMatrix|LazyMatrix|Number|Complex} M - Subtract a Matrix or a number
+ * @returns {Matrix}
+ * @example
+ *
+ * const A = Matrix.of([[5, 4]])
+ * A.subtract(1) // [[4, 2]]
+ * const B = Matrix.of([[5, 5]])
+ * B.subtract(B) // [[0, 0]]
+ * const X = Matrix.of([[1, 2], [3, 6]])
+ * X.subtract(Matrix.of([[2, 4]])) // centers the columns: [[-1, -2], [1, 2]]
+ *
+ */
+Matrix.prototype.subtract = function (M) {
+  if (M instanceof SparseMatrix || M instanceof LazyMatrix) {
+    return this.subtract(Matrix.of(M))
+  }
+  if (M instanceof Matrix) {
+    const result = broadcast(this.__value, M.__value, scalar.subtract, 'subtract')
+    return Matrix.of(result, packable(result, this.dtype) ? { dtype: this.dtype } : {})
+  } else {
+    return this.map(map(x => scalar.subtract(x, M)))
+  }
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#multiply
+ * @desc Mutliply a scalar or a matrix elementwise with a matrix. Row vectors, column vectors and 1x1 Matrices are broadcast to the shape of the other Matrix.
+ * Throws an error if the multiplication is not possible, use dot for the matrix product.
+ * @param {Matrix|SparseMatrix|LazyMatrix|Number} M - A Matrix M or a Number to multiply a Matrix
+ * @returns {Matrix}
+ * @example
+ *
+ * const A = Matrix.of([[5, 4]])
+ * A.multiply(2) // [[10, 8]]
+ * const B = Matrix.of([[5, 5]])
+ * B.multiply(B) // [[25, 25]]
+ * Matrix.of([[1, 2], [3, 4]]).multiply(Matrix.of([[1, -1]])) // [[1, -2], [3, -4]]
+ *
+ */
+Matrix.prototype.multiply = function (M) {
+  if (M instanceof SparseMatrix || M instanceof LazyMatrix) {
+    return this.multiply(Matrix.of(M))
+  }
+  if (M instanceof Matrix) {
+    const result = broadcast(this.__value, M.__value, scalar.multiply, 'multiply')
+    return Matrix.of(result, packable(result, this.dtype) ? { dtype: this.dtype } : {})
+  } else {
+    return this.map(map(x => scalar.multiply(x, M)))
+  }
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#additiveinverse
+ * @desc Function that returns the matrix obtained by changing the sign of every matrix element. The additive inverse of matrix A is written –A.
+ * @returns {Matrix}
+ * @example
+ *
+ * const A = Matrix.of([[5,-5], [-4, 4]])
  * const minusA = A.additiveinverse()
  * // [[-5, 5], [4, -4]]
  */
@@ -804,7 +1579,7 @@ Matrix.prototype.additiveinverse = function () {
  * @function Matrix#hadamard
  * @desc Hadamar is an alias of the multiply function
  * @see Matrix.multiply
- * @param {Matrix|Number} M - A Matrix M or a Number to multiply a Matrix
+ * @param {Matrix|SparseMatrix|LazyMatrix|Number} M - A Matrix M or a Number to multiply a Matrix
  * @returns {Matrix}
  * @see Matrix.hadamard
  * @example
@@ -822,45 +1597,68 @@ Matrix.prototype.hadamard = function (M) {
 /**
  * @memberOf Matrix
  * @function Matrix#lu
- * @desc Calculates LU decomposition of the Matrix
- * @returns {Matrix[]}
+ * @desc Calculates the LU decomposition of a square Matrix using partial pivoting, so that PA = LU.
+ * The returned array contains the unit lower triangular Matrix L, the upper triangular Matrix U, the permutation Matrix P,
+ * the permutation as an index vector (row i of PA is row perm[i] of A) and the sign of the permutation (1 or -1).
+ * @returns {Array} [L, U, P, perm, sign]
  * @example
  *
- * const result = [[3, -7, -2, 2], [-3, 5, 1, 0], [6, -4, 0, -5], [-9, 5, -5, 12]]
- * const A = Matrix.fromArray(result)
- * const lu = A.lu()
- * // L.__value = [ [ 1, 0, 0, 0 ], [ -1, 1, 0, 0 ], [ 2, -5, 1, 0 ], [ -3, 8, 3, 1 ] ]
- * // U.__value =  [ [ 3, -7, -2, 2 ], [ 0, -2, -1, 2 ], [ 0, 0, -1, 1 ], [ 0, 0, 0, -1 ] ]
- * Matrix.dot(lu[0], lu[1]) // returns clone of A
+ * const A = Matrix.of([[0, 1], [1, 0]])
+ * const [L, U, P, perm, sign] = A.lu()
+ * // L.__value = [[1, 0], [0, 1]]
+ * // U.__value = [[1, 0], [0, 1]]
+ * // P.__value = [[0, 1], [1, 0]]
+ * // perm = [1, 0]
+ * // sign = -1
+ * Matrix.dot(L, U) // returns P.dot(A)
  *
  */
 Matrix.prototype.lu = function () {
+  if (not(this.isSquare())) {
+    throw Error('The Matrix needs to be a square Matrix to calculate the LU decomposition')
+  }
   const n = this.getRows()
-  const tol = 1e-6
-  const A = this.clone()
-  const L = this.zeros()
-  const U = this.zeros()
+  const A = this.toArray()
+  const L = Matrix.zeros(n, n).__value
+  const perm = map((x, idx) => idx)(A)
+  let sign = 1
 
   for (let k = 0; k < n; ++k) {
-    if (Math.abs(A.__value[k][k]) < tol) throw Error('Cannot proceed without a row exchange')
-    L.__value[k][k] = 1
+    let p = k
     for (let i = k + 1; i < n; ++i) {
-      L.__value[i][k] = A.__value[i][k] / A.__value[k][k]
+      if (scalar.abs(A[i][k]) > scalar.abs(A[p][k])) p = i
+    }
+    if (p !== k) {
+      const tmp = A[p]
+      A[p] = A[k]
+      A[k] = tmp
+      const tmpL = L[p]
+      L[p] = L[k]
+      L[k] = tmpL
+      const tmpPerm = perm[p]
+      perm[p] = perm[k]
+      perm[k] = tmpPerm
+      sign = -sign
+    }
+    L[k][k] = 1
+    if (scalar.isZero(A[k][k])) continue
+    for (let i = k + 1; i < n; ++i) {
+      L[i][k] = scalar.divide(A[i][k], A[k][k])
+      A[i][k] = 0
       for (let j = k + 1; j < n; ++j) {
-        A.__value[i][j] = A.__value[i][j] - L.__value[i][k] * A.__value[k][j]
+        A[i][j] = scalar.subtract(A[i][j], scalar.multiply(L[i][k], A[k][j]))
       }
     }
-    for (let l = k; l < n; ++l) {
-      U.__value[k][l] = A.__value[k][l]
-    }
   }
-  return [L, U]
+
+  const P = Matrix.of(map(idx => map((x, jdx) => (idx === jdx) * 1)(perm))(perm))
+  return [Matrix.of(L, { dtype: this.dtype }), Matrix.of(A, { dtype: this.dtype }), P, perm, sign]
 }
 
 /**
  * @memberOf Matrix
  * @function Matrix#rref
- * @desc Returns a Matrix containing the row reduced echelon form
+ * @desc Returns a Matrix containing the row reduced echelon form, rounded according to the numeric policy
  * @returns {Matrix}
  * @example
  *
@@ -873,16 +1671,16 @@ Matrix.prototype.rref = function () {
 
   for (let r = 0; r < this.getRows(); ++r) {
     if (this.getCols() <= lead) {
-      return resultMatrix
+      return resultMatrix.applyPolicy()
     }
     let i = r
-    while (resultMatrix.__value[i][lead] === 0) {
+    while (scalar.isZero(resultMatrix.__value[i][lead])) {
       ++i
       if (this.getRows() === i) {
         i = r
         ++lead
         if (this.getCols() === lead) {
-          return resultMatrix
+          return resultMatrix.applyPolicy()
         }
       }
     }
@@ -893,27 +1691,121 @@ Matrix.prototype.rref = function () {
 
     let val = resultMatrix.__value[r][lead]
     for (let j = 0; j < this.getCols(); ++j) {
-      resultMatrix.__value[r][j] /= val
+      resultMatrix.__value[r][j] = scalar.divide(resultMatrix.__value[r][j], val)
     }
 
     for (let i = 0; i < this.getRows(); ++i) {
       if (i === r) continue
       val = resultMatrix.__value[i][lead]
       for (let j = 0; j < this.getCols(); ++j) {
-        resultMatrix.__value[i][j] -= val * resultMatrix.__value[r][j]
+        resultMatrix.__value[i][j] = scalar.subtract(resultMatrix.__value[i][j], scalar.multiply(val, resultMatrix.__value[r][j]))
       }
     }
     lead++
   }
-  return resultMatrix
+  return resultMatrix.applyPolicy()
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#cholesky
+ * @desc Calculates the Cholesky decomposition A = LL' of a real symmetric positive definite Matrix. Throws an error if the Matrix is complex or not symmetric positive definite.
+ * @returns {Matrix} The lower triangular Matrix L
+ * @example
+ *
+ * const L = Matrix.of([[4, 2], [2, 5]]).cholesky()
+ * // L.__value = [[2, 0], [1, 2]]
+ *
+ */
+Matrix.prototype.cholesky = function () {
+  if (this.flatten().some(x => x instanceof Complex)) {
+    throw Error('The Cholesky decomposition needs a real Matrix, complex values are not supported')
+  }
+  if (not(this.isSymmetric({ rtol: 0 }))) {
+    throw Error('The Matrix is not symmetric positive definite, cannot calculate the Cholesky decomposition')
+  }
+  const n = this.getRows()
+  const A = this.__value
+  const L = Matrix.zeros(n, n).__value
+
+  for (let j = 0; j < n; ++j) {
+    let d = A[j][j]
+    for (let k = 0; k < j; ++k) d -= L[j][k] * L[j][k]
+    if (!(d > 0)) {
+      throw Error('The Matrix is not symmetric positive definite, cannot calculate the Cholesky decomposition')
+    }
+    L[j][j] = Math.sqrt(d)
+    for (let i = j + 1; i < n; ++i) {
+      let s = A[i][j]
+      for (let k = 0; k < j; ++k) s -= L[i][k] * L[j][k]
+      L[i][j] = s / L[j][j]
+    }
+  }
+  return Matrix.of(L)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#ldl
+ * @desc Calculates the LDL' decomposition of a real symmetric Matrix, with L unit lower triangular and D diagonal.
+ * Unlike the Cholesky decomposition it avoids square roots and also handles positive semidefinite Matrices, whose zero pivots leave a zero in D.
+ * Throws an error if the Matrix is complex, not symmetric or needs pivoting.
+ * @returns {Array} [L, d] - The Matrix L and an array with the diagonal of D
+ * @example
+ *
+ * const [L, d] = Matrix.of([[1, 1], [1, 1]]).ldl()
+ * // L.__value = [[1, 0], [1, 1]]
+ * // d = [1, 0]
+ *
+ */
+Matrix.prototype.ldl = function () {
+  if (this.flatten().some(x => x instanceof Complex)) {
+    throw Error('The LDL decomposition needs a real Matrix, complex values are not supported')
+  }
+  if (not(this.isSymmetric({ rtol: 0 }))) {
+    throw Error('The Matrix is not symmetric, cannot calculate the LDL decomposition')
+  }
+  const n = this.getRows()
+  const A = this.__value
+  const L = Matrix.identity(n, n).__value
+  const d = []
+  const scale = this.flatten().reduce((acc, x) => Math.max(acc, Math.abs(x)), 0)
+  const tol = n * Number.EPSILON * scale
+
+  for (let j = 0; j < n; ++j) {
+    d[j] = A[j][j]
+    for (let k = 0; k < j; ++k) d[j] -= L[j][k] * L[j][k] * d[k]
+    for (let i = j + 1; i < n; ++i) {
+      let s = A[i][j]
+      for (let k = 0; k < j; ++k) s -= L[i][k] * L[j][k] * d[k]
+      if (Math.abs(d[j]) <= tol) {
+        if (Math.abs(s) > tol) {
+          throw Error('The Matrix needs pivoting, cannot calculate the LDL decomposition')
+        }
+        L[i][j] = 0
+      } else {
+        L[i][j] = s / d[j]
+      }
+    }
+    if (Math.abs(d[j]) <= tol) d[j] = 0
+  }
+  return [Matrix.of(L), d]
 }
 
 /**
  * @memberOf Matrix
  * @function Matrix#solve
- * @desc Returns the solution for a system of linear equations
- * @param {Array} b - The numbers for which to solve the system of linear equations
- * @returns {Array}
+ * @desc Returns the solution for a system of linear equations. By default the pivoted LU decomposition is used and an error is thrown if the Matrix is singular,
+ * which is when a pivot is zero up to the rounding error n·ε·max|U| of the elimination, or within the tolerance options.tol.
+ * Symmetric positive definite systems can be solved about twice as fast with the 'cholesky' method, which throws an error if the Matrix is not symmetric positive definite.
+ * The right-hand side can also be a Matrix, whose columns are solved as separate systems, which returns the solution X of AX = B as a Matrix.
+ * @param {Array|Matrix} b - The numbers for which to solve the system of linear equations
+ * @param {Object|String} [options] - The options, or the method as a string
+ * @param {String} [options.method='lu'] - Either 'lu' or 'cholesky'
+ * @param {Number} [options.tol] - Absolute cutoff below which an LU pivot is zero
+ * @returns {Array|Matrix}
+ * @see Matrix#lu
+ * @see Matrix#cholesky
  * @example
  *
  * // Solve xA = b
@@ -926,174 +1818,1136 @@ Matrix.prototype.rref = function () {
  * const A = Matrix.of([[5, 1], [3, -4]])
  * const solveA = A.solve([7, 18]) // [2, -3]
  *
+ * const B = Matrix.of([[4, 2], [2, 5]])
+ * const solveB = B.solve([10, 13], { method: 'cholesky' }) // [1.5, 2]
+ *
+ * const X = A.solve(Matrix.of([[7, 5], [18, 3]])) // [[2, 1], [-3, 0]]
+ *
+ */
+Matrix.prototype.solve = function (b, options = {}) {
+  const { method = 'lu', tol } = typeof options === 'string' ? { method: options } : options
+  const n = this.getRows()
+
+  if (b instanceof Matrix && method === 'cholesky') {
+    return Matrix.of(b.transpose().toArray().map(column => this.solve(column, { method }))).transpose()
+  }
+  if (method === 'cholesky') {
+    const L = this.cholesky().__value
+    const y = []
+    for (let i = 0; i < n; ++i) {
+      let s = b[i]
+      for (let k = 0; k < i; ++k) s -= L[i][k] * y[k]
+      y[i] = s / L[i][i]
+    }
+    const x = []
+    for (let i = n - 1; i >= 0; --i) {
+      let s = y[i]
+      for (let k = i + 1; k < n; ++k) s -= L[k][i] * x[k]
+      x[i] = s / L[i][i]
+    }
+    return x
+  }
+  if (method !== 'lu') {
+    throw Error('The solve method needs to be either \'lu\' or \'cholesky\'')
+  }
+
+  const [L, U, , perm] = this.lu()
+  if (U.diag().some(negligible(U, { tol }))) {
+    throw Error('The Matrix is singular, cannot solve the system of linear equations')
+  }
+
+  if (b instanceof Matrix) {
+    return Matrix.of(b.transpose().toArray().map(column => solve(n, L, U, map(idx => column[idx])(perm)))).transpose()
+  }
+  return solve(n, L, U, map(idx => b[idx])(perm))
+}
+
+/**
+ * @memberOf Matrix
+ * @static
+ * @function Matrix.solveIterative
+ * @desc Solves the system of linear equations Ax = b with an iterative method, for systems that are too large for Matrix#solve.
+ * The Krylov methods only need the product of A with a vector, so A can also be a function returning Ax for an array x:
+ * 'cg' (conjugate gradient) for symmetric positive definite systems, 'bicgstab' and 'gmres' for general systems.
+ * The stationary methods 'jacobi', 'gauss-seidel' and 'sor' need the values of A and converge for strictly diagonally dominant systems.
+ * A SparseMatrix is used as is, a dense Matrix is converted to a SparseMatrix once.
+ * The iteration stops when the Euclidean norm of the residual b - Ax is at most atol + rtol * |b|, or after maxIter iterations.
+ * @see Matrix#solve
+ * @param {Matrix|SparseMatrix|Array|Function} A - Square Matrix, or a function returning the product of A with an array
+ * @param {Array|Vector|Matrix} b - The right-hand side, as an array, a Vector or a Matrix with one column or one row
+ * @param {Object} [options]
+ * @param {String} [options.method='cg'] - Either 'cg', 'bicgstab', 'gmres', 'jacobi', 'gauss-seidel' or 'sor'
+ * @param {Array} [options.x0] - Starting point, defaults to zeros
+ * @param {Number} [options.atol=0] - Absolute tolerance of the residual norm
+ * @param {Number} [options.rtol=√ε] - Tolerance of the residual norm relative to the norm of b
+ * @param {Number} [options.maxIter] - Largest number of iterations, defaults to 10 times the size of the system and at least 100
+ * @param {Function|String} [options.preconditioner] - Function returning an approximation of the solution of Az = r for an array r,
+ * or 'jacobi' to divide by the diagonal of A. Only used by the Krylov methods.
+ * @param {Number} [options.restart=30] - Number of GMRES iterations before a restart
+ * @param {Number} [options.omega=1] - Relaxation factor of SOR between 0 and 2, 1 is the Gauss-Seidel method
+ * @returns {Array} [x, history, converged] - The solution, the residual norm of the starting point and of every iteration, and whether the tolerance was reached
+ * @example
+ *
+ * const A = Matrix.of([[4, 1], [1, 3]])
+ * const [x, history, converged] = Matrix.solveIterative(A, [1, 2]) // x ≈ [1 / 11, 7 / 11], converged === true
+ *
+ * // Matrix-free GMRES with a diagonal preconditioner
+ * const [y] = Matrix.solveIterative(v => [2 * v[0] + v[1], 3 * v[1]], [3, 3], { method: 'gmres', preconditioner: r => [r[0] / 2, r[1] / 3] }) // [1, 1]
+ *
+ */
+Matrix.solveIterative = function (A, b, options = {}) {
+  const methods = ['cg', 'bicgstab', 'gmres', 'jacobi', 'gauss-seidel', 'sor']
+  const { method = 'cg', atol, rtol, preconditioner, restart = 30, omega = 1 } = options
+  if (methods.indexOf(method) === -1) {
+    throw Error('The iterative method needs to be either \'' + methods.slice(0, -1).join('\', \'') + '\' or \'sor\'')
+  }
+  const rhs = b instanceof Vector
+    ? b.toArray()
+    : b instanceof Matrix && (b.getCols() === 1 || b.getRows() === 1)
+      ? b.flatten()
+      : Array.isArray(b) || ArrayBuffer.isView(b) ? Array.from(b) : null
+  if (!rhs) {
+    throw Error('The right-hand side needs to be an array, a Vector or a Matrix with one column or one row')
+  }
+  const operator = typeof A === 'function' ? A : SparseMatrix.of(A)
+  const n = rhs.length
+  if (operator instanceof SparseMatrix && (operator.getRows() !== operator.getCols() || operator.getRows() !== n)) {
+    throw Error('The Matrix is ' + operator.getRows() + 'x' + operator.getCols() + ', it needs to be square with the ' + n + ' rows of the right-hand side')
+  }
+  const x0 = options.x0 || Array(n).fill(0)
+  if (x0.length !== n) {
+    throw Error('The starting point has ' + x0.length + ' values, the right-hand side has ' + n)
+  }
+  if (method === 'sor' && !(omega > 0 && omega < 2)) {
+    throw Error('The relaxation factor omega needs to be between 0 and 2, got ' + omega)
+  }
+  const tol = tolerance(iterative.norm(rhs), { atol, rtol })
+  const maxIter = options.maxIter === undefined ? Math.max(100, 10 * n) : options.maxIter
+  const [x, history] = iterative.solve(operator, rhs, { method, x0, tol, maxIter, preconditioner, restart, omega })
+  return [x, history, history[history.length - 1] <= tol]
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#qr
+ * @desc Calculates the QR decomposition of a Matrix using Householder reflections, so that A = QR with Q orthogonal and R upper triangular.
+ * For an m x n Matrix the thin variant returns Q as m x min(m, n) and R as min(m, n) x n, the full variant returns Q as m x m and R as m x n.
+ * @param {String} [mode='thin'] - Either 'thin' or 'full'
+ * @returns {Matrix[]} [Q, R]
+ * @example
+ *
+ * const A = Matrix.of([[3, 0], [4, 5], [0, 4]])
+ * const [Q, R] = A.qr()
+ * // Q.__value = [[-0.6, 0.48], [-0.8, -0.36], [0, -0.8]]
+ * // R.__value = [[-5, -4], [0, -5]]
+ * Matrix.dot(Q, R) // returns A
+ *
+ */
+Matrix.prototype.qr = function (mode = 'thin') {
+  if (mode !== 'thin' && mode !== 'full') {
+    throw Error('The QR decomposition mode needs to be either \'thin\' or \'full\'')
+  }
+  const [Q, R] = qr(this.toArray())
+  if (mode === 'full') {
+    return [Matrix.of(Q), Matrix.of(R)]
+  }
+  const k = Math.min(this.getRows(), this.getCols())
+  return [Matrix.of(map(row => row.slice(0, k))(Q)), Matrix.of(R.slice(0, k))]
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#lstsq
+ * @desc Returns the least-squares solution of Ax = b for overdetermined, underdetermined and rank deficient systems.
+ * The solution minimises the residual norm ||Ax - b|| and, when more than one solution exists, has the smallest norm.
+ * The decomposition is a column pivoted QR, which also determines the numerical rank of the Matrix.
+ * @param {Array} b - Right hand side of the system with as many values as the Matrix has rows
+ * @returns {Array} [x, residual, rank] - The solution, the Euclidean norm of Ax - b and the rank of the Matrix
+ * @example
+ *
+ * // Fit the line y = c0 + c1 * t through (0, 1), (1, 2) and (2, 2)
+ * const A = Matrix.of([[1, 0], [1, 1], [1, 2]])
+ * const [x, residual, rank] = A.lstsq([1, 2, 2])
+ * // x = [1.1667, 0.5], residual = 0.4082, rank = 2
+ *
+ */
+Matrix.prototype.lstsq = function (b) {
+  const m = this.getRows()
+  const n = this.getCols()
+  if (b.length !== m) {
+    throw Error('The right hand side needs as many values as the Matrix has rows')
+  }
+  const [Q, R, perm] = qr(this.toArray(), true)
+  const tol = Math.max(m, n) * Number.EPSILON * Math.abs(R[0][0])
+  let rank = 0
+  while (rank < Math.min(m, n) && Math.abs(R[rank][rank]) > tol) ++rank
+
+  const x = map(() => 0)(perm)
+  if (rank > 0) {
+    // Complete orthogonal decomposition: the first rank rows of R are factored as T'Z', so that AP = Q1 T'Z'
+    const c = Array.from(Array(rank), (x, i) => fold((acc, row, k) => acc + row[i] * b[k], 0)(Q))
+    const S = Array.from(Array(n), (x, j) => Array.from(Array(rank), (y, i) => R[i][j]))
+    const [Z, T] = qr(S)
+    const y = []
+    for (let i = 0; i < rank; ++i) {
+      let s = c[i]
+      for (let k = 0; k < i; ++k) s -= T[k][i] * y[k]
+      y[i] = s / T[i][i]
+    }
+    for (let j = 0; j < n; ++j) {
+      x[perm[j]] = fold((acc, yi, i) => acc + Z[j][i] * yi, 0)(y)
+    }
+  }
+
+  const residual = Math.sqrt(fold((acc, row, i) => {
+    const r = fold((s, a, j) => s + a * x[j], -b[i])(row)
+    return acc + r * r
+  }, 0)(this.toArray()))
+
+  return [x, residual, rank]
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#eig
+ * @desc Calculates the eigenvalues and eigenvectors of a square Matrix with real values, throwing an error for complex values.
+ * Symmetric Matrices use the Jacobi method and return real eigenvalues in ascending order with orthonormal eigenvectors.
+ * Other Matrices are reduced to Hessenberg form and solved with the shifted QR algorithm. A complex conjugate pair is reported
+ * in consecutive positions j and j + 1 as objects { re, im }, and the eigenvector of values[j] is the complex vector with
+ * column j of the vectors Matrix as real part and column j + 1 as imaginary part (the eigenvector of values[j + 1] is its conjugate).
+ * Eigenvectors are scaled to unit length.
+ * @returns {Array} [values, vectors] - An array of eigenvalues and a Matrix holding the eigenvectors as columns
+ * @example
+ *
+ * const [values, vectors] = Matrix.of([[2, 1], [1, 2]]).eig()
+ * // values = [1, 3]
+ * // vectors.__value = [[0.7071, 0.7071], [-0.7071, 0.7071]]
+ *
+ * const [rotation] = Matrix.of([[0, -1], [1, 0]]).eig()
+ * // rotation = [{ re: 0, im: 1 }, { re: 0, im: -1 }]
+ *
+ */
+Matrix.prototype.eig = function () {
+  if (not(this.isSquare())) {
+    throw Error('The Matrix needs to be a square Matrix to calculate the eigenvalues')
+  }
+  if (this.flatten().some(x => x instanceof Complex)) {
+    throw Error('The eigendecomposition needs a real Matrix, complex values are not supported')
+  }
+  const n = this.getRows()
+
+  if (this.isSymmetric({ rtol: 0 })) {
+    const [values, V] = jacobi(this.toArray())
+    const order = map((x, idx) => idx)(values).sort((a, b) => values[a] - values[b])
+    const vectors = map(row => map(idx => row[idx])(order))(V)
+    return [map(idx => values[idx])(order), Matrix.of(vectors)]
+  }
+
+  const [re, im, V] = hqr(this.toArray())
+  for (let j = 0; j < n; ++j) {
+    const pair = im[j] !== 0
+    let norm = 0
+    for (let i = 0; i < n; ++i) {
+      norm += V[i][j] * V[i][j] + (pair ? V[i][j + 1] * V[i][j + 1] : 0)
+    }
+    norm = Math.sqrt(norm) || 1
+    for (let i = 0; i < n; ++i) {
+      V[i][j] /= norm
+      if (pair) V[i][j + 1] /= norm
+    }
+    if (pair) ++j
+  }
+  const values = map((x, idx) => im[idx] === 0 ? x : { re: x, im: im[idx] })(re)
+  return [values, Matrix.of(V)]
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#powerIteration
+ * @desc Calculates the dominant eigenvalue (largest in absolute value) and its eigenvector with the power method.
+ * Cheaper than a full eigendecomposition, but throws an error when it does not converge, for example when two eigenvalues have the same magnitude.
+ * @param {Number} [maxIterations=1000] - Maximum number of iterations
+ * @param {Number} [tolerance=1e-10] - Relative tolerance for the residual ||Av - λv||
+ * @returns {Array} [value, vector] - The dominant eigenvalue and its unit eigenvector as an array
+ * @example
+ *
+ * const [value, vector] = Matrix.of([[2, 1], [1, 2]]).powerIteration()
+ * // value = 3
+ * // vector = [0.7071, 0.7071]
+ *
+ */
+Matrix.prototype.powerIteration = function (maxIterations = 1000, tolerance = 1e-10) {
+  if (not(this.isSquare())) {
+    throw Error('The Matrix needs to be a square Matrix to calculate the eigenvalues')
+  }
+  const A = this.toArray()
+  const multiply = v => map(row => fold((acc, x, idx) => acc + x * v[idx], 0)(row))(A)
+  const length = v => Math.sqrt(fold((acc, x) => acc + x * x, 0)(v))
+
+  let v = map(() => 1 / Math.sqrt(A.length))(A)
+  for (let iter = 0; iter < maxIterations; ++iter) {
+    const w = multiply(v)
+    const norm = length(w)
+    if (norm === 0) return [0, v]
+    const value = fold((acc, x, idx) => acc + x * w[idx], 0)(v)
+    const residual = length(map((x, idx) => x - value * v[idx])(w))
+    if (residual <= tolerance * Math.max(1, Math.abs(value))) return [value, v]
+    v = map(x => x / norm)(w)
+  }
+  throw Error('The power iteration did not converge')
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#inverse
+ * @desc Returns the inverse of a Matrix, solving the columns of the identity Matrix with the pivoted LU decomposition.
+ * Throws an error if the Matrix is not square or singular (see Matrix#solve), use the pseudoinverse in those cases.
+ * The inverse is calculated in full precision and rounded according to the numeric policy.
+ * @param {Object} [options]
+ * @param {Number} [options.tol] - Absolute cutoff below which an LU pivot is zero, see Matrix#solve
+ * @returns {Matrix}
+ * @see Matrix#pinv
+ * @see Matrix#cond
+ * @example
+ *
+ * const A = Matrix.of([[1, 1], [2, 4]]).inverse()
+ * // [ [ 2, -0.5 ], [ -1, 0.5 ] ]
+ *
+ */
+Matrix.prototype.inverse = function (options = {}) {
+  if (not(this.isSquare())) {
+    throw Error('Matrix is not square, cannot create inverse')
+  }
+  const A = Matrix.of(this.toArray(), { dtype: this.dtype })
+  const n = A.getRows()
+  const [L, U, , perm] = A.lu()
+  if (U.diag().some(negligible(U, options))) {
+    throw Error('Matrix is singular, cannot create inverse')
+  }
+
+  const columns = Array.from(Array(n), (x, j) => solve(n, L, U, map(idx => (idx === j) * 1)(perm)))
+  const result = Array.from(Array(n), (x, i) => columns.map(column => column[i]))
+  return Matrix.of(result, { dtype: this.dtype, policy: this.policy }).applyPolicy()
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#pow
+ * @desc Returns the integer power Aⁿ of a square Matrix with repeated squaring, which needs about 2 log2(n) products.
+ * Negative powers are powers of the inverse and A⁰ is the identity Matrix. The power is calculated in full precision and rounded once according to the numeric policy.
+ * @param {Number} n - Integer exponent
+ * @returns {Matrix}
+ * @example
+ *
+ * Matrix.of([[1, 1], [1, 0]]).pow(10) // [[89, 55], [55, 34]]
+ * Matrix.of([[2, 0], [0, 4]]).pow(-1) // [[0.5, 0], [0, 0.25]]
+ *
+ */
+Matrix.prototype.pow = function (n) {
+  if (not(this.isSquare())) {
+    throw Error('The Matrix needs to be a square Matrix to calculate a power')
+  }
+  if (!Number.isInteger(n)) {
+    throw Error('The exponent of a Matrix power needs to be an integer, got ' + n)
+  }
+  let base = Matrix.of(this.toArray(), { dtype: this.dtype })
+  if (n < 0) {
+    base = base.inverse()
+  }
+  let result = Matrix.of(base.identity().toArray(), { dtype: this.dtype })
+  for (let k = Math.abs(n); k > 0; k = Math.floor(k / 2)) {
+    if (k % 2) {
+      result = result.dot(base)
+    }
+    if (k > 1) {
+      base = base.dot(base)
+    }
+  }
+  return Matrix.of(result.toArray(), { dtype: this.dtype, policy: this.policy }).applyPolicy()
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#expm
+ * @desc Returns the matrix exponential e^A = I + A + A²/2! + ... of a square Matrix with the scaling and squaring method:
+ * the Matrix is divided by 2^s until a Padé approximant of degree 3 to 13 is accurate and the approximation is squared s times.
+ * @returns {Matrix}
+ * @example
+ *
+ * Matrix.of([[0, 1], [0, 0]]).expm() // [[1, 1], [0, 1]]
+ *
+ * // Solution of the linear ODE system x' = Ax at time t
+ * const x = A.multiply(t).expm().dot(x0)
+ *
+ */
+Matrix.prototype.expm = function () {
+  if (not(this.isSquare())) {
+    throw Error('The Matrix needs to be a square Matrix to calculate the exponential')
+  }
+  const A = Matrix.of(this.toArray())
+  const norm = A.norm(1)
+  if (!Number.isFinite(norm)) {
+    throw Error('The exponential needs a Matrix with finite values')
+  }
+  const [m, theta, b] = pade.find(([, theta]) => norm <= theta) || pade[pade.length - 1]
+  const s = norm > theta ? Math.ceil(Math.log2(norm / theta)) : 0
+  const X = A.multiply(Math.pow(2, -s))
+  const X2 = X.dot(X)
+  let power = X.identity()
+  let U = power.multiply(b[1])
+  let V = power.multiply(b[0])
+  for (let j = 2; j < m; j += 2) {
+    power = power.dot(X2)
+    U = U.add(power.multiply(b[j + 1]))
+    V = V.add(power.multiply(b[j]))
+  }
+  U = X.dot(U)
+  let result = V.subtract(U).solve(V.add(U))
+  for (let k = 0; k < s; ++k) {
+    result = result.dot(result)
+  }
+  return Matrix.of(result.toArray(), { policy: this.policy }).applyPolicy()
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#sqrtm
+ * @desc Returns the principal square root X of a square Matrix, with XX = A.
+ * Exactly symmetric Matrices use the eigendecomposition and need eigenvalues that are not negative, other Matrices use the Denman-Beavers iteration
+ * and need to be invertible without eigenvalues on the negative real axis.
+ * @returns {Matrix}
+ * @example
+ *
+ * Matrix.of([[4, 0], [0, 9]]).sqrtm() // [[2, 0], [0, 3]]
+ * Matrix.of([[0, -1], [1, 0]]).sqrtm() // rotation by 45 degrees
+ *
+ */
+Matrix.prototype.sqrtm = function () {
+  if (not(this.isSquare())) {
+    throw Error('The Matrix needs to be a square Matrix to calculate the square root')
+  }
+  const A = Matrix.of(this.toArray())
+  const n = A.getRows()
+  if (A.isSymmetric({ rtol: 0 })) {
+    const [values, V] = A.eig()
+    if (values.some(x => x < -tolerance(Math.max(...values.map(Math.abs))))) {
+      throw Error('The Matrix has a negative eigenvalue, it has no real square root')
+    }
+    const root = V.multiply(Matrix.of([values.map(x => Math.sqrt(Math.max(0, x)))])).dot(V.transpose())
+    return Matrix.of(root.toArray(), { policy: this.policy }).applyPolicy()
+  }
+  if (A.eig()[0].some(x => typeof x === 'number' && x <= 0)) {
+    throw Error('The Matrix has an eigenvalue on the closed negative real axis, it has no real principal square root')
+  }
+  let Y = A
+  let Z = A.identity()
+  let converged = false
+  for (let iteration = 0; iteration < 100; ++iteration) {
+    const gamma = Math.pow(Math.abs(Y.determinant() * Z.determinant()), -1 / (2 * n))
+    const next = Y.multiply(gamma).add(Z.solve(Z.identity()).multiply(1 / gamma)).multiply(0.5)
+    Z = Z.multiply(gamma).add(Y.solve(Y.identity()).multiply(1 / gamma)).multiply(0.5)
+    const change = next.subtract(Y).norm()
+    Y = next
+    if (converged) {
+      return Matrix.of(Y.toArray(), { policy: this.policy }).applyPolicy()
+    }
+    converged = change <= tolerance(Y.norm())
+  }
+  throw Error('The square root did not converge, the Matrix may have eigenvalues on the negative real axis')
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#logm
+ * @desc Returns the principal logarithm X of a square Matrix, with e^X = A.
+ * Exactly symmetric Matrices use the eigendecomposition and need positive eigenvalues, other Matrices use the inverse scaling and squaring method:
+ * square roots are taken until the Matrix is close to the identity, then log(I + R) is approximated with Gauss-Legendre quadrature.
+ * @returns {Matrix}
+ * @example
+ *
+ * Matrix.of([[1, 1], [0, 1]]).logm() // [[0, 1], [0, 0]]
+ * A.logm().expm() // A
+ *
+ */
+Matrix.prototype.logm = function () {
+  if (not(this.isSquare())) {
+    throw Error('The Matrix needs to be a square Matrix to calculate the logarithm')
+  }
+  const A = Matrix.of(this.toArray())
+  if (A.isSymmetric({ rtol: 0 })) {
+    const [values, V] = A.eig()
+    if (values.some(x => x <= 0)) {
+      throw Error('The Matrix has an eigenvalue that is not positive, it has no real logarithm')
+    }
+    const log = V.multiply(Matrix.of([values.map(Math.log)])).dot(V.transpose())
+    return Matrix.of(log.toArray(), { policy: this.policy }).applyPolicy()
+  }
+  if (A.eig()[0].some(x => typeof x === 'number' && x <= 0)) {
+    throw Error('The Matrix has an eigenvalue on the closed negative real axis, it has no real principal logarithm')
+  }
+  const I = A.identity()
+  let X = A
+  let k = 0
+  while (X.subtract(I).norm(1) > 0.25) {
+    X = X.sqrtm()
+    if (++k > 64) {
+      throw Error('The logarithm did not converge, the Matrix may have eigenvalues on the negative real axis')
+    }
+  }
+  const R = X.subtract(I)
+  const [nodes, weights] = gaussLegendre(8)
+  const log = fold((acc, t, j) => acc.add(I.add(R.multiply(t)).solve(R).multiply(weights[j])), Matrix.zeros(A.getRows(), A.getCols()))(nodes)
+  return Matrix.of(log.multiply(Math.pow(2, k)).toArray(), { policy: this.policy }).applyPolicy()
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#svd
+ * @desc Calculates the thin singular value decomposition A = U diag(s) V' of a Matrix of any shape with the one-sided Jacobi method.
+ * For an m x n Matrix with k = min(m, n), U is m x k and V is n x k, both with orthonormal columns, and the k singular values are in descending order.
+ * @returns {Array} [U, s, V] - Matrix U, an array of singular values and Matrix V
+ * @example
+ *
+ * const [U, s, V] = Matrix.of([[3, 0], [0, -2], [0, 0]]).svd()
+ * // U.__value = [[1, 0], [0, -1], [0, 0]]
+ * // s = [3, 2]
+ * // V.__value = [[1, 0], [0, 1]]
+ *
+ */
+Matrix.prototype.svd = function () {
+  const [U, s, V] = svd(this.toArray())
+  return [Matrix.of(U), s, Matrix.of(V)]
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#pinv
+ * @desc Returns the Moore-Penrose pseudoinverse of a Matrix of any shape, calculated from its singular value decomposition.
+ * Singular values below the tolerance are treated as zero.
+ * @param {Number} [tolerance] - Defaults to max(m, n) * ε * the largest singular value
+ * @returns {Matrix}
+ * @example
+ *
+ * const A = Matrix.of([[1, 2], [2, 4]]).pinv()
+ * // [[0.04, 0.08], [0.08, 0.16]]
+ *
+ */
+Matrix.prototype.pinv = function (tolerance) {
+  const [U, s, V] = svd(this.toArray())
+  const tol = tolerance === undefined ? Math.max(this.getRows(), this.getCols()) * Number.EPSILON * (s[0] || 0) : tolerance
+  const inv = map(x => x > tol ? 1 / x : 0)(s)
+  return Matrix.of(map(v => map(u => fold((acc, x, k) => acc + x * inv[k] * u[k], 0)(v))(U))(V))
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#lowRank
+ * @desc Returns the best approximation of rank k (in the Frobenius and spectral norm) by keeping the k largest singular values.
+ * @param {Number} k - Rank of the approximation
+ * @returns {Matrix}
+ * @example
+ *
+ * const A = Matrix.of([[3, 0], [0, 1]]).lowRank(1)
+ * // [[3, 0], [0, 0]]
+ *
+ */
+Matrix.prototype.lowRank = function (k) {
+  const limit = Math.min(this.getRows(), this.getCols())
+  if (!Number.isInteger(k) || k < 0 || k > limit) {
+    throw Error('The rank needs to be an integer between 0 and ' + limit)
+  }
+  const [U, s, V] = svd(this.toArray())
+  const kept = map((x, idx) => idx < k ? x : 0)(s)
+  return Matrix.of(map(u => map(v => fold((acc, x, idx) => acc + x * kept[idx] * v[idx], 0)(u))(V))(U))
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#singularValues
+ * @desc Returns the singular values in descending order. The Matrix is scaled by its largest absolute value first, so that very large or small values do not overflow.
+ * @returns {Array}
+ * @example
+ *
+ * Matrix.of([[3e200, 0], [0, -4e200]]).singularValues() // [4e200, 3e200]
+ *
+ */
+Matrix.prototype.singularValues = function () {
+  const a = this.toArray()
+  const scale = a.reduce((acc, row) => row.reduce((max, x) => Math.max(max, Math.abs(x)), acc), 0)
+  if (scale === 0) {
+    return Array(Math.min(this.getRows(), this.getCols())).fill(0)
+  }
+  return svd(a.map(row => row.map(x => x / scale)))[1].map(x => x * scale)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#norm
+ * @desc Returns a Matrix norm:
+ * 'fro' the Frobenius norm √(Σ|a_ij|²), 1 the largest absolute column sum, Infinity the largest absolute row sum,
+ * 2 the spectral norm (largest singular value) and 'nuc' the nuclear norm (sum of the singular values).
+ * All norms scale the values, so that they do not overflow for large values.
+ * @param {String|Number} [type='fro'] - Either 'fro', 1, Infinity, 2 or 'nuc'
+ * @returns {Number}
+ * @example
+ *
+ * const A = Matrix.of([[1, -2], [3, 4]])
+ * A.norm() // 5.4772
+ * A.norm(1) // 6
+ * A.norm(Infinity) // 7
+ *
+ */
+Matrix.prototype.norm = function (type = 'fro') {
+  if (type === 'fro') {
+    return Vector.of(this.flatten()).norm()
+  }
+  if (type === 1 || type === Infinity) {
+    const A = type === 1 ? this.transpose() : this
+    return A.__value.reduce((acc, row) => Math.max(acc, Vector.of(row).norm(1)), 0)
+  }
+  if (type === 2) {
+    return this.singularValues()[0] || 0
+  }
+  if (type === 'nuc') {
+    return this.singularValues().reduce((acc, x) => acc + x, 0)
+  }
+  throw Error('Unknown norm type \'' + type + '\', use \'fro\', 1, Infinity, 2 or \'nuc\'')
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#cond
+ * @desc Returns the condition number ||A|| ||A⁻¹|| in the given norm, Infinity for a singular Matrix.
+ * The result loses about log10(cond) digits of precision in inverse and solve, so a very large condition number means that their results cannot be trusted.
+ * The 2-norm condition number is the ratio of the largest and the smallest singular value and is defined for every shape, the other norms need a square Matrix.
+ * @param {String|Number} [type=2] - Either 2, 'fro', 1, Infinity or 'nuc'
+ * @returns {Number}
+ * @example
+ *
+ * Matrix.of([[1, 2], [3, 4]]).cond() // 14.933
+ * Matrix.of([[1, 2], [2, 4]]).cond() // Infinity
+ *
+ */
+Matrix.prototype.cond = function (type = 2) {
+  if (type === 2) {
+    const s = this.singularValues()
+    const smallest = s[s.length - 1]
+    return smallest > 0 ? s[0] / smallest : Infinity
+  }
+  if (not(this.isSquare())) {
+    throw Error('The Matrix needs to be a square Matrix to calculate the condition number in the ' + type + ' norm')
+  }
+  const norm = this.norm(type)
+  let inverse
+  try {
+    inverse = Matrix.of(this.toArray()).inverse()
+  } catch (e) {
+    return Infinity
+  }
+  return norm * inverse.norm(type)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#rank
+ * @desc Number indicating the maximum number of linearly independent columns, counting the singular values above max(m, n) * ε * the largest singular value.
+ * Matrices with other element types than numbers, like exact fractions, count the non-zero rows of the row reduced echelon form.
+ * @returns {Number}
+ */
+Matrix.prototype.rank = function () {
+  if (this.flatten().some(x => typeof x !== 'number')) {
+    return this.rref().__value.filter(row => Array.prototype.some.call(row, x => not(scalar.isZero(x)))).length
+  }
+  const s = svd(this.toArray())[1]
+  const tol = Math.max(this.getRows(), this.getCols()) * Number.EPSILON * (s[0] || 0)
+  return s.filter(x => x > tol).length
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#dimension
+ * @desc Number indicating the maximum number of linearly independent columns.
+ * @see Matrix.rank
+ * @returns {Number}
+ */
+Matrix.prototype.dimension = function () {
+  return this.rank()
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#diag
+ * @desc Returns an array containing the values on the diagonal
+ * @returns {Array}
+ * @example
+ *
+ * const diag1 = Matrix.ones(3, 3).diag()
+ * // [1, 1, 1]
+ *
+ * const diag0 = Matrix.zeros(5, 5).diag()
+ * // [0, 0, 0, 0, 0]
+ *
+ */
+Matrix.prototype.diag = function () {
+  return fold((acc, x, idx) => {
+    return acc.concat(x[idx])
+  })([])(this.__value)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix.diag
+ * @desc Returns an array containing the values on the diagonal
+ * @param {Matrix|Array} M - Matrix from which to return the diagonal
+ * @returns {Array}
+ * @example
+ *
+ * const diag1 = Matrix.diag([[2, 1], [1, 5]])
+ * // [2, 5]
+ *
+ */
+Matrix.diag = function (M) {
+  return Matrix.of(M).diag()
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#diagproduct
+ * @desc Returns the product of the values on the diagonal
+ * @returns {Number}
+ * @example
+ *
+ * const diag1 = Matrix.ones(3, 3).diagproduct()
+ * // 1
+ *
+ * const diag0 = Matrix.zeros(5, 5).diagproduct()
+ * // 0
+ *
+ */
+Matrix.prototype.diagproduct = function () {
+  return fold((acc, x, idx) => scalar.multiply(acc, x[idx]))(1)(this.__value)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix.diagproduct
+ * @desc Returns the product of the values on the diagonal
+ * @param {Matrix|Array} M - Matrix from which to return the diagonal
+ * @returns {Number}
+ * @example
+ *
+ * const diag1 = Matrix.diagproduct([[2, 1], [1, 5]])
+ * // 10
+ *
+ */
+Matrix.diagproduct = function (M) {
+  return Matrix.of(M).diagproduct()
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#aggregate
+ * @desc Reduces the values of the Matrix to one value with a function receiving an array of values.
+ * With axis 0 every column is reduced and a row vector (1 x n Matrix) is returned, with axis 1 every row is reduced and a column vector (m x 1 Matrix) is returned.
+ * @param {Function} f - Function reducing an array of values to one value
+ * @param {Number} [axis] - Either 0 for the columns or 1 for the rows, all values are reduced when undefined
+ * @returns {*|Matrix}
+ * @example
+ *
+ * const A = Matrix.of([[1, 2], [3, 4]])
+ * A.aggregate(values => values.length) // 4
+ * A.aggregate(values => values.join(''), 1) // [['12'], ['34']]
+ *
+ */
+Matrix.prototype.aggregate = function (f, axis) {
+  if (axis === undefined) {
+    return f(this.flatten())
+  }
+  const a = this.toArray()
+  if (axis === 0) {
+    return Matrix.of([a.length ? a[0].map((x, j) => f(a.map(row => row[j]))) : []])
+  }
+  if (axis === 1) {
+    return Matrix.of(a.map(row => [f(row)]))
+  }
+  throw Error('Unknown axis ' + axis + ', use 0 for the columns or 1 for the rows')
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#sum
+ * @desc Returns the sum of the values in the Matrix, or the sums along an axis
+ * @param {Number} [axis] - Either 0 for the column sums or 1 for the row sums
+ * @returns {Number|Matrix}
+ * @example
+ *
+ * const diag1 = Matrix.ones(3, 3).sum()
+ * // 9
+ *
+ * const diag0 = Matrix.zeros(5, 5).sum()
+ * // 0
+ *
+ * Matrix.of([[1, 2], [3, 4]]).sum(0) // [[4, 6]]
+ * Matrix.of([[1, 2], [3, 4]]).sum(1) // [[3], [7]]
+ *
+ */
+Matrix.prototype.sum = function (axis) {
+  return this.aggregate(statistics.sum, axis)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix.sum
+ * @desc Returns the sum of the values in the Matrix
+ * @param {Matrix|Array} M - Matrix from which to return the diagonal
+ * @returns {Number}
+ * @example
+ *
+ * const diag1 = Matrix.sum([[2, 1], [1, 5]])
+ * // 9
+ *
+ */
+Matrix.sum = function (M) {
+  return Matrix.of(M).sum()
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#nansum
+ * @desc Returns the sum of the values, or the sums along an axis, skipping NaN values
+ * @param {Number} [axis] - Either 0 for the columns or 1 for the rows
+ * @returns {Number|Matrix}
+ */
+Matrix.prototype.nansum = function (axis) {
+  return this.aggregate(values => statistics.sum(statistics.skipNaN(values)), axis)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#prod
+ * @desc Returns the product of the values, or the products along an axis
+ * @param {Number} [axis] - Either 0 for the columns or 1 for the rows
+ * @returns {Number|Matrix}
+ * @example
+ *
+ * Matrix.of([[1, 2], [3, 4]]).prod() // 24
+ * Matrix.of([[1, 2], [3, 4]]).prod(0) // [[3, 8]]
+ *
+ */
+Matrix.prototype.prod = function (axis) {
+  return this.aggregate(statistics.prod, axis)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#nanprod
+ * @desc Returns the product of the values, or the products along an axis, skipping NaN values
+ * @param {Number} [axis] - Either 0 for the columns or 1 for the rows
+ * @returns {Number|Matrix}
+ */
+Matrix.prototype.nanprod = function (axis) {
+  return this.aggregate(values => statistics.prod(statistics.skipNaN(values)), axis)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#mean
+ * @desc Returns the mean of the values, or the means along an axis
+ * @param {Number} [axis] - Either 0 for the column means or 1 for the row means
+ * @returns {Number|Matrix}
+ * @example
+ *
+ * const X = Matrix.of([[1, 2], [3, 6]])
+ * X.mean(0) // [[2, 4]]
+ * X.subtract(X.mean(0)) // centers the columns
+ *
+ */
+Matrix.prototype.mean = function (axis) {
+  return this.aggregate(statistics.mean, axis)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#nanmean
+ * @desc Returns the mean of the values, or the means along an axis, skipping NaN values
+ * @param {Number} [axis] - Either 0 for the columns or 1 for the rows
+ * @returns {Number|Matrix}
+ */
+Matrix.prototype.nanmean = function (axis) {
+  return this.aggregate(values => statistics.mean(statistics.skipNaN(values)), axis)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#median
+ * @desc Returns the median of the values, or the medians along an axis. For an even number of values the median is the mean of the two middle values.
+ * @param {Number} [axis] - Either 0 for the columns or 1 for the rows
+ * @returns {Number|Matrix}
+ * @example
+ *
+ * Matrix.of([[1, 9], [3, 4]]).median() // 3.5
+ * Matrix.of([[1, 9], [3, 4]]).median(1) // [[5], [3.5]]
+ *
+ */
+Matrix.prototype.median = function (axis) {
+  return this.aggregate(statistics.median, axis)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#nanmedian
+ * @desc Returns the median of the values, or the medians along an axis, skipping NaN values
+ * @param {Number} [axis] - Either 0 for the columns or 1 for the rows
+ * @returns {Number|Matrix}
+ */
+Matrix.prototype.nanmedian = function (axis) {
+  return this.aggregate(values => statistics.median(statistics.skipNaN(values)), axis)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#variance
+ * @desc Returns the variance Σ(x - mean)² / (n - ddof) of the values, or the variances along an axis.
+ * Use ddof 0 for the population variance and ddof 1 for the sample variance.
+ * @param {Number} [axis] - Either 0 for the columns or 1 for the rows
+ * @param {Number} [ddof=0] - Delta degrees of freedom
+ * @returns {Number|Matrix}
+ * @example
+ *
+ * Matrix.of([[1, 2], [3, 6]]).variance(0) // [[1, 4]]
+ * Matrix.of([[1, 2], [3, 6]]).variance(0, 1) // [[2, 8]]
+ *
+ */
+Matrix.prototype.variance = function (axis, ddof = 0) {
+  return this.aggregate(values => statistics.variance(values, ddof), axis)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#nanvariance
+ * @desc Returns the variance of the values, or the variances along an axis, skipping NaN values
+ * @param {Number} [axis] - Either 0 for the columns or 1 for the rows
+ * @param {Number} [ddof=0] - Delta degrees of freedom
+ * @returns {Number|Matrix}
  */
-Matrix.prototype.solve = function (b) {
-  const LU = this.lu()
-  const L = LU[0]
-  const U = LU[1]
-  const n = this.getRows()
-
-  return solve(n, L, U, b)
+Matrix.prototype.nanvariance = function (axis, ddof = 0) {
+  return this.aggregate(values => statistics.variance(statistics.skipNaN(values), ddof), axis)
 }
 
 /**
  * @memberOf Matrix
- * @function Matrix#inverse
- * @desc Returns the inverse of a Matrix
- * @returns {Matrix}
+ * @function Matrix#std
+ * @desc Returns the standard deviation, the square root of the variance, of the values or along an axis
+ * @param {Number} [axis] - Either 0 for the columns or 1 for the rows
+ * @param {Number} [ddof=0] - Delta degrees of freedom
+ * @returns {Number|Matrix}
  * @example
  *
- * const A = Matrix.of([[1, 1], [2, 4]]).inverse()
- * // [ [ 2, -0.5 ], [ -1, 0.5 ] ]
+ * Matrix.of([[1, 2], [3, 6]]).std(0) // [[1, 2]]
  *
  */
-Matrix.prototype.inverse = function () {
-  const A = this.clone()
-  const I = A.identity()
-  const Inv = A.concat(I).rref()
+Matrix.prototype.std = function (axis, ddof = 0) {
+  return this.aggregate(values => Math.sqrt(statistics.variance(values, ddof)), axis)
+}
 
-  const result = Inv.__value.reduce((result, x, idx) => {
-    const half = x.length / 2
-    result.push(x.slice(half, x.length))
-    return result
-  }, [])
-  return Matrix.of(result)
+/**
+ * @memberOf Matrix
+ * @function Matrix#nanstd
+ * @desc Returns the standard deviation of the values, or along an axis, skipping NaN values
+ * @param {Number} [axis] - Either 0 for the columns or 1 for the rows
+ * @param {Number} [ddof=0] - Delta degrees of freedom
+ * @returns {Number|Matrix}
+ */
+Matrix.prototype.nanstd = function (axis, ddof = 0) {
+  return this.aggregate(values => Math.sqrt(statistics.variance(statistics.skipNaN(values), ddof)), axis)
 }
 
 /**
  * @memberOf Matrix
- * @function Matrix#rank
- * @desc Number indicating the maximum number of linearly independent columns.
- * @returns {Number}
+ * @function Matrix#cumsum
+ * @desc Returns the cumulative sums along an axis as a Matrix of the same shape.
+ * Without an axis the cumulative sums of all values in row-major order are returned as a row vector.
+ * @param {Number} [axis] - Either 0 down the columns or 1 along the rows
+ * @returns {Matrix}
+ * @example
+ *
+ * Matrix.of([[1, 2], [3, 4]]).cumsum(0) // [[1, 2], [4, 6]]
+ * Matrix.of([[1, 2], [3, 4]]).cumsum() // [[1, 3, 6, 10]]
+ *
  */
-Matrix.prototype.rank = function () {
-  const rref = this.rref()
-  let result = 0
-  for (let i = 0; i < rref.getCols(); ++i) {
-    result += rref.__value[i][i]
+Matrix.prototype.cumsum = function (axis) {
+  if (axis === undefined) {
+    return Matrix.of([statistics.cumsum(this.flatten())])
   }
-  return result
+  if (axis === 0) {
+    return this.transpose().cumsum(1).transpose()
+  }
+  if (axis === 1) {
+    return Matrix.of(this.toArray().map(row => statistics.cumsum(row)))
+  }
+  throw Error('Unknown axis ' + axis + ', use 0 for the columns or 1 for the rows')
 }
 
 /**
  * @memberOf Matrix
- * @function Matrix#dimension
- * @desc Number indicating the maximum number of linearly independent columns.
- * @see Matrix.rank
- * @returns {Number}
+ * @function Matrix#nancumsum
+ * @desc Returns the cumulative sums along an axis, counting NaN values as zero
+ * @param {Number} [axis] - Either 0 down the columns or 1 along the rows
+ * @returns {Matrix}
  */
-Matrix.prototype.dimension = function () {
-  return this.rank()
+Matrix.prototype.nancumsum = function (axis) {
+  return this.map(map(x => Number.isNaN(x) ? 0 : x)).cumsum(axis)
 }
 
 /**
  * @memberOf Matrix
- * @function Matrix#diag
- * @desc Returns an array containing the values on the diagonal
- * @returns {Array}
+ * @function Matrix#argmin
+ * @desc Returns the position [i, j] of the smallest value, or the indices of the smallest values along an axis.
+ * The first position is returned for ties and the position of the first NaN when there is one.
+ * @param {Number} [axis] - Either 0 for the row index of the minimum of every column or 1 for the column index of the minimum of every row
+ * @returns {Array|Matrix}
  * @example
  *
- * const diag1 = Matrix.ones(3, 3).diag()
- * // [1, 1, 1]
- *
- * const diag0 = Matrix.zeros(5, 5).diag()
- * // [0, 0, 0, 0, 0]
+ * Matrix.of([[4, 2], [1, 3]]).argmin() // [1, 0]
+ * Matrix.of([[4, 2], [1, 3]]).argmin(1) // [[1], [0]]
  *
  */
-Matrix.prototype.diag = function () {
-  return fold((acc, x, idx) => {
-    return acc.concat(x[idx])
-  })([])(this.__value)
+Matrix.prototype.argmin = function (axis) {
+  const idx = this.aggregate(statistics.argmin, axis)
+  return axis === undefined ? [Math.floor(idx / this.getCols()), idx % this.getCols()] : idx
 }
 
 /**
  * @memberOf Matrix
- * @function Matrix.diag
- * @desc Returns an array containing the values on the diagonal
- * @param {Matrix|Array} M - Matrix from which to return the diagonal
- * @returns {Array}
+ * @function Matrix#nanargmin
+ * @desc Returns the position [i, j] of the smallest value, or the indices along an axis, skipping NaN values. Returns -1 indices when all values are NaN.
+ * @param {Number} [axis] - Either 0 for the columns or 1 for the rows
+ * @returns {Array|Matrix}
+ */
+Matrix.prototype.nanargmin = function (axis) {
+  const idx = this.aggregate(values => statistics.argmin(values, true), axis)
+  return axis === undefined ? (idx < 0 ? [-1, -1] : [Math.floor(idx / this.getCols()), idx % this.getCols()]) : idx
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#argmax
+ * @desc Returns the position [i, j] of the largest value, or the indices of the largest values along an axis.
+ * The first position is returned for ties and the position of the first NaN when there is one.
+ * @param {Number} [axis] - Either 0 for the row index of the maximum of every column or 1 for the column index of the maximum of every row
+ * @returns {Array|Matrix}
  * @example
  *
- * const diag1 = Matrix.diag([[2, 1], [1, 5]])
- * // [2, 5]
+ * Matrix.of([[4, 2], [1, 3]]).argmax() // [0, 0]
+ * Matrix.of([[4, 2], [1, 3]]).argmax(0) // [[0, 1]]
  *
  */
-Matrix.diag = function (M) {
-  return Matrix.of(M).diag()
+Matrix.prototype.argmax = function (axis) {
+  const idx = this.aggregate(statistics.argmax, axis)
+  return axis === undefined ? [Math.floor(idx / this.getCols()), idx % this.getCols()] : idx
 }
 
 /**
  * @memberOf Matrix
- * @function Matrix#diagproduct
- * @desc Returns the product of the values on the diagonal
- * @returns {Number}
+ * @function Matrix#nanargmax
+ * @desc Returns the position [i, j] of the largest value, or the indices along an axis, skipping NaN values. Returns -1 indices when all values are NaN.
+ * @param {Number} [axis] - Either 0 for the columns or 1 for the rows
+ * @returns {Array|Matrix}
+ */
+Matrix.prototype.nanargmax = function (axis) {
+  const idx = this.aggregate(values => statistics.argmax(values, true), axis)
+  return axis === undefined ? (idx < 0 ? [-1, -1] : [Math.floor(idx / this.getCols()), idx % this.getCols()]) : idx
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#cov
+ * @desc Returns the covariance Matrix of a data Matrix with the observations as rows and the variables as columns.
+ * The columns are centered and the covariance is Xc' Xc / (m - ddof).
+ * @param {Number} [ddof=1] - Delta degrees of freedom, 1 for the sample covariance and 0 for the population covariance
+ * @returns {Matrix} n x n symmetric Matrix
  * @example
  *
- * const diag1 = Matrix.ones(3, 3).diagproduct()
- * // 1
- *
- * const diag0 = Matrix.zeros(5, 5).diagproduct()
- * // 0
+ * Matrix.of([[1, 2], [2, 4], [3, 6]]).cov() // [[1, 2], [2, 4]]
  *
  */
-Matrix.prototype.diagproduct = function () {
-  return fold((acc, x, idx) => {
-    acc *= x[idx]
-    return acc
-  })(1)(this.__value)
+Matrix.prototype.cov = function (ddof = 1) {
+  const m = this.getRows()
+  const centered = this.subtract(this.mean(0))
+  return centered.transpose().dot(centered).multiply(1 / (m - ddof))
 }
 
 /**
  * @memberOf Matrix
- * @function Matrix.diagproduct
- * @desc Returns the product of the values on the diagonal
- * @param {Matrix|Array} M - Matrix from which to return the diagonal
- * @returns {Number}
+ * @function Matrix#corrcoef
+ * @desc Returns the Pearson correlation coefficients of the columns of a data Matrix, the covariance divided by the product of the standard deviations.
+ * The coefficients of a constant column are NaN.
+ * @returns {Matrix} n x n symmetric Matrix with ones on the diagonal
  * @example
  *
- * const diag1 = Matrix.diagproduct([[2, 1], [1, 5]])
- * // 10
+ * Matrix.of([[1, 3], [2, 2], [3, 1]]).corrcoef() // [[1, -1], [-1, 1]]
  *
  */
-Matrix.diagproduct = function (M) {
-  return Matrix.of(M).diagproduct()
+Matrix.prototype.corrcoef = function () {
+  const c = this.cov().toArray()
+  const d = c.map((row, i) => Math.sqrt(row[i]))
+  return Matrix.of(c.map((row, i) => row.map((x, j) => {
+    const r = x / (d[i] * d[j])
+    return i === j && d[i] > 0 ? 1 : Math.max(-1, Math.min(1, r))
+  })))
 }
 
 /**
  * @memberOf Matrix
- * @function Matrix#sum
- * @desc Returns the sum of the values in the Matrix
- * @returns {Number}
+ * @function Matrix#standardize
+ * @desc Centers every column to mean 0 and scales it to standard deviation 1. Constant columns are only centered.
+ * @param {Number} [ddof=0] - Delta degrees of freedom of the standard deviation
+ * @returns {Matrix}
  * @example
  *
- * const diag1 = Matrix.ones(3, 3).sum()
- * // 9
- *
- * const diag0 = Matrix.zeros(5, 5).sum()
- * // 0
+ * Matrix.of([[1, 10], [3, 10]]).standardize() // [[-1, 0], [1, 0]]
  *
  */
-Matrix.prototype.sum = function () {
-  return fold((acc, x) => {
-    acc += fold((prev, next) => prev + next)(0)(x)
-    return acc
-  })(0)(this.__value)
+Matrix.prototype.standardize = function (ddof = 0) {
+  const centered = this.subtract(this.mean(0))
+  const std = this.std(0, ddof).map(map(x => x > 0 ? x : 1))
+  return Matrix.of(broadcast(centered.__value, std.__value, scalar.divide, 'divide'))
 }
 
 /**
  * @memberOf Matrix
- * @function Matrix.sum
- * @desc Returns the sum of the values in the Matrix
- * @param {Matrix|Array} M - Matrix from which to return the diagonal
- * @returns {Number}
+ * @function Matrix#pca
+ * @desc Principal component analysis of a data Matrix with the observations as rows and the variables as columns.
+ * The centered data is decomposed with the singular value decomposition, the components are the right singular vectors
+ * with the sign chosen so that the largest absolute value of every component is positive.
+ * @param {Number} [k] - Number of components, defaults to min(m, n)
+ * @returns {Array} [components, ratios, projected] - n x k Matrix with the components as columns, an array with the explained variance ratio
+ * of every component and the m x k Matrix of the data projected onto the components
  * @example
  *
- * const diag1 = Matrix.sum([[2, 1], [1, 5]])
- * // 9
+ * const X = Matrix.of([[1, 1], [2, 2], [3, 3]])
+ * const [components, ratios, projected] = X.pca(1)
+ * // components.toArray() = [[0.7071], [0.7071]]
+ * // ratios = [1]
+ * // projected.toArray() = [[-1.4142], [0], [1.4142]]
  *
  */
-Matrix.sum = function (M) {
-  return Matrix.of(M).sum()
+Matrix.prototype.pca = function (k) {
+  const limit = Math.min(this.getRows(), this.getCols())
+  const count = k === undefined ? limit : k
+  if (!Number.isInteger(count) || count < 1 || count > limit) {
+    throw Error('The number of components needs to be an integer between 1 and ' + limit)
+  }
+  const centered = this.subtract(this.mean(0))
+  const [, s, V] = svd(centered.toArray())
+  const signs = s.map((x, j) => {
+    const column = V.map(row => row[j])
+    return column[statistics.argmax(column.map(Math.abs))] < 0 ? -1 : 1
+  })
+  const components = Matrix.of(V.map(row => row.slice(0, count).map((x, j) => x * signs[j])))
+  const total = s.reduce((acc, x) => acc + x * x, 0)
+  const ratios = s.slice(0, count).map(x => total > 0 ? x * x / total : 0)
+  return [components, ratios, centered.dot(components)]
 }
 
 /**
@@ -1124,7 +2978,7 @@ Matrix.prototype.kronecker = function (M) {
     }
   }
 
-  return Matrix.of(frame)
+  return Matrix.of(frame, { dtype: this.dtype })
 }
 
 /**
@@ -1142,7 +2996,9 @@ Matrix.kronecker = function (A, B) {
 /**
  * @memberOf Matrix
  * @function Matrix#determinant
- * @desc Calculates the determinant of a square Matrix using Sarrus' rule or LU decomposition
+ * @desc Calculates the determinant of a square Matrix using Sarrus' rule or the pivoted LU decomposition, taking the sign of the row permutation into account.
+ * The determinant is the product of the computed pivots, so the determinant of a singular Matrix can differ from 0 by rounding errors.
+ * The determinant is rounded according to the numeric policy.
  * @returns {Number}
  */
 Matrix.prototype.determinant = function () {
@@ -1153,12 +3009,10 @@ Matrix.prototype.determinant = function () {
       const c = this.__value[1][0]
       const d = this.__value[1][1]
 
-      return a * d - b * c
+      return rounding(this.policy)(scalar.subtract(scalar.multiply(a, d), scalar.multiply(b, c)))
     }
-    const lu = this.lu()
-    const detA = Number(lu[0].diagproduct())
-    const detB = Number(lu[1].diagproduct())
-    return detA * detB
+    const [, U, , , sign] = this.lu()
+    return rounding(this.policy)(scalar.multiply(sign, U.diagproduct()))
   } else {
     throw Error('The Matrix needs to be a square Matrix to calculate the determinant')
   }
@@ -1178,52 +3032,98 @@ Matrix.determinant = function (A) {
 /**
  * @memberOf Matrix
  * @function Matrix#max
- * @desc Returns the largest number in the Matrix
- * @returns {*}
+ * @desc Returns the largest number in the Matrix, or the largest numbers along an axis
+ * @param {Number} [axis] - Either 0 for the columns or 1 for the rows
+ * @returns {*|Matrix}
+ */
+Matrix.prototype.max = function (axis) {
+  return this.aggregate(values => values[statistics.argmax(values)], axis)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#nanmax
+ * @desc Returns the largest number in the Matrix, or the largest numbers along an axis, skipping NaN values
+ * @param {Number} [axis] - Either 0 for the columns or 1 for the rows
+ * @returns {*|Matrix}
  */
-Matrix.prototype.max = function () {
-  return reduce(max, [].concat.apply([], this.__value))
+Matrix.prototype.nanmax = function (axis) {
+  return this.aggregate(values => values[statistics.argmax(values, true)], axis)
 }
 
 /**
  * @memberOf Matrix
  * @function Matrix#min
- * @desc Returns the smallest number in the Matrix
- * @returns {*}
+ * @desc Returns the smallest number in the Matrix, or the smallest numbers along an axis
+ * @param {Number} [axis] - Either 0 for the columns or 1 for the rows
+ * @returns {*|Matrix}
  */
-Matrix.prototype.min = function () {
-  return reduce(min, [].concat.apply([], this.__value))
+Matrix.prototype.min = function (axis) {
+  return this.aggregate(values => values[statistics.argmin(values)], axis)
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#nanmin
+ * @desc Returns the smallest number in the Matrix, or the smallest numbers along an axis, skipping NaN values
+ * @param {Number} [axis] - Either 0 for the columns or 1 for the rows
+ * @returns {*|Matrix}
+ */
+Matrix.prototype.nanmin = function (axis) {
+  return this.aggregate(values => values[statistics.argmin(values, true)], axis)
 }
 
 /**
  * @memberOf Matrix
  * @function Matrix#divide
- * @desc Divide a scalar or a matrix by a matrix. Throws an error if the division is not possible.
- * @param {Matrix|Number} M - A Matrix M or a Number to divide a Matrix
+ * @desc Divides the Matrix elementwise by a scalar or a Matrix. Row vectors, column vectors and 1x1 Matrices are broadcast to the shape of the other Matrix.
+ * Throws an error if the shapes do not match. Use Matrix#rightDivide to multiply with the inverse of a Matrix.
+ * @param {Matrix|SparseMatrix|LazyMatrix|Number} M - A Matrix M or a Number to divide a Matrix
  * @returns {Matrix}
  * @example
  *
  * const A = Matrix.of([[5, 4]])
- * A.divide(2) // [[10, 8]]
+ * A.divide(2) // [[2.5, 2]]
  * const B = Matrix.of([[1, 1], [2, 4]])
- * B.divide(B) // [[1, 0], [0, 1]]
+ * B.divide(B) // [[1, 1], [1, 1]]
+ * B.divide(Matrix.of([[1, 2]])) // [[1, 0.5], [2, 2]]
  *
  */
 Matrix.prototype.divide = function (M) {
+  if (M instanceof SparseMatrix || M instanceof LazyMatrix) {
+    return this.divide(Matrix.of(M))
+  }
   if (M instanceof Matrix) {
-    if (this.getCols() !== M.getCols() || this.getRows() !== M.getRows()) {
-      throw new Error('Matrices do not match, cannot create division')
-    }
-    if (not(M.isSquare())) {
-      throw new Error('Matrix is not square, cannot create inverse')
-    }
-    const mInv = M.inverse()
-    return this.dot(mInv)
+    const result = broadcast(this.__value, M.__value, scalar.divide, 'divide')
+    return Matrix.of(result, packable(result, this.dtype) ? { dtype: this.dtype } : {})
   } else {
-    return this.multiply(1 / M)
+    return this.multiply(scalar.divide(1, M))
   }
 }
 
+/**
+ * @memberOf Matrix
+ * @function Matrix#rightDivide
+ * @desc Returns the Matrix multiplied with the inverse of a square Matrix (A M⁻¹), calculated by solving X M = A with the pivoted LU decomposition
+ * instead of forming the inverse. The result is rounded according to the numeric policy. Throws an error if M is not square, singular or does not match.
+ * @see Matrix#solve
+ * @param {Matrix|Array} M - Square Matrix with as many rows as the Matrix has columns
+ * @returns {Matrix}
+ * @example
+ *
+ * const B = Matrix.of([[1, 1], [2, 4]])
+ * B.rightDivide(B) // [[1, 0], [0, 1]]
+ *
+ */
+Matrix.prototype.rightDivide = function (M) {
+  const B = Matrix.of(M)
+  if (this.getCols() !== B.getRows()) {
+    throw Error('Matrices do not match, cannot divide a ' + this.getRows() + 'x' + this.getCols() + ' by a ' + B.getRows() + 'x' + B.getCols() + ' Matrix')
+  }
+  const result = B.transpose().solve(this.transpose()).transpose()
+  return Matrix.of(result, { dtype: this.dtype, policy: this.policy }).applyPolicy()
+}
+
 /**
  * @memberOf Matrix
  * @function Matrix#getColumn
@@ -1255,7 +3155,7 @@ Matrix.getColumn = curry(function (index, M) {
  * @returns {Array}
  */
 Matrix.prototype.getRow = function (index) {
-  return this.__value[index]
+  return this.dtype === 'array' ? this.__value[index] : Array.from(this.__value[index])
 }
 
 /**
@@ -1270,4 +3170,282 @@ Matrix.getRow = curry(function (index, M) {
   return Matrix.of(M).getRow(index)
 })
 
+/**
+ * @memberOf Matrix
+ * @function Matrix#getRowVector
+ * @desc Returns a Matrix row as a row Vector
+ * @param {Number} index Index of the row
+ * @returns {Vector}
+ */
+Matrix.prototype.getRowVector = function (index) {
+  return Vector.of(this.getRow(index), 'row')
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#getColumnVector
+ * @desc Returns a Matrix column as a column Vector
+ * @param {Number} index Index of the column
+ * @returns {Vector}
+ */
+Matrix.prototype.getColumnVector = function (index) {
+  return Vector.of(this.getColumn(index), 'column')
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#slice
+ * @desc Returns the submatrix of the rows and columns selected by two ranges.
+ * A range [start, end, step] works like a Python slice: the end is excluded, negative values count from the end and the step can be negative.
+ * A number selects a single row or column and an undefined range selects all of them.
+ * @param {Array|Number} [rowRange] - Range [start, end, step] or index of the rows
+ * @param {Array|Number} [colRange] - Range [start, end, step] or index of the columns
+ * @returns {Matrix}
+ * @example
+ *
+ * const A = Matrix.of([[1, 2, 3], [4, 5, 6], [7, 8, 9]])
+ * A.slice([0, 2], [1]) // [[2, 3], [5, 6]]
+ * A.slice([null, null, -1], -1) // [[9], [6], [3]]
+ *
+ */
+Matrix.prototype.slice = function (rowRange, colRange) {
+  return this.pick(range(rowRange, this.getRows()), range(colRange, this.getCols()))
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix.slice
+ * @desc Curried function returning the submatrix of the rows and columns selected by two ranges
+ * @see Matrix#slice
+ * @param {Array|Number} rowRange - Range [start, end, step] or index of the rows
+ * @param {Array|Number} colRange - Range [start, end, step] or index of the columns
+ * @param {Matrix|Array} M
+ * @returns {Matrix}
+ */
+Matrix.slice = curry(function (rowRange, colRange, M) {
+  return Matrix.of(M).slice(rowRange, colRange)
+})
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#pick
+ * @desc Returns the submatrix of the given rows and columns, in the given order. Negative indices count from the end.
+ * @param {Array} [rowIndices] - Indices of the rows, all rows when undefined
+ * @param {Array} [colIndices] - Indices of the columns, all columns when undefined
+ * @returns {Matrix}
+ * @example
+ *
+ * const A = Matrix.of([[1, 2, 3], [4, 5, 6], [7, 8, 9]])
+ * A.pick([2, 0], [-1, 0]) // [[9, 7], [3, 1]]
+ *
+ */
+Matrix.prototype.pick = function (rowIndices, colIndices) {
+  const rows = rowIndices === undefined ? range(undefined, this.getRows()) : rowIndices.map(i => index(i, this.getRows()))
+  const cols = colIndices === undefined ? range(undefined, this.getCols()) : colIndices.map(j => index(j, this.getCols()))
+  return Matrix.of(rows.map(i => cols.map(j => this.__value[i][j])), { dtype: this.dtype, policy: this.policy })
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix.pick
+ * @desc Curried function returning the submatrix of the given rows and columns
+ * @see Matrix#pick
+ * @param {Array} rowIndices - Indices of the rows
+ * @param {Array} colIndices - Indices of the columns
+ * @param {Matrix|Array} M
+ * @returns {Matrix}
+ */
+Matrix.pick = curry(function (rowIndices, colIndices, M) {
+  return Matrix.of(M).pick(rowIndices, colIndices)
+})
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#set
+ * @desc Returns a new Matrix with the value at row i and column j replaced. Negative indices count from the end.
+ * @param {Number} i - Index of the row
+ * @param {Number} j - Index of the column
+ * @param {*} value
+ * @returns {Matrix}
+ * @example
+ *
+ * Matrix.of([[1, 2], [3, 4]]).set(0, -1, 5) // [[1, 5], [3, 4]]
+ *
+ */
+Matrix.prototype.set = function (i, j, value) {
+  return this.setBlock(i, j, [[value]])
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix.set
+ * @desc Curried function returning a new Matrix with the value at row i and column j replaced
+ * @see Matrix#set
+ * @param {Number} i - Index of the row
+ * @param {Number} j - Index of the column
+ * @param {*} value
+ * @param {Matrix|Array} M
+ * @returns {Matrix}
+ */
+Matrix.set = curry(function (i, j, value, M) {
+  return Matrix.of(M).set(i, j, value)
+})
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#setRow
+ * @desc Returns a new Matrix with a row replaced. Throws an error if the length of the row does not match the number of columns.
+ * @param {Number} index - Index of the row, negative indices count from the end
+ * @param {Array} row - The new values of the row
+ * @returns {Matrix}
+ * @example
+ *
+ * Matrix.of([[1, 2], [3, 4]]).setRow(1, [5, 6]) // [[1, 2], [5, 6]]
+ *
+ */
+Matrix.prototype.setRow = function (index, row) {
+  if (row.length !== this.getCols()) {
+    throw Error('The row has ' + row.length + ' values, the Matrix has ' + this.getCols() + ' columns')
+  }
+  return this.setBlock(index, 0, [Array.from(row)])
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix.setRow
+ * @desc Curried function returning a new Matrix with a row replaced
+ * @see Matrix#setRow
+ * @param {Number} index - Index of the row
+ * @param {Array} row - The new values of the row
+ * @param {Matrix|Array} M
+ * @returns {Matrix}
+ */
+Matrix.setRow = curry(function (index, row, M) {
+  return Matrix.of(M).setRow(index, row)
+})
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#setColumn
+ * @desc Returns a new Matrix with a column replaced. Throws an error if the length of the column does not match the number of rows.
+ * @param {Number} index - Index of the column, negative indices count from the end
+ * @param {Array} column - The new values of the column
+ * @returns {Matrix}
+ * @example
+ *
+ * Matrix.of([[1, 2], [3, 4]]).setColumn(0, [5, 6]) // [[5, 2], [6, 4]]
+ *
+ */
+Matrix.prototype.setColumn = function (index, column) {
+  if (column.length !== this.getRows()) {
+    throw Error('The column has ' + column.length + ' values, the Matrix has ' + this.getRows() + ' rows')
+  }
+  return this.setBlock(0, index, Array.from(column, x => [x]))
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix.setColumn
+ * @desc Curried function returning a new Matrix with a column replaced
+ * @see Matrix#setColumn
+ * @param {Number} index - Index of the column
+ * @param {Array} column - The new values of the column
+ * @param {Matrix|Array} M
+ * @returns {Matrix}
+ */
+Matrix.setColumn = curry(function (index, column, M) {
+  return Matrix.of(M).setColumn(index, column)
+})
+
+/**
+ * @memberOf Matrix
+ * @function Matrix#setBlock
+ * @desc Returns a new Matrix with the block starting at row i and column j replaced by the values of a Matrix.
+ * Negative indices count from the end. Throws an error if the block does not fit in the Matrix.
+ * A typed Matrix keeps its dtype when the block holds numbers, other values, like complex numbers, return a Matrix with the 'array' dtype.
+ * @param {Number} i - Row index of the upper left value of the block
+ * @param {Number} j - Column index of the upper left value of the block
+ * @param {Matrix|Array} M - The block
+ * @returns {Matrix}
+ * @example
+ *
+ * Matrix.zeros(3, 3).setBlock(1, 1, [[1, 2], [3, 4]]) // [[0, 0, 0], [0, 1, 2], [0, 3, 4]]
+ *
+ */
+Matrix.prototype.setBlock = function (i, j, M) {
+  const B = Matrix.of(M).toArray()
+  const row = index(i, this.getRows())
+  const col = index(j, this.getCols())
+  const rows = B.length
+  const cols = rows ? B[0].length : 0
+  if (row + rows > this.getRows() || col + cols > this.getCols()) {
+    throw Error('The ' + rows + 'x' + cols + ' block at (' + i + ', ' + j + ') does not fit in the ' + this.getRows() + 'x' + this.getCols() + ' Matrix')
+  }
+  const floats = this.dtype === 'float64' || this.dtype === 'float32'
+  const typed = floats && (!rows || packable(B))
+  const result = typed ? allocate(this.getRows(), this.getCols(), this.dtype) : this.toArray()
+  if (typed) {
+    this.__value.forEach((values, r) => result[r].set(values))
+  }
+  B.forEach((values, r) => values.forEach((x, c) => {
+    result[row + r][col + c] = x
+  }))
+  return Matrix.of(result, { dtype: floats && !typed ? 'array' : this.dtype, policy: this.policy })
+}
+
+/**
+ * @memberOf Matrix
+ * @function Matrix.setBlock
+ * @desc Curried function returning a new Matrix with a block replaced
+ * @see Matrix#setBlock
+ * @param {Number} i - Row index of the upper left value of the block
+ * @param {Number} j - Column index of the upper left value of the block
+ * @param {Matrix|Array} B - The block
+ * @param {Matrix|Array} M
+ * @returns {Matrix}
+ */
+Matrix.setBlock = curry(function (i, j, B, M) {
+  return Matrix.of(M).setBlock(i, j, B)
+})
+
+/**
+ * @memberOf Matrix
+ * @static
+ * @property {SparseMatrix} SparseMatrix - The SparseMatrix class
+ * @see SparseMatrix
+ */
+Matrix.SparseMatrix = SparseMatrix
+
+/**
+ * @memberOf Matrix
+ * @static
+ * @property {Complex} Complex - The Complex number class for complex Matrix elements
+ * @see Complex
+ */
+Matrix.Complex = Complex
+
+/**
+ * @memberOf Matrix
+ * @static
+ * @property {Rational} Rational - The exact fraction class for rational Matrix elements
+ * @see Rational
+ */
+Matrix.Rational = Rational
+
+/**
+ * @memberOf Matrix
+ * @static
+ * @property {Vector} Vector - The row or column Vector class
+ * @see Vector
+ */
+Matrix.Vector = Vector
+
+/**
+ * @memberOf Matrix
+ * @static
+ * @property {LazyMatrix} LazyMatrix - The LazyMatrix class recording fused elementwise operations
+ * @see LazyMatrix
+ */
+Matrix.LazyMatrix = LazyMatrix
+
 export default Matrix
@@ -0,0 +1,239 @@
+/* global BigInt */
+
+/**
+ * @function gcd
+ * @desc Greatest common divisor of two non-negative BigInts
+ */
+const gcd = (a, b) => {
+  while (b !== BigInt(0)) {
+    const t = a % b
+    a = b
+    b = t
+  }
+  return a
+}
+
+/**
+ * @function toBigInt
+ * @desc Converts an integer Number, BigInt or string of digits to a BigInt
+ */
+const toBigInt = x => {
+  if (typeof x === 'number' && !Number.isInteger(x)) {
+    throw Error('The numerator and denominator of a Rational need to be integers, got ' + x)
+  }
+  return BigInt(x)
+}
+
+/**
+ * @class Rational
+ * @classdesc Immutable exact fraction p/q with BigInt numerator and denominator that can be used as the value of a Matrix element.
+ * Fractions are always stored in lowest terms with a positive denominator.
+ * @summary The Rational class should not be instantiated with the new keyword. Instead use Rational.of or Rational.from.
+ * @hidecontructor
+ * @see Rational.of
+ * @example
+ *
+ * const r = Matrix.Rational.of(1, 3)
+ * r.add(Matrix.Rational.of(1, 6)).toString() // '1/2'
+ *
+ */
+let Rational = function (num, den) {
+  this.num = num
+  this.den = den
+}
+
+/**
+ * @memberOf Rational
+ * @static
+ * @function Rational.of
+ * @desc Creates the fraction num / den in lowest terms
+ * @param {Number|BigInt|String} num - Integer numerator
+ * @param {Number|BigInt|String} [den=1] - Integer denominator, not zero
+ * @returns {Rational}
+ */
+Rational.of = function (num, den = 1) {
+  let p = toBigInt(num)
+  let q = toBigInt(den)
+  if (q === BigInt(0)) {
+    throw Error('The denominator of a Rational cannot be zero')
+  }
+  if (q < BigInt(0)) {
+    p = -p
+    q = -q
+  }
+  const g = gcd(p < BigInt(0) ? -p : p, q)
+  return new Rational(p / g, q / g)
+}
+
+/**
+ * @memberOf Rational
+ * @static
+ * @function Rational.from
+ * @desc Converts a value to a fraction, rational numbers are returned as is.
+ * Numbers are converted using their shortest decimal representation, so 0.1 becomes 1/10.
+ * Strings can be given as 'p/q' or as a decimal number.
+ * @param {Number|BigInt|String|Rational} x
+ * @returns {Rational}
+ * @example
+ *
+ * Rational.from(0.25).toString() // '1/4'
+ * Rational.from('-6/4').toString() // '-3/2'
+ */
+Rational.from = function (x) {
+  if (x instanceof Rational) return x
+  if (typeof x === typeof BigInt(0)) return new Rational(x, BigInt(1))
+  if (typeof x === 'string' && x.indexOf('/') !== -1) {
+    const [p, q] = x.split('/')
+    return Rational.of(p.trim(), q.trim())
+  }
+  if (typeof x !== 'number' && typeof x !== 'string') {
+    throw Error('Cannot convert ' + x + ' to a Rational')
+  }
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(x).trim())
+  if (!match || !(match[2] || match[3])) {
+    throw Error('Cannot convert ' + x + ' to a Rational')
+  }
+  const fraction = match[3] || ''
+  const exponent = Number(match[4] || 0) - fraction.length
+  const digits = BigInt((match[1] === '-' ? '-' : '') + (match[2] || '0') + fraction)
+  const power = BigInt('1' + '0'.repeat(Math.abs(exponent)))
+  return exponent < 0 ? Rational.of(digits, power) : Rational.of(digits * power)
+}
+
+/**
+ * @memberOf Rational
+ * @property {String} type - Returns the string 'Rational' for all Rational objects
+ * @type {String}
+ */
+Rational.prototype.type = 'Rational'
+
+/**
+ * @memberOf Rational
+ * @function Rational#add
+ * @param {Number|Rational} r
+ * @returns {Rational}
+ */
+Rational.prototype.add = function (r) {
+  const s = Rational.from(r)
+  return Rational.of(this.num * s.den + s.num * this.den, this.den * s.den)
+}
+
+/**
+ * @memberOf Rational
+ * @function Rational#subtract
+ * @param {Number|Rational} r
+ * @returns {Rational}
+ */
+Rational.prototype.subtract = function (r) {
+  const s = Rational.from(r)
+  return Rational.of(this.num * s.den - s.num * this.den, this.den * s.den)
+}
+
+/**
+ * @memberOf Rational
+ * @function Rational#multiply
+ * @param {Number|Rational} r
+ * @returns {Rational}
+ */
+Rational.prototype.multiply = function (r) {
+  const s = Rational.from(r)
+  return Rational.of(this.num * s.num, this.den * s.den)
+}
+
+/**
+ * @memberOf Rational
+ * @function Rational#divide
+ * @desc Divides by a number or a fraction, throws an error when dividing by zero
+ * @param {Number|Rational} r
+ * @returns {Rational}
+ */
+Rational.prototype.divide = function (r) {
+  const s = Rational.from(r)
+  if (s.isZero()) {
+    throw Error('Division of a Rational by zero')
+  }
+  return Rational.of(this.num * s.den, this.den * s.num)
+}
+
+/**
+ * @memberOf Rational
+ * @function Rational#negate
+ * @returns {Rational}
+ */
+Rational.prototype.negate = function () {
+  return new Rational(-this.num, this.den)
+}
+
+/**
+ * @memberOf Rational
+ * @function Rational#conjugate
+ * @desc Rational numbers are real, the conjugate is the number itself
+ * @returns {Rational}
+ */
+Rational.prototype.conjugate = function () {
+  return this
+}
+
+/**
+ * @memberOf Rational
+ * @function Rational#abs
+ * @returns {Rational}
+ */
+Rational.prototype.abs = function () {
+  return this.num < BigInt(0) ? this.negate() : this
+}
+
+/**
+ * @memberOf Rational
+ * @function Rational#isZero
+ * @returns {Boolean}
+ */
+Rational.prototype.isZero = function () {
+  return this.num === BigInt(0)
+}
+
+/**
+ * @memberOf Rational
+ * @function Rational#equals
+ * @param {Number|Rational} r
+ * @returns {Boolean}
+ */
+Rational.prototype.equals = function (r) {
+  const s = Rational.from(r)
+  return this.num === s.num && this.den === s.den
+}
+
+/**
+ * @memberOf Rational
+ * @function Rational#valueOf
+ * @desc Returns the nearest Number, which makes comparisons like a < b work on fractions
+ * @returns {Number}
+ */
+Rational.prototype.valueOf = function () {
+  return Number(this.num) / Number(this.den)
+}
+
+/**
+ * @memberOf Rational
+ * @function Rational#toString
+ * @returns {String}
+ * @example
+ *
+ * Rational.of(-2, 4).toString() // '-1/2'
+ * Rational.of(3).toString() // '3'
+ */
+Rational.prototype.toString = function () {
+  return this.den === BigInt(1) ? String(this.num) : this.num + '/' + this.den
+}
+
+/**
+ * @memberOf Rational
+ * @function Rational#toJSON
+ * @desc BigInts cannot be serialized to JSON, fractions are serialized as their string 'p/q'
+ * @returns {String}
+ */
+Rational.prototype.toJSON = function () {
+  return this.toString()
+}
+
+export default Rational
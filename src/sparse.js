@@ -0,0 +1,442 @@
+import { curry, fold } from 'fun.js'
+import Matrix from './matrix'
+import matrixMarket from './util/matrixMarket'
+
+/**
+ * @class SparseMatrix
+ * @classdesc Sparse Matrix stored in compressed sparse row (CSR) format: the non-zero values row by row, their column indices and
+ * for every row the position of its first value. Operations with a dense Matrix return a dense Matrix, so the same call sites work regardless of density.
+ * @summary The SparseMatrix class should not be instantiated with the new keyword. Use SparseMatrix.fromCOO or SparseMatrix.of instead.
+ * @hidecontructor
+ * @see SparseMatrix.fromCOO
+ * @see SparseMatrix.of
+ * @example
+ *
+ * const S = Matrix.SparseMatrix.fromCOO(3, 3, [0, 1, 2], [0, 1, 2], [1, 2, 3])
+ * // values = [1, 2, 3], colIndices = [0, 1, 2], rowPointers = [0, 1, 2, 3]
+ *
+ */
+let SparseMatrix = function (rows, cols, values, colIndices, rowPointers) {
+  this.rows = rows
+  this.cols = cols
+  this.values = values
+  this.colIndices = colIndices
+  this.rowPointers = rowPointers
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @property {String} type - Returns the string 'SparseMatrix' for all SparseMatrix objects
+ * @type {String}
+ */
+SparseMatrix.prototype.type = 'SparseMatrix'
+
+/**
+ * @memberOf SparseMatrix
+ * @static
+ * @function SparseMatrix.fromCOO
+ * @desc Creates a SparseMatrix from coordinate (COO) format. Duplicate entries are summed and zeros are dropped.
+ * Throws an error for indices that are not integers or lie outside of the SparseMatrix.
+ * @param {Number} rows - Number of rows
+ * @param {Number} cols - Number of columns
+ * @param {Number[]} rowIndices - Row index of every entry
+ * @param {Number[]} colIndices - Column index of every entry
+ * @param {Number[]} values - Value of every entry
+ * @returns {SparseMatrix}
+ * @example
+ *
+ * const S = SparseMatrix.fromCOO(2, 3, [0, 1, 0], [2, 0, 2], [1, 4, 2])
+ * S.toMatrix() // [[0, 0, 3], [4, 0, 0]]
+ *
+ */
+SparseMatrix.fromCOO = function (rows, cols, rowIndices, colIndices, values) {
+  if (rowIndices.length !== values.length || colIndices.length !== values.length) {
+    throw new Error('The COO row indices, column indices and values need the same length')
+  }
+  const order = values.map((x, k) => k).sort((a, b) => rowIndices[a] - rowIndices[b] || colIndices[a] - colIndices[b])
+  const entries = fold((acc, k) => {
+    const i = rowIndices[k]
+    const j = colIndices[k]
+    if (!Number.isInteger(i) || !Number.isInteger(j)) {
+      throw new Error('The COO entry (' + i + ', ' + j + ') needs integer indices')
+    }
+    if (!(i >= 0 && i < rows && j >= 0 && j < cols)) {
+      throw new Error('The COO entry (' + i + ', ' + j + ') lies outside of the ' + rows + 'x' + cols + ' SparseMatrix')
+    }
+    const last = acc[acc.length - 1]
+    if (last && last[0] === i && last[1] === j) {
+      last[2] += values[k]
+    } else {
+      acc.push([i, j, values[k]])
+    }
+    return acc
+  }, [])(order).filter(entry => entry[2] !== 0)
+
+  const rowPointers = Array(rows + 1).fill(0)
+  entries.forEach(entry => ++rowPointers[entry[0] + 1])
+  for (let i = 0; i < rows; ++i) rowPointers[i + 1] += rowPointers[i]
+
+  return new SparseMatrix(rows, cols, entries.map(entry => entry[2]), entries.map(entry => entry[1]), rowPointers)
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @static
+ * @function SparseMatrix.of
+ * @desc Creates a SparseMatrix from a dense Matrix or an array of arrays, keeping only the non-zero values
+ * @param {SparseMatrix|Matrix|Array} M
+ * @returns {SparseMatrix}
+ * @example
+ *
+ * const S = SparseMatrix.of([[1, 0], [0, 2]])
+ *
+ */
+SparseMatrix.of = function (M) {
+  if (M instanceof SparseMatrix) return M
+  const a = Matrix.of(M).toArray()
+  const values = []
+  const colIndices = []
+  const rowPointers = [0]
+  a.forEach(row => {
+    row.forEach((x, j) => {
+      if (x !== 0) {
+        values.push(x)
+        colIndices.push(j)
+      }
+    })
+    rowPointers.push(values.length)
+  })
+  return new SparseMatrix(a.length, a.length ? a[0].length : 0, values, colIndices, rowPointers)
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @function SparseMatrix#toMatrix
+ * @desc Returns the dense Matrix
+ * @returns {Matrix}
+ */
+SparseMatrix.prototype.toMatrix = function () {
+  const m = Matrix.zeros(this.rows, this.cols).__value
+  this.forEach((x, i, j) => {
+    m[i][j] = x
+  })
+  return Matrix.of(m)
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @function SparseMatrix#toArray
+ * @desc Returns the dense array of arrays
+ * @returns {Array}
+ */
+SparseMatrix.prototype.toArray = function () {
+  return this.toMatrix().__value
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @function SparseMatrix#forEach
+ * @desc Calls a function for every stored (non-zero) value, row by row
+ * @param {Function} f - Called with the value, its row index and its column index
+ */
+SparseMatrix.prototype.forEach = function (f) {
+  for (let i = 0; i < this.rows; ++i) {
+    for (let k = this.rowPointers[i]; k < this.rowPointers[i + 1]; ++k) {
+      f(this.values[k], i, this.colIndices[k])
+    }
+  }
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @function SparseMatrix#toMatrixMarket
+ * @desc Returns the SparseMatrix in the coordinate Matrix Market exchange format without creating the dense Matrix
+ * @see Matrix#toMatrixMarket
+ * @param {Object} [options]
+ * @param {String} [options.field] - Either 'real', 'integer' or 'pattern', defaults to 'integer' when all values are integers and 'real' otherwise
+ * @param {String} [options.symmetry='general'] - Either 'general', 'symmetric' or 'skew-symmetric'
+ * @returns {String}
+ */
+SparseMatrix.prototype.toMatrixMarket = function (options = {}) {
+  const entries = []
+  this.forEach((x, i, j) => entries.push([i, j, x]))
+  entries.sort((a, b) => a[1] - b[1] || a[0] - b[0])
+  return matrixMarket.stringify(entries, this.rows, this.cols, { format: 'coordinate', field: options.field, symmetry: options.symmetry })
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @function SparseMatrix#getRows
+ * @desc Number indicating the number of rows in the SparseMatrix
+ * @returns {Number}
+ */
+SparseMatrix.prototype.getRows = function () {
+  return this.rows
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @function SparseMatrix#getCols
+ * @desc Number indicating the number of columns in the SparseMatrix
+ * @returns {Number}
+ */
+SparseMatrix.prototype.getCols = function () {
+  return this.cols
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @function SparseMatrix#getShape
+ * @returns {Array}
+ */
+SparseMatrix.prototype.getShape = function () {
+  return [this.rows, this.cols]
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @function SparseMatrix#nnz
+ * @desc Number of stored (non-zero) values
+ * @returns {Number}
+ */
+SparseMatrix.prototype.nnz = function () {
+  return this.values.length
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @function SparseMatrix#getRow
+ * @desc Returns the values of a row as a dense array
+ * @param {Number} index Index of the row
+ * @returns {Array}
+ */
+SparseMatrix.prototype.getRow = function (index) {
+  const row = Array(this.cols).fill(0)
+  for (let k = this.rowPointers[index]; k < this.rowPointers[index + 1]; ++k) {
+    row[this.colIndices[k]] = this.values[k]
+  }
+  return row
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @function SparseMatrix#getColumn
+ * @desc Returns the values of a column as a dense array
+ * @param {Number} index Index of the column
+ * @returns {Array}
+ */
+SparseMatrix.prototype.getColumn = function (index) {
+  const column = Array(this.rows).fill(0)
+  this.forEach((x, i, j) => {
+    if (j === index) column[i] = x
+  })
+  return column
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @function SparseMatrix#sum
+ * @desc Returns the sum of the values in the SparseMatrix
+ * @returns {Number}
+ */
+SparseMatrix.prototype.sum = function () {
+  return fold((acc, x) => acc + x, 0)(this.values)
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @function SparseMatrix#transpose
+ * @desc Returns the transposed SparseMatrix
+ * @returns {SparseMatrix}
+ */
+SparseMatrix.prototype.transpose = function () {
+  const rowPointers = Array(this.cols + 1).fill(0)
+  this.colIndices.forEach(j => ++rowPointers[j + 1])
+  for (let j = 0; j < this.cols; ++j) rowPointers[j + 1] += rowPointers[j]
+
+  const next = rowPointers.slice()
+  const values = Array(this.values.length)
+  const colIndices = Array(this.values.length)
+  this.forEach((x, i, j) => {
+    values[next[j]] = x
+    colIndices[next[j]] = i
+    ++next[j]
+  })
+  return new SparseMatrix(this.cols, this.rows, values, colIndices, rowPointers)
+}
+
+/**
+ * @function merge
+ * @desc Combines the rows of 2 SparseMatrices of the same shape value by value
+ * @param {SparseMatrix} A
+ * @param {SparseMatrix} B
+ * @param {Function} f - Combines the value of A and the value of B (0 when not stored)
+ * @param {Boolean} union - Visit the positions stored in either Matrix, otherwise only the positions stored in both
+ * @returns {SparseMatrix}
+ */
+function merge (A, B, f, union) {
+  const values = []
+  const colIndices = []
+  const rowPointers = [0]
+  const push = (j, x) => {
+    if (x !== 0) {
+      values.push(x)
+      colIndices.push(j)
+    }
+  }
+  for (let i = 0; i < A.rows; ++i) {
+    let p = A.rowPointers[i]
+    let q = B.rowPointers[i]
+    while (p < A.rowPointers[i + 1] || q < B.rowPointers[i + 1]) {
+      const ja = p < A.rowPointers[i + 1] ? A.colIndices[p] : Infinity
+      const jb = q < B.rowPointers[i + 1] ? B.colIndices[q] : Infinity
+      if (ja === jb) {
+        push(ja, f(A.values[p++], B.values[q++]))
+      } else if (ja < jb) {
+        if (union) push(ja, f(A.values[p], 0))
+        ++p
+      } else {
+        if (union) push(jb, f(0, B.values[q]))
+        ++q
+      }
+    }
+    rowPointers.push(values.length)
+  }
+  return new SparseMatrix(A.rows, A.cols, values, colIndices, rowPointers)
+}
+
+/**
+ * @function sameShape
+ * @desc Throws an error when 2 Matrices do not have the same shape
+ */
+function sameShape (A, B, operation) {
+  if (A.getRows() !== B.getRows() || A.getCols() !== B.getCols()) {
+    throw new Error('Matrices do not match, cannot ' + operation)
+  }
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @function SparseMatrix#add
+ * @desc Adds a SparseMatrix, a Matrix or a number. Only the sum of 2 SparseMatrices is sparse, the other sums are dense.
+ * @param {SparseMatrix|Matrix|Number} M
+ * @returns {SparseMatrix|Matrix}
+ */
+SparseMatrix.prototype.add = function (M) {
+  if (M instanceof SparseMatrix) {
+    sameShape(this, M, 'add')
+    return merge(this, M, (a, b) => a + b, true)
+  }
+  return this.toMatrix().add(M)
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @function SparseMatrix#multiply
+ * @desc Multiplies elementwise (Hadamard product) with a SparseMatrix, a Matrix or a number. The result is always sparse.
+ * @param {SparseMatrix|Matrix|Number} M
+ * @returns {SparseMatrix}
+ */
+SparseMatrix.prototype.multiply = function (M) {
+  if (typeof M === 'number') {
+    const values = M === 0 ? [] : this.values.map(x => x * M)
+    const rowPointers = M === 0 ? this.rowPointers.map(() => 0) : this.rowPointers.slice()
+    return new SparseMatrix(this.rows, this.cols, values, M === 0 ? [] : this.colIndices.slice(), rowPointers)
+  }
+  if (M instanceof SparseMatrix) {
+    sameShape(this, M, 'create hadamard product')
+    return merge(this, M, (a, b) => a * b, false)
+  }
+  const B = Matrix.of(M)
+  sameShape(this, B, 'create hadamard product')
+  return this.map((x, i, j) => x * B.__value[i][j])
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @function SparseMatrix#map
+ * @desc Maps over the stored (non-zero) values, zeros returned by the function are dropped
+ * @param {Function} f - Called with the value, its row index and its column index
+ * @returns {SparseMatrix}
+ */
+SparseMatrix.prototype.map = function (f) {
+  const rows = []
+  const cols = []
+  const values = []
+  this.forEach((x, i, j) => {
+    rows.push(i)
+    cols.push(j)
+    values.push(f(x, i, j))
+  })
+  return SparseMatrix.fromCOO(this.rows, this.cols, rows, cols, values)
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @function SparseMatrix#dot
+ * @desc Returns the Matrix product. The product of 2 SparseMatrices is sparse, the product with a dense Matrix is dense.
+ * @param {SparseMatrix|Matrix|Array} M - Right side of the product
+ * @returns {SparseMatrix|Matrix}
+ */
+SparseMatrix.prototype.dot = function (M) {
+  if (M instanceof SparseMatrix) {
+    if (this.cols !== M.rows) {
+      throw new Error('Matrices do not match, cannot create dot product')
+    }
+    const values = []
+    const colIndices = []
+    const rowPointers = [0]
+    const acc = Array(M.cols).fill(0)
+    const marker = Array(M.cols).fill(-1)
+    for (let i = 0; i < this.rows; ++i) {
+      const used = []
+      for (let p = this.rowPointers[i]; p < this.rowPointers[i + 1]; ++p) {
+        const k = this.colIndices[p]
+        for (let q = M.rowPointers[k]; q < M.rowPointers[k + 1]; ++q) {
+          const j = M.colIndices[q]
+          if (marker[j] !== i) {
+            marker[j] = i
+            acc[j] = 0
+            used.push(j)
+          }
+          acc[j] += this.values[p] * M.values[q]
+        }
+      }
+      used.sort((a, b) => a - b).forEach(j => {
+        if (acc[j] !== 0) {
+          values.push(acc[j])
+          colIndices.push(j)
+        }
+      })
+      rowPointers.push(values.length)
+    }
+    return new SparseMatrix(this.rows, M.cols, values, colIndices, rowPointers)
+  }
+
+  const B = Matrix.of(M)
+  if (this.cols !== B.getRows()) {
+    throw new Error('Matrices do not match, cannot create dot product')
+  }
+  const n = B.getCols()
+  const result = Matrix.zeros(this.rows, n).__value
+  this.forEach((x, i, k) => {
+    const row = B.__value[k]
+    for (let j = 0; j < n; ++j) result[i][j] += x * row[j]
+  })
+  return Matrix.of(result)
+}
+
+/**
+ * @memberOf SparseMatrix
+ * @static
+ * @function SparseMatrix.dot
+ * @description Curried function that returns the dot product of 2 matrices
+ * @param {SparseMatrix} A - Left side of the dot product
+ * @param {SparseMatrix|Matrix|Array} B - Right side of the dot product
+ * @returns {SparseMatrix|Matrix}
+ */
+SparseMatrix.dot = curry(function (A, B) {
+  return SparseMatrix.of(A).dot(B)
+})
+
+export default SparseMatrix
@@ -0,0 +1,22 @@
+const dtypes = {
+  float64: Float64Array,
+  float32: Float32Array
+}
+
+/**
+ * @function allocate
+ * @desc Helper function allocating the zeros of a typed Matrix in a single typed array with row-major strides,
+ * without creating nested arrays first. Every row is returned as a view (subarray) on the shared buffer.
+ * @param {Number} rows - Number of rows
+ * @param {Number} cols - Number of columns
+ * @param {String} dtype - Either 'float64' or 'float32'
+ * @returns {Array} Array of typed row views
+ */
+export default function allocate (rows, cols, dtype) {
+  const TypedArray = dtypes[dtype]
+  if (!TypedArray) {
+    throw Error('Unknown dtype \'' + dtype + '\', use \'float64\' or \'float32\'')
+  }
+  const data = new TypedArray(rows * cols)
+  return Array.from(Array(rows), (x, i) => data.subarray(i * cols, (i + 1) * cols))
+}
@@ -0,0 +1,33 @@
+/**
+ * @function shape
+ * @desc Returns the shape of an array of arrays as a string like '2x3'
+ */
+const shape = a => a.length + 'x' + (a.length ? a[0].length : 0)
+
+/**
+ * @function broadcast
+ * @desc Helper function applying a binary function to the values of two arrays of arrays with NumPy-style broadcasting.
+ * A dimension of length 1 is repeated to match the other array, so row vectors, column vectors and 1x1 arrays can be combined with any array.
+ * Throws an error naming both shapes when they cannot be broadcast.
+ * @param {Array} a - Array of arrays on the left side of the operation
+ * @param {Array} b - Array of arrays on the right side of the operation
+ * @param {Function} f - Binary function applied to the values
+ * @param {String} operation - Name of the operation used in the error message
+ * @returns {Array}
+ */
+export default function broadcast (a, b, f, operation) {
+  const m = a.length
+  const n = m ? a[0].length : 0
+  const p = b.length
+  const q = p ? b[0].length : 0
+  const rows = m === p || p === 1 ? m : (m === 1 ? p : -1)
+  const cols = n === q || q === 1 ? n : (n === 1 ? q : -1)
+  if (rows < 0 || cols < 0) {
+    throw Error('Matrices do not match, cannot ' + operation + ' a ' + shape(a) + ' and a ' + shape(b) + ' Matrix')
+  }
+  return Array.from(Array(rows), (x, i) => {
+    const left = a[m === 1 ? 0 : i]
+    const right = b[p === 1 ? 0 : i]
+    return Array.from(Array(cols), (y, j) => f(left[n === 1 ? 0 : j], right[q === 1 ? 0 : j]))
+  })
+}
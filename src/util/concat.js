@@ -8,5 +8,5 @@ import { curry, concat } from 'fun.js'
  * @returns {Array}
  */
 export default curry(function (M, m, idx) {
-  return concat(m, M.__value[idx])
+  return concat(m, Array.from(M.__value[idx]))
 })
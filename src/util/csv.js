@@ -0,0 +1,75 @@
+/**
+ * @function parse
+ * @desc Splits delimited text into rows of string fields. Fields can be quoted with double quotes, which allows delimiters,
+ * line breaks and escaped quotes ("") inside a field. Both \n and \r\n end a row, an empty line is a row with one empty field
+ * and a line break at the end of the text does not start another row.
+ * @param {String} text
+ * @param {String} delimiter
+ * @returns {Array} Rows of fields
+ */
+const parse = (text, delimiter) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  let wasQuoted = false
+  const endRow = last => {
+    row.push(field)
+    if (!last || row.length > 1 || field !== '' || wasQuoted) {
+      rows.push(row)
+    }
+    row = []
+    field = ''
+    wasQuoted = false
+  }
+  for (let i = 0; i < text.length; ++i) {
+    const c = text[i]
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"'
+        ++i
+      } else if (c === '"') {
+        quoted = false
+      } else {
+        field += c
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true
+      wasQuoted = true
+    } else if (text.startsWith(delimiter, i)) {
+      row.push(field)
+      field = ''
+      wasQuoted = false
+      i += delimiter.length - 1
+    } else if (c === '\n') {
+      endRow(false)
+    } else if (c !== '\r' || text[i + 1] !== '\n') {
+      field += c
+    }
+  }
+  if (quoted) {
+    throw Error('Unterminated quoted field in row ' + (rows.length + 1))
+  }
+  endRow(true)
+  return rows
+}
+
+/**
+ * @function quote
+ * @desc Quotes a field when it contains the delimiter, a double quote or a line break
+ * @param {String} field
+ * @param {String} delimiter
+ * @returns {String}
+ */
+const quote = (field, delimiter) => field.indexOf(delimiter) !== -1 || /["\r\n]/.test(field)
+  ? '"' + field.replace(/"/g, '""') + '"'
+  : field
+
+/**
+ * @namespace csv
+ * @desc Helper functions reading and writing delimited text like CSV and TSV
+ */
+export default {
+  parse,
+  stringify: (rows, delimiter) => rows.map(row => row.map(field => quote(field, delimiter)).join(delimiter)).join('\n') + '\n'
+}
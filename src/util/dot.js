@@ -1,5 +1,5 @@
 import { curry, map, fold } from 'fun.js'
-import round from './round'
+import scalar from './scalar'
 
 /**
  * @function dot
@@ -8,9 +8,12 @@ import round from './round'
  * @param {Array} a - Array representing theleft side of the dot product
  * @returns {Array}
  */
-export default curry((decimals, B, a) => map((item, i) => {
+export default curry((B, a) => map((item, i) => {
   return fold((acc, x, j) => {
-    acc += round(x * B.__value[j][i], decimals)
-    return acc
+    const y = B.__value[j][i]
+    if (typeof x === 'number' && typeof y === 'number') {
+      return scalar.add(acc, x * y)
+    }
+    return scalar.add(acc, scalar.multiply(x, y))
   }, 0)(a)
 })(B.__value[0]))
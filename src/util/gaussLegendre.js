@@ -0,0 +1,31 @@
+/**
+ * @function gaussLegendre
+ * @desc Returns the nodes and weights of the m-point Gauss-Legendre quadrature on the interval [0, 1].
+ * The roots of the Legendre polynomial are found with Newton's method.
+ * @param {Number} m - Number of nodes
+ * @returns {Array} [nodes, weights]
+ */
+export default function gaussLegendre (m) {
+  const nodes = []
+  const weights = []
+  for (let i = 1; i <= m; ++i) {
+    let x = Math.cos(Math.PI * (i - 0.25) / (m + 0.5))
+    let derivative = 1
+    for (let iteration = 0; iteration < 100; ++iteration) {
+      let p0 = 1
+      let p1 = x
+      for (let k = 2; k <= m; ++k) {
+        const p2 = ((2 * k - 1) * x * p1 - (k - 1) * p0) / k
+        p0 = p1
+        p1 = p2
+      }
+      derivative = m * (x * p1 - p0) / (x * x - 1)
+      const step = p1 / derivative
+      x -= step
+      if (Math.abs(step) < 1e-15) break
+    }
+    nodes.push((1 - x) / 2)
+    weights.push(1 / ((1 - x * x) * derivative * derivative))
+  }
+  return [nodes, weights]
+}
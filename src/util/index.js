@@ -0,0 +1,14 @@
+/**
+ * @function index
+ * @desc Helper function normalizing an index on a dimension of length n, negative indices count from the end
+ * @param {Number} i - Index, -1 is the last index
+ * @param {Number} n - Length of the dimension
+ * @returns {Number} Index between 0 and n - 1
+ */
+export default function index (i, n) {
+  const idx = i < 0 ? i + n : i
+  if (!Number.isInteger(idx) || idx < 0 || idx >= n) {
+    throw Error('Index ' + i + ' is out of bounds for a dimension of length ' + n)
+  }
+  return idx
+}
@@ -0,0 +1,259 @@
+/**
+ * @function inner
+ * @desc Returns the inner product of 2 arrays of numbers
+ */
+const inner = (x, y) => {
+  let acc = 0
+  for (let i = 0; i < x.length; ++i) acc += x[i] * y[i]
+  return acc
+}
+
+/**
+ * @function norm
+ * @desc Returns the Euclidean norm of an array of numbers
+ */
+const norm = x => Math.sqrt(inner(x, x))
+
+/**
+ * @function axpy
+ * @desc Returns x + a * y as a new array
+ */
+const axpy = (x, a, y) => x.map((xi, i) => xi + a * y[i])
+
+/**
+ * @function product
+ * @desc Returns the function multiplying a compressed sparse row Matrix { values, colIndices, rowPointers } with an array
+ */
+const product = ({ values, colIndices, rowPointers }) => x => {
+  const y = []
+  for (let i = 0; i < rowPointers.length - 1; ++i) {
+    let acc = 0
+    for (let k = rowPointers[i]; k < rowPointers[i + 1]; ++k) acc += values[k] * x[colIndices[k]]
+    y.push(acc)
+  }
+  return y
+}
+
+/**
+ * @function diagonal
+ * @desc Returns the diagonal of a compressed sparse row Matrix, throwing an error when a value on the diagonal is zero
+ */
+const diagonal = ({ values, colIndices, rowPointers }) => Array.from(Array(rowPointers.length - 1), (x, i) => {
+  for (let k = rowPointers[i]; k < rowPointers[i + 1]; ++k) {
+    if (colIndices[k] === i) return values[k]
+  }
+  throw Error('The Matrix has a zero on the diagonal at row ' + i)
+})
+
+/**
+ * @function preconditioner
+ * @desc Returns the function applying the preconditioner, which is the identity without a preconditioner and divides
+ * by the diagonal for the 'jacobi' preconditioner
+ */
+const preconditioner = (A, M) => {
+  if (M === undefined) return r => r
+  if (typeof M === 'function') return M
+  if (M !== 'jacobi') {
+    throw Error('The preconditioner needs to be a function or \'jacobi\'')
+  }
+  if (typeof A === 'function') {
+    throw Error('The \'jacobi\' preconditioner needs the values of the Matrix, not a function')
+  }
+  const d = diagonal(A)
+  return r => r.map((x, i) => x / d[i])
+}
+
+/**
+ * @function cg
+ * @desc Preconditioned conjugate gradient method for symmetric positive definite systems.
+ * The preconditioner needs to be symmetric positive definite as well.
+ */
+const cg = (apply, precondition, b, x0, tol, maxIter) => {
+  let x = x0
+  let r = axpy(b, -1, apply(x))
+  const history = [norm(r)]
+  let z = precondition(r)
+  let p = z
+  let rz = inner(r, z)
+  for (let k = 0; k < maxIter && history[history.length - 1] > tol; ++k) {
+    const Ap = apply(p)
+    const pAp = inner(p, Ap)
+    if (!(pAp > 0)) {
+      throw Error('The conjugate gradient method needs a symmetric positive definite Matrix')
+    }
+    const alpha = rz / pAp
+    x = axpy(x, alpha, p)
+    r = axpy(r, -alpha, Ap)
+    history.push(norm(r))
+    z = precondition(r)
+    const rzNext = inner(r, z)
+    p = axpy(z, rzNext / rz, p)
+    rz = rzNext
+  }
+  return [x, history]
+}
+
+/**
+ * @function bicgstab
+ * @desc Right preconditioned biconjugate gradient stabilized method for general systems.
+ * The iteration stops early on a breakdown, when the shadow residual becomes orthogonal to the residual.
+ */
+const bicgstab = (apply, precondition, b, x0, tol, maxIter) => {
+  let x = x0
+  let r = axpy(b, -1, apply(x))
+  const shadow = r
+  const history = [norm(r)]
+  let [rho, alpha, omega] = [1, 1, 1]
+  let v = r.map(() => 0)
+  let p = v
+  for (let k = 0; k < maxIter && history[history.length - 1] > tol; ++k) {
+    const rhoNext = inner(shadow, r)
+    if (rhoNext === 0 || omega === 0) break
+    p = axpy(r, (rhoNext / rho) * (alpha / omega), axpy(p, -omega, v))
+    const pHat = precondition(p)
+    v = apply(pHat)
+    alpha = rhoNext / inner(shadow, v)
+    const s = axpy(r, -alpha, v)
+    x = axpy(x, alpha, pHat)
+    if (norm(s) <= tol) {
+      r = s
+      history.push(norm(r))
+      break
+    }
+    const sHat = precondition(s)
+    const t = apply(sHat)
+    omega = inner(t, s) / inner(t, t)
+    x = axpy(x, omega, sHat)
+    r = axpy(s, -omega, t)
+    history.push(norm(r))
+    rho = rhoNext
+  }
+  return [x, history]
+}
+
+/**
+ * @function gmres
+ * @desc Right preconditioned restarted GMRES for general systems. The Arnoldi basis is orthogonalised with modified Gram-Schmidt
+ * and the least squares problem is solved with Givens rotations, which give the residual norm of every iteration.
+ * After every restart the residual is recalculated from the solution.
+ */
+const gmres = (apply, precondition, b, x0, tol, maxIter, restart) => {
+  let x = x0
+  let r = axpy(b, -1, apply(x))
+  const history = [norm(r)]
+  let iterations = 0
+  while (iterations < maxIter && history[history.length - 1] > tol) {
+    const beta = norm(r)
+    const V = [r.map(ri => ri / beta)]
+    const Z = []
+    const H = []
+    const [cs, sn] = [[], []]
+    const g = [beta]
+    let j = 0
+    let done = false
+    while (!done) {
+      Z.push(precondition(V[j]))
+      let w = apply(Z[j])
+      const h = []
+      for (let i = 0; i <= j; ++i) {
+        h[i] = inner(w, V[i])
+        w = axpy(w, -h[i], V[i])
+      }
+      h[j + 1] = norm(w)
+      for (let i = 0; i < j; ++i) {
+        const hi = h[i]
+        h[i] = cs[i] * hi + sn[i] * h[i + 1]
+        h[i + 1] = -sn[i] * hi + cs[i] * h[i + 1]
+      }
+      const d = Math.hypot(h[j], h[j + 1])
+      cs[j] = h[j] / d
+      sn[j] = h[j + 1] / d
+      const lucky = h[j + 1] === 0
+      if (!lucky) V.push(w.map(wi => wi / h[j + 1]))
+      h[j] = d
+      g[j + 1] = -sn[j] * g[j]
+      g[j] = cs[j] * g[j]
+      H.push(h)
+      ++j
+      ++iterations
+      done = lucky || Math.abs(g[j]) <= tol || j === restart || iterations >= maxIter
+      if (!done) history.push(Math.abs(g[j]))
+    }
+    const y = []
+    for (let i = j - 1; i >= 0; --i) {
+      let s = g[i]
+      for (let k = i + 1; k < j; ++k) s -= H[k][i] * y[k]
+      y[i] = s / H[i][i]
+    }
+    y.forEach((yi, i) => {
+      x = axpy(x, yi, Z[i])
+    })
+    r = axpy(b, -1, apply(x))
+    history.push(norm(r))
+  }
+  return [x, history]
+}
+
+/**
+ * @function stationary
+ * @desc Jacobi and successive over-relaxation sweeps of a compressed sparse row Matrix. Successive over-relaxation with
+ * omega = 1 is the Gauss-Seidel method.
+ */
+const stationary = (A, b, x0, tol, maxIter, method, omega) => {
+  const { values, colIndices, rowPointers } = A
+  const apply = product(A)
+  const d = diagonal(A)
+  const n = b.length
+  let x = x0
+  const history = [norm(axpy(b, -1, apply(x)))]
+  for (let k = 0; k < maxIter && history[history.length - 1] > tol; ++k) {
+    const next = method === 'jacobi' ? [] : x
+    for (let i = 0; i < n; ++i) {
+      let s = b[i]
+      for (let p = rowPointers[i]; p < rowPointers[i + 1]; ++p) {
+        if (colIndices[p] !== i) s -= values[p] * x[colIndices[p]]
+      }
+      next[i] = method === 'jacobi' ? s / d[i] : (1 - omega) * x[i] + omega * s / d[i]
+    }
+    x = next
+    history.push(norm(axpy(b, -1, apply(x))))
+  }
+  return [x, history]
+}
+
+/**
+ * @function solve
+ * @desc Solves Ax = b with an iterative method until the Euclidean norm of the residual is within the tolerance.
+ * @param {Object|Function} A - A compressed sparse row Matrix { values, colIndices, rowPointers } or a function returning Ax
+ * @param {Array} b - Right-hand side
+ * @param {Object} options - { method, x0, tol, maxIter, preconditioner, restart, omega }
+ * @returns {Array} [x, history] - The solution and the residual norm of the start and of every iteration
+ */
+const solve = (A, b, { method, x0, tol, maxIter, preconditioner: M, restart, omega }) => {
+  const x = Array.from(x0)
+  if (method === 'cg' || method === 'bicgstab' || method === 'gmres') {
+    const apply = typeof A === 'function' ? A : product(A)
+    const precondition = preconditioner(A, M)
+    return method === 'cg'
+      ? cg(apply, precondition, b, x, tol, maxIter)
+      : method === 'bicgstab'
+        ? bicgstab(apply, precondition, b, x, tol, maxIter)
+        : gmres(apply, precondition, b, x, tol, maxIter, restart)
+  }
+  if (typeof A === 'function') {
+    throw Error('The ' + method + ' method needs the values of the Matrix, not a function')
+  }
+  if (M !== undefined) {
+    throw Error('A preconditioner can only be used with the cg, bicgstab and gmres methods')
+  }
+  return stationary(A, b, x, tol, maxIter, method, method === 'gauss-seidel' ? 1 : omega)
+}
+
+/**
+ * @namespace iterative
+ * @desc Iterative solvers of systems of linear equations, which only need the product of the Matrix with a vector
+ */
+export default {
+  norm,
+  solve
+}
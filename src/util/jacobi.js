@@ -0,0 +1,52 @@
+/**
+ * @function jacobi
+ * @desc Helper function calculating the eigenvalues and eigenvectors of a symmetric array of arrays with the cyclic Jacobi method
+ * @param {Array} a - Symmetric array of arrays
+ * @param {Number} [maxSweeps=100] - Maximum number of sweeps over the off-diagonal elements
+ * @returns {Array} [values, vectors] - The eigenvalues and an array of arrays holding the eigenvectors as columns
+ */
+export default function jacobi (a, maxSweeps = 100) {
+  const n = a.length
+  const A = a.map(row => row.slice())
+  const V = A.map((row, i) => A.map((x, j) => (i === j) * 1))
+  const norm = A.reduce((acc, row) => row.reduce((s, x) => s + x * x, acc), 0)
+
+  for (let sweep = 0; sweep < maxSweeps; ++sweep) {
+    let off = 0
+    for (let p = 0; p < n; ++p) {
+      for (let q = p + 1; q < n; ++q) off += A[p][q] * A[p][q]
+    }
+    if (off <= Number.EPSILON * Number.EPSILON * norm) break
+
+    for (let p = 0; p < n; ++p) {
+      for (let q = p + 1; q < n; ++q) {
+        if (A[p][q] === 0) continue
+        const theta = (A[q][q] - A[p][p]) / (2 * A[p][q])
+        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1))
+        const c = 1 / Math.sqrt(t * t + 1)
+        const s = t * c
+
+        for (let k = 0; k < n; ++k) {
+          const akp = A[k][p]
+          const akq = A[k][q]
+          A[k][p] = c * akp - s * akq
+          A[k][q] = s * akp + c * akq
+        }
+        for (let k = 0; k < n; ++k) {
+          const apk = A[p][k]
+          const aqk = A[q][k]
+          A[p][k] = c * apk - s * aqk
+          A[q][k] = s * apk + c * aqk
+        }
+        for (let k = 0; k < n; ++k) {
+          const vkp = V[k][p]
+          const vkq = V[k][q]
+          V[k][p] = c * vkp - s * vkq
+          V[k][q] = s * vkp + c * vkq
+        }
+      }
+    }
+  }
+
+  return [A.map((row, idx) => row[idx]), V]
+}
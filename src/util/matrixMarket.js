@@ -0,0 +1,156 @@
+const formats = ['coordinate', 'array']
+const fields = ['real', 'integer', 'pattern']
+const symmetries = ['general', 'symmetric', 'skew-symmetric']
+
+/**
+ * @function check
+ * @desc Throws an error when a header keyword is not one of the supported options
+ */
+const check = (value, options, name) => {
+  if (options.indexOf(value) === -1) {
+    const quoted = options.map(x => '\'' + x + '\'')
+    throw Error('Unsupported Matrix Market ' + name + ' \'' + value + '\', use ' + quoted.slice(0, -1).join(', ') + ' or ' + quoted[quoted.length - 1])
+  }
+}
+
+/**
+ * @function number
+ * @desc Parses a value of a real or integer field
+ */
+const number = (token, field) => {
+  const x = Number(token)
+  if (token === undefined || Number.isNaN(x) || (field === 'integer' && !Number.isInteger(x))) {
+    throw Error('Cannot parse \'' + token + '\' as a Matrix Market ' + field + ' value')
+  }
+  return x
+}
+
+/**
+ * @function parse
+ * @desc Reads the Matrix Market exchange format. Entries of symmetric and skew-symmetric matrices are mirrored
+ * and the values of a pattern field are 1.
+ * @param {String} text
+ * @returns {Object} { rows, cols, rowIndices, colIndices, values } with zero-based indices
+ */
+const parse = text => {
+  const lines = String(text).split(/\r?\n/)
+  const header = /^%%MatrixMarket\s+matrix\s+(\S+)\s+(\S+)\s+(\S+)$/i.exec(lines[0].trim())
+  if (!header) {
+    throw Error('The text needs to start with a \'%%MatrixMarket matrix <format> <field> <symmetry>\' header')
+  }
+  const [format, field, symmetry] = header.slice(1).map(x => x.toLowerCase())
+  check(format, formats, 'format')
+  check(field, fields, 'field')
+  check(symmetry, symmetries, 'symmetry')
+  if (format === 'array' && field === 'pattern') {
+    throw Error('The Matrix Market array format does not support the pattern field')
+  }
+
+  const data = lines.slice(1).map(line => line.trim()).filter(line => line !== '' && line[0] !== '%')
+  const size = (data.shift() || '').split(/\s+/).map(Number)
+  const [rows, cols, nnz] = size
+  if (size.length !== (format === 'coordinate' ? 3 : 2) || !size.every(x => Number.isInteger(x) && x >= 0)) {
+    throw Error('Invalid Matrix Market size line for the ' + format + ' format')
+  }
+  if (symmetry !== 'general' && rows !== cols) {
+    throw Error('A ' + symmetry + ' Matrix needs to be square, got ' + rows + 'x' + cols)
+  }
+
+  const rowIndices = []
+  const colIndices = []
+  const values = []
+  const add = (i, j, x) => {
+    rowIndices.push(i)
+    colIndices.push(j)
+    values.push(x)
+    if (symmetry !== 'general' && i !== j) {
+      rowIndices.push(j)
+      colIndices.push(i)
+      values.push(symmetry === 'symmetric' ? x : -x)
+    }
+  }
+
+  if (format === 'coordinate') {
+    if (data.length !== nnz) {
+      throw Error('Expected ' + nnz + ' Matrix Market entries, found ' + data.length)
+    }
+    data.forEach(line => {
+      const [i, j, x] = line.split(/\s+/)
+      const row = Number(i) - 1
+      const col = Number(j) - 1
+      if (!(Number.isInteger(row) && Number.isInteger(col) && row >= 0 && row < rows && col >= 0 && col < cols)) {
+        throw Error('The Matrix Market entry (' + i + ', ' + j + ') lies outside of the ' + rows + 'x' + cols + ' Matrix')
+      }
+      add(row, col, field === 'pattern' ? 1 : number(x, field))
+    })
+  } else {
+    const tokens = data.join(' ').split(/\s+/).filter(x => x !== '')
+    let k = 0
+    for (let j = 0; j < cols; ++j) {
+      for (let i = symmetry === 'general' ? 0 : symmetry === 'symmetric' ? j : j + 1; i < rows; ++i) {
+        add(i, j, number(tokens[k++], field))
+      }
+    }
+    if (k !== tokens.length) {
+      throw Error('Expected ' + k + ' Matrix Market values, found ' + tokens.length)
+    }
+  }
+  return { rows, cols, rowIndices, colIndices, values }
+}
+
+/**
+ * @function stringify
+ * @desc Writes the Matrix Market exchange format. Symmetric and skew-symmetric matrices only write the lower triangle
+ * and are checked to really have that symmetry. Without a field, integer values are written as an integer field.
+ * An integer field is checked to only have integer values.
+ * @param {Array} entries - [i, j, x] entries with zero-based indices in column-major order, all values for the array format
+ * @param {Number} rows
+ * @param {Number} cols
+ * @param {Object} options - { format, field, symmetry }
+ * @returns {String}
+ */
+const stringify = (entries, rows, cols, { format, field, symmetry = 'general' }) => {
+  check(format, formats, 'format')
+  check(symmetry, symmetries, 'symmetry')
+  if (entries.some(([i, j, x]) => typeof x !== 'number')) {
+    throw Error('Only real matrices can be written in the Matrix Market format')
+  }
+  const type = field || (entries.every(([i, j, x]) => Number.isInteger(x)) ? 'integer' : 'real')
+  check(type, fields, 'field')
+  if (format === 'array' && type === 'pattern') {
+    throw Error('The Matrix Market array format does not support the pattern field')
+  }
+  const fraction = entries.find(([i, j, x]) => type === 'integer' && !Number.isInteger(x))
+  if (fraction) {
+    throw Error('The value ' + fraction[2] + ' cannot be written as a Matrix Market integer value')
+  }
+
+  let kept = entries
+  if (symmetry !== 'general') {
+    const sign = symmetry === 'symmetric' ? 1 : -1
+    const lookup = new Map(entries.map(([i, j, x]) => [i + ',' + j, x]))
+    if (rows !== cols || entries.some(([i, j, x]) => x !== sign * (lookup.get(j + ',' + i) || 0))) {
+      throw Error('The Matrix is not ' + symmetry)
+    }
+    kept = entries.filter(([i, j]) => symmetry === 'symmetric' ? i >= j : i > j)
+  }
+
+  const lines = ['%%MatrixMarket matrix ' + format + ' ' + type + ' ' + symmetry]
+  if (format === 'coordinate') {
+    lines.push(rows + ' ' + cols + ' ' + kept.length)
+    kept.forEach(([i, j, x]) => lines.push((i + 1) + ' ' + (j + 1) + (type === 'pattern' ? '' : ' ' + x)))
+  } else {
+    lines.push(rows + ' ' + cols)
+    kept.forEach(([i, j, x]) => lines.push(String(x)))
+  }
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * @namespace matrixMarket
+ * @desc Helper functions reading and writing the Matrix Market exchange format (.mtx) used by the SuiteSparse Matrix Collection
+ */
+export default {
+  parse,
+  stringify
+}
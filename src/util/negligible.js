@@ -0,0 +1,19 @@
+import scalar from './scalar'
+
+/**
+ * @function negligible
+ * @desc Helper function returning a predicate testing whether a pivot of an LU decomposition is zero. The default cutoff is
+ * n·ε·max|U|, the rounding error of the elimination, so only pivots that are zero up to rounding are negligible.
+ * Rational values are exact, so only their exact zeros are negligible.
+ * @param {Matrix} U - The upper triangular factor of the LU decomposition
+ * @param {Object} [options]
+ * @param {Number} [options.tol] - Absolute cutoff of the pivots, replacing the default
+ * @returns {Function}
+ */
+export default function negligible (U, options = {}) {
+  if (U.dtype === 'rational') return scalar.isZero
+  const cutoff = options.tol !== undefined
+    ? options.tol
+    : U.getRows() * Number.EPSILON * U.flatten().reduce((acc, x) => Math.max(acc, Number(scalar.abs(x))), 0)
+  return x => Number(scalar.abs(x)) <= cutoff
+}
@@ -0,0 +1,124 @@
+const magic = '\x93NUMPY'
+
+/**
+ * @constant types
+ * @desc The supported .npy element types by their kind and size, with the DataView methods reading and writing them
+ */
+const types = {
+  f8: { dtype: 'float64', size: 8, get: 'getFloat64', set: 'setFloat64' },
+  f4: { dtype: 'float32', size: 4, get: 'getFloat32', set: 'setFloat32' },
+  i4: { dtype: 'int32', size: 4, get: 'getInt32', set: 'setInt32' }
+}
+
+/**
+ * @function bytesOf
+ * @desc Returns the bytes of an ArrayBuffer, a typed array or a Node.js Buffer as an Uint8Array without copying
+ */
+const bytesOf = buffer => buffer instanceof ArrayBuffer
+  ? new Uint8Array(buffer)
+  : new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+
+/**
+ * @function parse
+ * @desc Reads a 2-D array of the NumPy .npy format (versions 1, 2 and 3) with little or big endian float64, float32 or int32 values
+ * in row-major (C) or column-major (Fortran) order.
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Object} { dtype, rows } - The element type and the values as an array of rows
+ */
+const parse = buffer => {
+  const bytes = bytesOf(buffer)
+  if (bytes.length < 10 || String.fromCharCode.apply(null, bytes.subarray(0, 6)) !== magic) {
+    throw Error('The buffer does not start with the .npy magic string')
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const major = bytes[6]
+  if (major < 1 || major > 3) {
+    throw Error('Unsupported .npy version ' + major + '.' + bytes[7])
+  }
+  const start = major === 1 ? 10 : 12
+  const end = start + (major === 1 ? view.getUint16(8, true) : view.getUint32(8, true))
+  const header = String.fromCharCode.apply(null, bytes.subarray(start, end))
+
+  const descr = /['"]descr['"]\s*:\s*['"]([^'"]*)['"]/.exec(header)
+  const fortran = /['"]fortran_order['"]\s*:\s*(True|False)/.exec(header)
+  const shape = /['"]shape['"]\s*:\s*\(([^)]*)\)/.exec(header)
+  if (!descr || !fortran || !shape) {
+    throw Error('Invalid .npy header ' + header.trim())
+  }
+  const format = /^([<>|=]?)([a-z]\d+)$/.exec(descr[1])
+  const type = format && types[format[2]]
+  if (!type) {
+    throw Error('Unsupported .npy dtype \'' + descr[1] + '\', use float64, float32 or int32')
+  }
+  const dimensions = shape[1].split(',').map(x => x.trim()).filter(x => x !== '').map(Number)
+  if (dimensions.length !== 2) {
+    throw Error('Only 2-D .npy arrays can be read, got shape (' + dimensions.join(', ') + ')')
+  }
+
+  const [m, n] = dimensions
+  const littleEndian = format[1] !== '>'
+  if (bytes.length < end + m * n * type.size) {
+    throw Error('The .npy data is truncated, expected ' + m * n + ' values')
+  }
+  const value = k => view[type.get](end + k * type.size, littleEndian)
+  const rows = []
+  for (let i = 0; i < m; ++i) {
+    const row = []
+    for (let j = 0; j < n; ++j) {
+      row.push(value(fortran[1] === 'True' ? j * m + i : i * n + j))
+    }
+    rows.push(row)
+  }
+  return { dtype: type.dtype, rows }
+}
+
+/**
+ * @function stringify
+ * @desc Writes a 2-D array in the NumPy .npy format version 1.0, with the header padded to a multiple of 64 bytes
+ * @param {Array} rows - The values as an array of rows
+ * @param {Object} options - { dtype, fortranOrder, littleEndian }
+ * @returns {Uint8Array}
+ */
+const stringify = (rows, { dtype, fortranOrder, littleEndian }) => {
+  const key = Object.keys(types).find(key => types[key].dtype === dtype)
+  if (!key) {
+    throw Error('Unsupported .npy dtype \'' + dtype + '\', use float64, float32 or int32')
+  }
+  const type = types[key]
+  const m = rows.length
+  const n = m ? rows[0].length : 0
+  const values = []
+  for (let k = 0; k < m * n; ++k) {
+    const x = fortranOrder ? rows[k % m][Math.floor(k / m)] : rows[Math.floor(k / n)][k % n]
+    if (typeof x !== 'number' || (dtype === 'int32' && (x | 0) !== x)) {
+      throw Error('The value ' + x + ' cannot be written as ' + dtype)
+    }
+    values.push(x)
+  }
+
+  const dict = '{\'descr\': \'' + (littleEndian ? '<' : '>') + key + '\', \'fortran_order\': ' + (fortranOrder ? 'True' : 'False') +
+    ', \'shape\': (' + m + ', ' + n + '), }'
+  const header = dict + ' '.repeat(63 - (10 + dict.length) % 64) + '\n'
+  const bytes = new Uint8Array(10 + header.length + values.length * type.size)
+  const view = new DataView(bytes.buffer)
+  for (let k = 0; k < magic.length; ++k) {
+    bytes[k] = magic.charCodeAt(k)
+  }
+  bytes[6] = 1
+  bytes[7] = 0
+  view.setUint16(8, header.length, true)
+  for (let k = 0; k < header.length; ++k) {
+    bytes[10 + k] = header.charCodeAt(k)
+  }
+  values.forEach((x, k) => view[type.set](10 + header.length + k * type.size, x, littleEndian))
+  return bytes
+}
+
+/**
+ * @namespace npy
+ * @desc Helper functions reading and writing the binary NumPy .npy format
+ */
+export default {
+  parse,
+  stringify
+}
@@ -0,0 +1,35 @@
+const dtypes = {
+  float64: Float64Array,
+  float32: Float32Array
+}
+
+/**
+ * @function pack
+ * @desc Helper function storing an array of arrays in a single typed array with row-major strides.
+ * Every row is returned as a view (subarray) on the shared buffer, so values can still be read and written with m[i][j].
+ * Rows that already are views of the same typed buffer are returned as is.
+ * @param {Array} rows - Array of arrays (or typed arrays) of equal length
+ * @param {String} dtype - Either 'float64' or 'float32'
+ * @returns {Array} Array of typed row views
+ */
+export default function pack (rows, dtype) {
+  const TypedArray = dtypes[dtype]
+  if (!TypedArray) {
+    throw Error('Unknown dtype \'' + dtype + '\', use \'float64\' or \'float32\'')
+  }
+  const m = rows.length
+  const n = m ? rows[0].length : 0
+  if (rows.some(row => row.length !== n)) {
+    throw Error('A typed Matrix needs rows of equal length')
+  }
+  if (m && rows.every(row => row instanceof TypedArray && row.buffer === rows[0].buffer)) {
+    return rows
+  }
+
+  const data = new TypedArray(m * n)
+  return rows.map((row, i) => {
+    const view = data.subarray(i * n, (i + 1) * n)
+    view.set(row)
+    return view
+  })
+}
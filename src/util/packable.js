@@ -0,0 +1,16 @@
+/**
+ * @function packable
+ * @desc Helper function testing whether an array can be stored in typed storage: an array of rows of equal length holding only numbers.
+ * For the 'rational' dtype the rows can also hold fractions, but the numbers need to be finite.
+ * @param {*} rows
+ * @param {String} [dtype]
+ * @returns {Boolean}
+ */
+export default function packable (rows, dtype) {
+  if (!Array.isArray(rows) || !rows.length) return false
+  const n = rows[0].length
+  return rows.every(row => row && row.length === n && typeof row !== 'string' &&
+    Array.prototype.every.call(row, x => dtype === 'rational'
+      ? (typeof x === 'number' && isFinite(x)) || (x && x.type === 'Rational')
+      : typeof x === 'number'))
+}
@@ -0,0 +1,15 @@
+/**
+ * @constant pade
+ * @desc Degrees m, maximum 1-norms θm and coefficients of the diagonal [m/m] Padé approximants of the exponential used by the scaling and squaring method,
+ * from N. J. Higham, The scaling and squaring method for the matrix exponential revisited, SIAM J. Matrix Anal. Appl. 26 (2005).
+ * The approximant of degree m reaches double precision for Matrices with a 1-norm up to θm.
+ * @type {Array}
+ */
+export default [
+  [3, 1.495585217958292e-2, [120, 60, 12, 1]],
+  [5, 2.539398330063230e-1, [30240, 15120, 3360, 420, 30, 1]],
+  [7, 9.504178996162932e-1, [17297280, 8648640, 1995840, 277200, 25200, 1512, 56, 1]],
+  [9, 2.097847961257068, [17643225600, 8821612800, 2075673600, 302702400, 30270240, 2162160, 110880, 3960, 90, 1]],
+  [13, 5.371920351148152, [64764752532480000, 32382376266240000, 7771770303897600, 1187353796428800, 129060195264000,
+    10559470521600, 670442572800, 33522128640, 1323241920, 40840800, 960960, 16380, 182, 1]]
+]
@@ -0,0 +1,147 @@
+/**
+ * @constant source
+ * @desc Source of the worker multiplying a block of rows. It is kept as a string, so the same code runs in a Node.js worker
+ * thread and in a Web Worker created from a Blob. Every value is summed from 0 in ascending k, like the synchronous dot product,
+ * so both return the same values.
+ */
+const source = `
+const port = typeof require === 'function' ? require('worker_threads').parentPort : self
+const multiply = ({ a, b, rows, n, p }) => {
+  const A = new Float64Array(a)
+  const B = new Float64Array(b)
+  const C = new Float64Array(rows * p)
+  for (let i = 0; i < rows; ++i) {
+    for (let j = 0; j < p; ++j) {
+      let acc = 0
+      for (let k = 0; k < n; ++k) {
+        acc += A[i * n + k] * B[k * p + j]
+      }
+      C[i * p + j] = acc
+    }
+  }
+  port.postMessage(C.buffer, [C.buffer])
+}
+if (typeof require === 'function') {
+  port.on('message', multiply)
+} else {
+  self.onmessage = event => multiply(event.data)
+}
+`
+
+/**
+ * @function builtin
+ * @desc Returns a Node.js builtin module, or undefined outside of Node.js. The bundler must not resolve the module, so it is
+ * loaded with process.getBuiltinModule, which the Node.js versions in the engines field of package.json provide.
+ */
+const builtin = name => typeof process !== 'undefined' && process.versions && process.versions.node &&
+  typeof process.getBuiltinModule === 'function'
+  ? process.getBuiltinModule(name)
+  : undefined
+
+/**
+ * @function spawn
+ * @desc Starts a worker running the source, using worker_threads in Node.js and Web Workers in the browser.
+ * Returns null when neither is available.
+ * @returns {Object} { post, result, terminate }
+ */
+const spawn = () => {
+  const threads = builtin('worker_threads')
+  if (threads) {
+    const worker = new threads.Worker(source, { eval: true })
+    return {
+      post: (message, transfer) => worker.postMessage(message, transfer),
+      result: () => new Promise((resolve, reject) => {
+        worker.once('message', resolve)
+        worker.once('error', reject)
+        worker.once('exit', code => reject(Error('The worker stopped with exit code ' + code + ' before sending its result')))
+      }),
+      terminate: () => worker.terminate()
+    }
+  }
+  if (typeof Worker === 'function' && typeof Blob === 'function' && typeof URL !== 'undefined') {
+    const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }))
+    const worker = new Worker(url)
+    return {
+      post: (message, transfer) => worker.postMessage(message, transfer),
+      result: () => new Promise((resolve, reject) => {
+        worker.onmessage = event => resolve(event.data)
+        worker.onerror = event => reject(Error(event.message))
+      }),
+      terminate: () => {
+        worker.terminate()
+        URL.revokeObjectURL(url)
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * @function concurrency
+ * @desc Returns the number of logical processors, used as the default number of workers
+ * @returns {Number}
+ */
+const concurrency = () => {
+  const os = builtin('os')
+  if (os) {
+    return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length
+  }
+  return (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 1
+}
+
+/**
+ * @function supported
+ * @desc Returns true when workers can be started in this environment
+ * @returns {Boolean}
+ */
+const supported = () => Boolean(builtin('worker_threads')) ||
+  (typeof Worker === 'function' && typeof Blob === 'function' && typeof URL !== 'undefined')
+
+/**
+ * @function dot
+ * @desc Multiplies an m×n and an n×p array of numbers with workers. The rows of the left side are split into contiguous blocks,
+ * one per worker. Every worker receives its block and a copy of the right side as transferred Float64Array buffers, and transfers
+ * back the rows of the result.
+ * @param {Array} a - Left side as an array of rows
+ * @param {Array} b - Right side as an array of rows
+ * @param {Number} workers - Number of workers, at most one per row
+ * @returns {Promise} Resolves to the rows of the result as Float64Array views
+ */
+const dot = (a, b, workers) => {
+  const m = a.length
+  const n = b.length
+  const p = n ? b[0].length : 0
+  const count = Math.min(workers, m)
+  const size = Math.ceil(m / count)
+  const blocks = Array.from(Array(Math.ceil(m / size)), (x, w) => [w * size, Math.min(m, (w + 1) * size)])
+
+  return Promise.all(blocks.map(([start, end]) => {
+    const worker = spawn()
+    const A = new Float64Array((end - start) * n)
+    const B = new Float64Array(n * p)
+    for (let i = start; i < end; ++i) A.set(a[i], (i - start) * n)
+    for (let k = 0; k < n; ++k) B.set(b[k], k * p)
+    const result = worker.result()
+    worker.post({ a: A.buffer, b: B.buffer, rows: end - start, n, p }, [A.buffer, B.buffer])
+    return result.then(
+      buffer => {
+        worker.terminate()
+        const C = new Float64Array(buffer)
+        return Array.from(Array(end - start), (x, i) => C.subarray(i * p, (i + 1) * p))
+      },
+      error => {
+        worker.terminate()
+        throw error
+      })
+  })).then(results => [].concat(...results))
+}
+
+/**
+ * @namespace parallel
+ * @desc Helper functions calculating with Node.js worker threads or Web Workers
+ */
+export default {
+  concurrency,
+  supported,
+  dot
+}
@@ -0,0 +1,70 @@
+/**
+ * @function qr
+ * @desc Helper function calculating the Householder QR decomposition of an array of arrays, optionally with column pivoting (AP = QR)
+ * @param {Array} a - Array of arrays with m rows and n columns
+ * @param {Boolean} [pivoting=false] - Swap the remaining column with the largest norm into the pivot position at every step
+ * @returns {Array} [Q, R, perm] - Q is m x m, R is m x n and perm holds the original index of every column of R
+ */
+export default function qr (a, pivoting = false) {
+  const m = a.length
+  const n = m ? a[0].length : 0
+  const R = a.map(row => row.slice())
+  const Q = R.map((row, i) => R.map((x, j) => (i === j) * 1))
+  const perm = Array.from(Array(n), (x, idx) => idx)
+
+  for (let k = 0; k < Math.min(m, n); ++k) {
+    if (pivoting) {
+      let p = k
+      let best = -1
+      for (let j = k; j < n; ++j) {
+        let norm = 0
+        for (let i = k; i < m; ++i) norm += R[i][j] * R[i][j]
+        if (norm > best) {
+          best = norm
+          p = j
+        }
+      }
+      if (p !== k) {
+        R.forEach(row => {
+          const tmp = row[p]
+          row[p] = row[k]
+          row[k] = tmp
+        })
+        const tmp = perm[p]
+        perm[p] = perm[k]
+        perm[k] = tmp
+      }
+    }
+
+    const v = []
+    let norm = 0
+    for (let i = k; i < m; ++i) {
+      v.push(R[i][k])
+      norm += R[i][k] * R[i][k]
+    }
+    norm = Math.sqrt(norm)
+    if (norm === 0) continue
+
+    const alpha = v[0] > 0 ? -norm : norm
+    v[0] -= alpha
+    const vnorm = Math.sqrt(v.reduce((acc, x) => acc + x * x, 0))
+    if (vnorm === 0) continue
+    for (let i = 0; i < v.length; ++i) v[i] /= vnorm
+
+    for (let j = k; j < n; ++j) {
+      let s = 0
+      for (let i = k; i < m; ++i) s += v[i - k] * R[i][j]
+      for (let i = k; i < m; ++i) R[i][j] -= 2 * v[i - k] * s
+    }
+    R[k][k] = alpha
+    for (let i = k + 1; i < m; ++i) R[i][k] = 0
+
+    for (let i = 0; i < m; ++i) {
+      let s = 0
+      for (let j = k; j < m; ++j) s += Q[i][j] * v[j - k]
+      for (let j = k; j < m; ++j) Q[i][j] -= 2 * s * v[j - k]
+    }
+  }
+
+  return [Q, R, perm]
+}
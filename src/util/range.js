@@ -0,0 +1,35 @@
+import index from './index'
+
+/**
+ * @function range
+ * @desc Helper function returning the indices selected by a range on a dimension of length n.
+ * A range [start, end, step] works like a Python slice: the end is excluded, negative values count from the end
+ * and out of bounds values are clipped. Missing (undefined or null) values select up to the start or the end, depending on the sign of the step.
+ * A number selects a single index and an undefined range selects all indices.
+ * @param {Array|Number} [spec] - Either [start, end, step] or a single index
+ * @param {Number} n - Length of the dimension
+ * @returns {Array} The selected indices
+ */
+export default function range (spec, n) {
+  if (spec === undefined || spec === null) {
+    return Array.from(Array(n), (x, idx) => idx)
+  }
+  if (typeof spec === 'number') {
+    return [index(spec, n)]
+  }
+  const [start, end, step = 1] = spec
+  if (!Number.isInteger(step) || step === 0) {
+    throw Error('The step of a range needs to be a non-zero integer')
+  }
+  const lower = step > 0 ? 0 : -1
+  const upper = step > 0 ? n : n - 1
+  const clip = (x, fallback) => {
+    if (x === undefined || x === null) return fallback
+    return Math.min(Math.max(x < 0 ? x + n : x, lower), upper)
+  }
+  const from = clip(start, step > 0 ? lower : upper)
+  const to = clip(end, step > 0 ? upper : lower)
+  const indices = []
+  for (let idx = from; step > 0 ? idx < to : idx > to; idx += step) indices.push(idx)
+  return indices
+}
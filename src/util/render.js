@@ -0,0 +1,58 @@
+import rounding from './rounding'
+
+/**
+ * @function keep
+ * @desc Returns the indices that are shown of a dimension of length n. Longer dimensions than max only show the first and last
+ * edge indices, with null in between for the ellipsis. The edge is at most half of max, so that the ellipsis always hides an index.
+ */
+const keep = (n, max, edge) => {
+  const indices = Array.from(Array(n).keys())
+  const shown = Math.min(edge, Math.floor(max / 2))
+  return n > max ? indices.slice(0, shown).concat([null], indices.slice(n - shown)) : indices
+}
+
+/**
+ * @function cells
+ * @desc Returns the text of the shown cells of a Matrix, used by the text, Markdown and LaTeX renderings.
+ * The values are rounded according to the numeric policy before they are formatted. Hidden columns are replaced by a single
+ * ellipsis cell and hidden rows by a single null row.
+ * @param {Array} a - The values as an array of rows
+ * @param {Object} policy - The numeric policy of the Matrix
+ * @param {Object} options
+ * @param {Function} [options.format] - Function returning the text of a value
+ * @param {Number} [options.decimals] - Number of decimals of the numbers, when there is no format function
+ * @param {Number} [options.maxRows=10] - Largest number of rows shown without truncation
+ * @param {Number} [options.maxCols=10] - Largest number of columns shown without truncation
+ * @param {Number} [options.edgeItems=3] - Number of rows and columns shown at both sides of a truncation
+ * @param {String} ellipsis - Text of the ellipsis cell
+ * @returns {Array} Rows of strings, null for the ellipsis row
+ */
+const cells = (a, policy, options, ellipsis) => {
+  const { format, decimals, maxRows = 10, maxCols = 10, edgeItems = 3 } = options
+  const round = rounding(policy)
+  const write = format || (x => typeof x === 'number' && decimals !== undefined ? x.toFixed(decimals) : String(x))
+  const cols = keep(a.length ? a[0].length : 0, maxCols, edgeItems)
+  return keep(a.length, maxRows, edgeItems).map(i => i === null
+    ? null
+    : cols.map(j => j === null ? ellipsis : write(round(a[i][j]))))
+}
+
+/**
+ * @function widths
+ * @desc Returns the width of every column of rows of cells, skipping the null ellipsis rows
+ * @param {Array} rows
+ * @returns {Array}
+ */
+const widths = rows => {
+  const shown = rows.filter(row => row !== null)
+  return shown.length ? shown[0].map((x, j) => Math.max(...shown.map(row => row[j].length))) : []
+}
+
+/**
+ * @namespace render
+ * @desc Helper functions for the text, Markdown and LaTeX renderings of a Matrix
+ */
+export default {
+  cells,
+  widths
+}
@@ -0,0 +1,28 @@
+import { identity } from 'fun.js'
+import round from './round'
+
+/**
+ * @function rounding
+ * @desc Helper function returning the function that rounds a value according to a numeric policy.
+ * Only numbers are rounded, other element types like Complex or Rational values are returned as is.
+ * @param {Object} policy - The numeric policy { rounding, digits }
+ * @param {String} [policy.rounding='none'] - Either 'none', 'decimals' or 'significant'
+ * @param {Number} [policy.digits] - Number of decimals or significant digits to round to
+ * @returns {Function}
+ */
+export default function rounding (policy) {
+  const { rounding = 'none', digits } = policy
+  if (rounding === 'none') {
+    return identity
+  }
+  if (rounding !== 'decimals' && rounding !== 'significant') {
+    throw Error('Unknown rounding \'' + rounding + '\', use \'none\', \'decimals\' or \'significant\'')
+  }
+  const min = rounding === 'decimals' ? 0 : 1
+  if (!Number.isInteger(digits) || digits < min || digits > 100) {
+    throw Error('The number of digits of the numeric policy needs to be an integer between ' + min + ' and 100')
+  }
+  return rounding === 'decimals'
+    ? x => typeof x === 'number' ? Number(x.toFixed(digits)) : x
+    : x => typeof x === 'number' ? round(x, digits) : x
+}
@@ -0,0 +1,22 @@
+/**
+ * @function lift
+ * @desc Converts a number to the type of the other operand, so that a method of that type can be used
+ */
+const lift = (a, b) => typeof a === 'number' ? b.constructor.from(a) : a
+
+/**
+ * @namespace scalar
+ * @desc Helper functions for the arithmetic on Matrix elements. Numbers use the native operators, other element types
+ * (like Complex) provide the arithmetic as methods and a static from function converting numbers.
+ */
+export default {
+  add: (a, b) => typeof a === 'number' && typeof b === 'number' ? a + b : lift(a, b).add(b),
+  subtract: (a, b) => typeof a === 'number' && typeof b === 'number' ? a - b : lift(a, b).subtract(b),
+  multiply: (a, b) => typeof a === 'number' && typeof b === 'number' ? a * b : lift(a, b).multiply(b),
+  divide: (a, b) => typeof a === 'number' && typeof b === 'number' ? a / b : lift(a, b).divide(b),
+  negate: a => typeof a === 'number' ? -a : a.negate(),
+  conjugate: a => typeof a === 'number' ? a : a.conjugate(),
+  abs: a => typeof a === 'number' ? Math.abs(a) : a.abs(),
+  isZero: a => typeof a === 'number' ? a === 0 : a.isZero(),
+  equals: (a, b) => typeof a === 'number' && typeof b === 'number' ? a === b : lift(a, b).equals(b)
+}
@@ -1,3 +1,5 @@
+import scalar from './scalar'
+
 /**
  * @function solveL
  * @desc solve the xA = b equation for lower triangular
@@ -12,9 +14,9 @@ function solveL (n, L, b) {
 
   for (let k = 0; k < n; ++k) {
     for (let j = 0; j < k; ++j) {
-      s = s + L.__value[k][j] * c[j]
+      s = scalar.add(s, scalar.multiply(L.__value[k][j], c[j]))
     }
-    c[k] = b[k] - s
+    c[k] = scalar.subtract(b[k], s)
     s = 0
   }
   return c
@@ -33,9 +35,9 @@ function solveU (n, U, c, b) {
   for (let a = n - 1; a > -1; --a) {
     let t = 0
     for (let b = a + 1; b < n; ++b) {
-      t = t + U.__value[a][b] * x[b]
+      t = scalar.add(t, scalar.multiply(U.__value[a][b], x[b]))
     }
-    x[a] = (c[a] - t) / U.__value[a][a]
+    x[a] = scalar.divide(scalar.subtract(c[a], t), U.__value[a][a])
   }
   return x
 }
@@ -0,0 +1,57 @@
+import scalar from './scalar'
+
+/**
+ * @function extreme
+ * @desc Returns the index of the first value for which better(x, best) holds against all others, -1 for an empty array.
+ * Unless NaN values are skipped, the index of the first NaN is returned, so that NaN propagates like in Math.max.
+ */
+const extreme = (values, better, skipNaN) => {
+  const nan = values.findIndex(Number.isNaN)
+  if (nan >= 0 && !skipNaN) return nan
+  return values.reduce((best, x, idx) => !Number.isNaN(x) && (best < 0 || better(x, values[best])) ? idx : best, -1)
+}
+
+const sum = values => values.reduce((acc, x) => scalar.add(acc, x), 0)
+
+const mean = values => values.length ? scalar.divide(sum(values), values.length) : NaN
+
+/**
+ * @function variance
+ * @desc Returns the mean squared absolute deviation from the mean, divided by the number of values minus ddof.
+ * Complex values have a real variance, exact fractions an exact one.
+ */
+const variance = (values, ddof = 0) => {
+  const m = mean(values)
+  const n = values.length - ddof
+  return n > 0 ? scalar.divide(values.reduce((acc, x) => {
+    const d = scalar.abs(scalar.subtract(x, m))
+    return scalar.add(acc, scalar.multiply(d, d))
+  }, 0), n) : NaN
+}
+
+/**
+ * @namespace statistics
+ * @desc Helper functions reducing an array of values, used for the axis reductions of a Matrix.
+ * The nan functions skip NaN values, the others return NaN when a value is NaN.
+ * The sums, products, means and variances use the scalar arithmetic, so they work on complex numbers and fractions.
+ * The median and the arg functions compare values and need real numbers.
+ */
+export default {
+  sum,
+  prod: values => values.reduce((acc, x) => scalar.multiply(acc, x), 1),
+  mean,
+  median: values => {
+    if (values.some(Number.isNaN) || !values.length) return NaN
+    const sorted = values.slice().sort((a, b) => a - b)
+    const half = Math.floor(sorted.length / 2)
+    return sorted.length % 2 ? sorted[half] : (sorted[half - 1] + sorted[half]) / 2
+  },
+  variance,
+  cumsum: values => values.reduce((acc, x, idx) => {
+    acc.push(idx ? scalar.add(acc[idx - 1], x) : x)
+    return acc
+  }, []),
+  argmin: (values, skipNaN = false) => extreme(values, (x, best) => x < best, skipNaN),
+  argmax: (values, skipNaN = false) => extreme(values, (x, best) => x > best, skipNaN),
+  skipNaN: values => values.filter(x => !Number.isNaN(x))
+}
@@ -0,0 +1,92 @@
+/**
+ * @function orthonormalize
+ * @desc Replaces the zero columns of U by unit vectors orthogonal to all other columns (modified Gram-Schmidt)
+ * @param {Array} U - Array of arrays whose non-zero columns are orthonormal, modified in place
+ * @param {Array} zero - Indices of the columns to replace
+ */
+function orthonormalize (U, zero) {
+  const m = U.length
+  const k = m ? U[0].length : 0
+  let candidate = 0
+  zero.forEach(j => {
+    while (candidate < m) {
+      const v = U.map((row, i) => (i === candidate) * 1)
+      ++candidate
+      for (let c = 0; c < k; ++c) {
+        if (c === j || zero.indexOf(c) > zero.indexOf(j)) continue
+        const d = U.reduce((acc, row, i) => acc + row[c] * v[i], 0)
+        for (let i = 0; i < m; ++i) v[i] -= d * U[i][c]
+      }
+      const norm = Math.sqrt(v.reduce((acc, x) => acc + x * x, 0))
+      if (norm > 1e-8) {
+        for (let i = 0; i < m; ++i) U[i][j] = v[i] / norm
+        break
+      }
+    }
+  })
+}
+
+/**
+ * @function svd
+ * @desc Helper function calculating the thin singular value decomposition A = U diag(s) V' with the one-sided Jacobi method.
+ * Singular values are returned in descending order.
+ * @param {Array} a - Array of arrays with m rows and n columns
+ * @param {Number} [maxSweeps=100] - Maximum number of sweeps over all column pairs
+ * @returns {Array} [U, s, V] - U is m x k, s has k values and V is n x k, with k = min(m, n)
+ */
+export default function svd (a, maxSweeps = 100) {
+  const m = a.length
+  const n = m ? a[0].length : 0
+  if (m < n) {
+    const [U, s, V] = svd(a[0].map((x, j) => a.map(row => row[j])), maxSweeps)
+    return [V, s, U]
+  }
+
+  const U = a.map(row => row.slice())
+  const V = Array.from(Array(n), (x, i) => Array.from(Array(n), (y, j) => (i === j) * 1))
+
+  for (let sweep = 0; sweep < maxSweeps; ++sweep) {
+    let rotated = false
+    for (let p = 0; p < n - 1; ++p) {
+      for (let q = p + 1; q < n; ++q) {
+        let alpha = 0
+        let beta = 0
+        let gamma = 0
+        for (let i = 0; i < m; ++i) {
+          alpha += U[i][p] * U[i][p]
+          beta += U[i][q] * U[i][q]
+          gamma += U[i][p] * U[i][q]
+        }
+        if (gamma === 0 || Math.abs(gamma) <= Number.EPSILON * Math.sqrt(alpha * beta)) continue
+        rotated = true
+
+        const zeta = (beta - alpha) / (2 * gamma)
+        const t = (zeta >= 0 ? 1 : -1) / (Math.abs(zeta) + Math.sqrt(1 + zeta * zeta))
+        const c = 1 / Math.sqrt(1 + t * t)
+        const s = c * t
+        for (let i = 0; i < m; ++i) {
+          const up = U[i][p]
+          const uq = U[i][q]
+          U[i][p] = c * up - s * uq
+          U[i][q] = s * up + c * uq
+        }
+        for (let i = 0; i < n; ++i) {
+          const vp = V[i][p]
+          const vq = V[i][q]
+          V[i][p] = c * vp - s * vq
+          V[i][q] = s * vp + c * vq
+        }
+      }
+    }
+    if (!rotated) break
+  }
+
+  const values = V.map((x, j) => Math.sqrt(U.reduce((acc, row) => acc + row[j] * row[j], 0)))
+  const order = values.map((x, idx) => idx).sort((x, y) => values[y] - values[x])
+  const s = order.map(j => values[j])
+  const Us = U.map(row => order.map(j => values[j] > 0 ? row[j] / values[j] : 0))
+  const Vs = V.map(row => order.map(j => row[j]))
+  orthonormalize(Us, s.reduce((acc, x, j) => x > 0 ? acc : acc.concat(j), []))
+
+  return [Us, s, Vs]
+}
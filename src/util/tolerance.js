@@ -0,0 +1,14 @@
+/**
+ * @function tolerance
+ * @desc Helper function returning the absolute tolerance atol + rtol * scale used by the tolerance-aware comparisons.
+ * The scale is the magnitude of the compared values, so that the default only depends on the relative tolerance √ε.
+ * @param {Number} scale - Magnitude of the compared values, like the largest absolute value of a Matrix
+ * @param {Object} [options]
+ * @param {Number} [options.atol=0] - Absolute tolerance
+ * @param {Number} [options.rtol=√ε] - Tolerance relative to the scale
+ * @returns {Number}
+ */
+export default function tolerance (scale, options = {}) {
+  const { atol = 0, rtol = Math.sqrt(Number.EPSILON) } = options
+  return atol + rtol * scale
+}
@@ -0,0 +1,263 @@
+import { fold } from 'fun.js'
+import Matrix from './matrix'
+import scalar from './util/scalar'
+
+/**
+ * @class Vector
+ * @classdesc Vector with a row or column orientation. As a Matrix a column Vector has one column and a row Vector has one row,
+ * so Vectors can be used on both sides of the Matrix dot product.
+ * @summary The Vector class should not be instantiated with the new keyword. Use Vector.of or Vector.fromMatrix instead.
+ * @hidecontructor
+ * @see Vector.of
+ * @example
+ *
+ * const v = Matrix.Vector.of([3, 4])
+ * v.norm() // 5
+ * Matrix.of([[0, 1], [1, 0]]).dot(v).toArray() // [4, 3]
+ *
+ */
+let Vector = function (values, orientation) {
+  this.values = values
+  this.orientation = orientation
+}
+
+/**
+ * @memberOf Vector
+ * @static
+ * @function Vector.of
+ * @desc Creates a Vector from an array of values
+ * @param {Array} values - The values of the Vector
+ * @param {String} [orientation='column'] - Either 'column' or 'row'
+ * @returns {Vector}
+ */
+Vector.of = function (values, orientation = 'column') {
+  if (orientation !== 'column' && orientation !== 'row') {
+    throw Error('Unknown orientation \'' + orientation + '\', use \'column\' or \'row\'')
+  }
+  return new Vector(Array.from(values), orientation)
+}
+
+/**
+ * @memberOf Vector
+ * @static
+ * @function Vector.fromMatrix
+ * @desc Creates a column Vector from a Matrix with one column or a row Vector from a Matrix with one row. Throws an error for other Matrices.
+ * @param {Matrix|Array} M
+ * @returns {Vector}
+ */
+Vector.fromMatrix = function (M) {
+  const A = Matrix.of(M)
+  if (A.getCols() === 1) {
+    return new Vector(A.getColumn(0), 'column')
+  }
+  if (A.getRows() === 1) {
+    return new Vector(A.toArray()[0], 'row')
+  }
+  throw Error('A ' + A.getRows() + 'x' + A.getCols() + ' Matrix is not a Vector')
+}
+
+/**
+ * @memberOf Vector
+ * @property {String} type - Returns the string 'Vector' for all Vector objects
+ * @type {String}
+ */
+Vector.prototype.type = 'Vector'
+
+/**
+ * @memberOf Vector
+ * @function Vector#size
+ * @desc Returns the number of values
+ * @returns {Number}
+ */
+Vector.prototype.size = function () {
+  return this.values.length
+}
+
+/**
+ * @memberOf Vector
+ * @function Vector#toArray
+ * @returns {Array}
+ */
+Vector.prototype.toArray = function () {
+  return this.values.slice()
+}
+
+/**
+ * @memberOf Vector
+ * @function Vector#toMatrix
+ * @desc Returns a Matrix with one column for a column Vector or one row for a row Vector
+ * @returns {Matrix}
+ */
+Vector.prototype.toMatrix = function () {
+  return Matrix.of(this.orientation === 'row' ? [this.toArray()] : this.values.map(x => [x]))
+}
+
+/**
+ * @memberOf Vector
+ * @function Vector#transpose
+ * @desc Returns the Vector with the other orientation
+ * @returns {Vector}
+ */
+Vector.prototype.transpose = function () {
+  return new Vector(this.toArray(), this.orientation === 'row' ? 'column' : 'row')
+}
+
+/**
+ * @memberOf Vector
+ * @function Vector#dot
+ * @desc Returns the Matrix dot product of the Vector, as a one row or one column Matrix, with a Matrix or a Vector.
+ * Results with one column or one row are returned as a Vector, other results as a Matrix. Use inner for the scalar product of two Vectors.
+ * @param {Matrix|Vector|Array} M - Right side of the dot product
+ * @returns {Vector|Matrix}
+ * @example
+ *
+ * Vector.of([1, 2], 'row').dot([[1, 0], [1, 1]]).toArray() // [3, 2]
+ * Vector.of([1, 2]).dot(Vector.of([3, 4], 'row')) // Matrix [[3, 4], [6, 8]]
+ *
+ */
+Vector.prototype.dot = function (M) {
+  const result = this.toMatrix().dot(Matrix.of(M))
+  return result.getCols() === 1 || result.getRows() === 1 ? Vector.fromMatrix(result) : result
+}
+
+/**
+ * @memberOf Vector
+ * @function Vector#norm
+ * @desc Returns the p-norm (Σ|x|^p)^(1/p). The values are scaled by the largest absolute value, so that the norm does not overflow or underflow.
+ * @param {Number} [p=2] - Positive number or Infinity for the largest absolute value
+ * @returns {Number}
+ * @example
+ *
+ * const v = Vector.of([3, -4])
+ * v.norm() // 5
+ * v.norm(1) // 7
+ * v.norm(Infinity) // 4
+ *
+ */
+Vector.prototype.norm = function (p = 2) {
+  if (!(p > 0)) {
+    throw Error('The p of a Vector norm needs to be a positive number or Infinity')
+  }
+  const abs = this.values.map(x => Number(scalar.abs(x)))
+  const scale = fold((acc, x) => Math.max(acc, x), 0)(abs)
+  if (p === Infinity || scale === 0) {
+    return scale
+  }
+  if (p === 1) {
+    return fold((acc, x) => acc + x, 0)(abs)
+  }
+  return scale * Math.pow(fold((acc, x) => acc + Math.pow(x / scale, p), 0)(abs), 1 / p)
+}
+
+/**
+ * @memberOf Vector
+ * @function Vector#normalize
+ * @desc Returns the Vector divided by its p-norm. Throws an error for a zero Vector.
+ * @param {Number} [p=2]
+ * @returns {Vector}
+ */
+Vector.prototype.normalize = function (p = 2) {
+  const norm = this.norm(p)
+  if (norm === 0) {
+    throw Error('A zero Vector cannot be normalized')
+  }
+  return new Vector(this.values.map(x => scalar.divide(x, norm)), this.orientation)
+}
+
+/**
+ * @memberOf Vector
+ * @function Vector#inner
+ * @desc Returns the inner product Σ conj(x_i) y_i, which is the scalar product for real Vectors. The orientations do not need to match.
+ * @param {Vector|Array} v
+ * @returns {Number}
+ * @example
+ *
+ * Vector.of([1, 2, 3]).inner([4, 5, 6]) // 32
+ *
+ */
+Vector.prototype.inner = function (v) {
+  const w = Vector.of(v instanceof Vector ? v.values : v)
+  if (w.size() !== this.size()) {
+    throw Error('Vectors of length ' + this.size() + ' and ' + w.size() + ' do not match')
+  }
+  return fold((acc, x, idx) => scalar.add(acc, scalar.multiply(scalar.conjugate(x), w.values[idx])), 0)(this.values)
+}
+
+/**
+ * @memberOf Vector
+ * @function Vector#outer
+ * @desc Returns the outer product, the Matrix with the values x_i y_j
+ * @param {Vector|Array} v
+ * @returns {Matrix}
+ * @example
+ *
+ * Vector.of([1, 2]).outer([3, 4, 5]) // [[3, 4, 5], [6, 8, 10]]
+ *
+ */
+Vector.prototype.outer = function (v) {
+  const w = v instanceof Vector ? v.values : Array.from(v)
+  return Matrix.of(this.values.map(x => w.map(y => scalar.multiply(x, y))))
+}
+
+/**
+ * @memberOf Vector
+ * @function Vector#cross
+ * @desc Returns the cross product of two Vectors with 3 values, with the orientation of this Vector
+ * @param {Vector|Array} v
+ * @returns {Vector}
+ * @example
+ *
+ * Vector.of([1, 0, 0]).cross([0, 1, 0]).toArray() // [0, 0, 1]
+ *
+ */
+Vector.prototype.cross = function (v) {
+  const [a1, a2, a3] = this.values
+  const w = v instanceof Vector ? v.values : Array.from(v)
+  if (this.size() !== 3 || w.length !== 3) {
+    throw Error('The cross product needs two Vectors of length 3')
+  }
+  const [b1, b2, b3] = w
+  return new Vector([a2 * b3 - a3 * b2, a3 * b1 - a1 * b3, a1 * b2 - a2 * b1], this.orientation)
+}
+
+/**
+ * @memberOf Vector
+ * @function Vector#angleTo
+ * @desc Returns the angle in radians between two real Vectors. Throws an error if one of them is a zero Vector.
+ * @param {Vector|Array} v
+ * @returns {Number} Angle between 0 and π
+ * @example
+ *
+ * Vector.of([1, 0]).angleTo([0, 2]) // π / 2
+ *
+ */
+Vector.prototype.angleTo = function (v) {
+  const w = v instanceof Vector ? v : Vector.of(v)
+  if (this.norm() === 0 || w.norm() === 0) {
+    throw Error('The angle to or from a zero Vector is not defined')
+  }
+  return Math.acos(Math.min(1, Math.max(-1, this.normalize().inner(w.normalize()))))
+}
+
+/**
+ * @memberOf Vector
+ * @function Vector#projectOnto
+ * @desc Returns the orthogonal projection (v·u / v·v) v of this Vector onto v, with the orientation of this Vector. Throws an error if v is a zero Vector.
+ * @param {Vector|Array} v
+ * @returns {Vector}
+ * @example
+ *
+ * Vector.of([2, 3]).projectOnto([1, 0]).toArray() // [2, 0]
+ *
+ */
+Vector.prototype.projectOnto = function (v) {
+  const w = v instanceof Vector ? v : Vector.of(v)
+  const vv = w.inner(w)
+  if (scalar.isZero(vv)) {
+    throw Error('Cannot project onto a zero Vector')
+  }
+  const factor = scalar.divide(w.inner(this), vv)
+  return new Vector(w.values.map(x => scalar.multiply(factor, x)), this.orientation)
+}
+
+export default Vector
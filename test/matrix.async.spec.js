@@ -0,0 +1,82 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+describe('Parallel dot product', function () {
+  this.timeout(10000)
+  const a = Array.from(Array(7), (x, i) => Array.from(Array(5), (y, j) => Math.sin(i * 5 + j + 1) * 10))
+  const b = Array.from(Array(5), (x, i) => Array.from(Array(4), (y, j) => Math.cos(i * 4 + j + 1) / 3))
+
+  it('returns the same result as the synchronous dot product', function () {
+    const A = Matrix.of(a)
+    const B = Matrix.of(b)
+    return Matrix.dotAsync(A, B, { workers: 3 }).then(C => {
+      chai.expect(C.type).to.equal('Matrix')
+      chai.expect(C.dtype).to.equal('array')
+      chai.expect(C.toArray()).to.eql(A.dot(B).toArray())
+    })
+  })
+
+  it('starts one worker thread per block of rows', function () {
+    const getBuiltinModule = process.getBuiltinModule
+    const started = []
+    process.getBuiltinModule = name => {
+      const module = getBuiltinModule(name)
+      if (name !== 'worker_threads') return module
+      return Object.assign({}, module, {
+        Worker: function (...args) {
+          started.push(new module.Worker(...args))
+          return started[started.length - 1]
+        }
+      })
+    }
+    const restore = () => {
+      process.getBuiltinModule = getBuiltinModule
+    }
+    return Matrix.dotAsync(a, b, { workers: 3 }).then(C => {
+      restore()
+      chai.expect(started.length).to.equal(3)
+      chai.expect(C.toArray()).to.eql(Matrix.of(a).dot(b).toArray())
+    }, error => {
+      restore()
+      throw error
+    })
+  })
+
+  it('accepts arrays and more workers than rows', function () {
+    return Matrix.dotAsync([[1, 2], [3, 4]], [[5, 6], [7, 8]], { workers: 4 }).then(C => {
+      chai.expect(C.toArray()).to.eql([[19, 22], [43, 50]])
+    })
+  })
+
+  it('keeps the typed dtype and the numeric policy', function () {
+    const A = Matrix.of(a, { dtype: 'float32', policy: { rounding: 'decimals', digits: 3 } })
+    const B = Matrix.of(b)
+    return Matrix.dotAsync(A, B, { workers: 2 }).then(C => {
+      const expected = A.dot(B)
+      chai.expect(C.dtype).to.equal('float32')
+      chai.expect(C.policy).to.eql(A.policy)
+      chai.expect(C.toArray()).to.eql(expected.toArray())
+    })
+  })
+
+  it('falls back to the synchronous dot product for non-numeric values', function () {
+    const A = Matrix.of([[1, 2], [3, 4]], { dtype: 'rational' })
+    return Matrix.dotAsync(A, A, { workers: 2 }).then(C => {
+      chai.expect(C.dtype).to.equal('rational')
+      chai.expect(C.equals(A.dot(A))).to.equal(true)
+    })
+  })
+
+  it('rejects matrices that do not match and invalid worker counts', function () {
+    const A = Matrix.of(a)
+    return Promise.all([
+      Matrix.dotAsync(A, A).then(() => chai.assert.fail(), error => error.message),
+      Matrix.dotAsync(A, Matrix.of(b), { workers: 0 }).then(() => chai.assert.fail(), error => error.message)
+    ]).then(messages => {
+      chai.expect(messages).to.eql([
+        'Matrices do not match, cannot create the dot product of a 7x5 and a 7x5 Matrix',
+        'The number of workers needs to be a positive integer, got 0'
+      ])
+    })
+  })
+})
@@ -0,0 +1,52 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+const X = Matrix.of([[1, 2, 3], [4, 5, 6]])
+
+describe('Broadcasting', function () {
+  it('broadcasts a row vector', function () {
+    const means = Matrix.of([[2.5, 3.5, 4.5]])
+    chai.expect(X.subtract(means).toArray()).to.deep.equal([[-1.5, -1.5, -1.5], [1.5, 1.5, 1.5]])
+    chai.expect(X.add(Matrix.of([[1, 0, -1]])).toArray()).to.deep.equal([[2, 2, 2], [5, 5, 5]])
+    chai.expect(X.multiply(Matrix.of([[1, 0, 2]])).toArray()).to.deep.equal([[1, 0, 6], [4, 0, 12]])
+    chai.expect(X.divide(Matrix.of([[1, 2, 3]])).toArray()).to.deep.equal([[1, 1, 1], [4, 2.5, 2]])
+  })
+
+  it('broadcasts a column vector', function () {
+    const C = Matrix.of([[10], [20]])
+    chai.expect(X.add(C).toArray()).to.deep.equal([[11, 12, 13], [24, 25, 26]])
+    chai.expect(X.multiply(C).toArray()).to.deep.equal([[10, 20, 30], [80, 100, 120]])
+    chai.expect(C.subtract(X).toArray()).to.deep.equal([[9, 8, 7], [16, 15, 14]])
+  })
+
+  it('broadcasts a 1x1 Matrix', function () {
+    chai.expect(X.multiply(Matrix.of([[2]])).toArray()).to.deep.equal(X.multiply(2).toArray())
+    chai.expect(Matrix.of([[1]]).add(X).toArray()).to.deep.equal(X.add(1).toArray())
+    chai.expect(X.divide(Matrix.of([[2]])).toArray()).to.deep.equal([[0.5, 1, 1.5], [2, 2.5, 3]])
+  })
+
+  it('broadcasts a row and a column vector to their outer shape', function () {
+    const R = Matrix.of([[1, 2, 3]])
+    const C = Matrix.of([[10], [20]])
+    chai.expect(R.add(C).toArray()).to.deep.equal([[11, 12, 13], [21, 22, 23]])
+  })
+
+  it('keeps the dtype of the left side', function () {
+    const T = Matrix.of(X, { dtype: 'float64' })
+    const result = T.subtract(Matrix.of([[1, 1, 1]]))
+    chai.expect(result.dtype).to.equal('float64')
+    chai.expect(result.toArray()).to.deep.equal([[0, 1, 2], [3, 4, 5]])
+  })
+
+  it('divides same shaped Matrices elementwise', function () {
+    const B = Matrix.of([[1, 1], [2, 4]])
+    chai.expect(B.divide(B).toArray()).to.deep.equal([[1, 1], [1, 1]])
+  })
+
+  it('throws an error naming both shapes', function () {
+    chai.expect(() => X.add(Matrix.of([[1, 2]]))).to.throw('Matrices do not match, cannot add a 2x3 and a 1x2 Matrix')
+    chai.expect(() => X.subtract(Matrix.of([[1], [2], [3]]))).to.throw('cannot subtract a 2x3 and a 3x1 Matrix')
+    chai.expect(() => X.multiply(X.transpose())).to.throw('cannot multiply a 2x3 and a 3x2 Matrix')
+    chai.expect(() => X.divide(Matrix.of([[1, 2], [3, 4]]))).to.throw('cannot divide a 2x3 and a 2x2 Matrix')
+  })
+})
@@ -0,0 +1,62 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+const expectClose = (actual, expected, delta = 1e-9) => {
+  chai.expect(actual.length).to.equal(expected.length)
+  actual.forEach((x, idx) => chai.expect(x).to.be.closeTo(expected[idx], delta))
+}
+
+const product = (A, B) => A.map(row => B[0].map((x, j) => row.reduce((acc, a, k) => acc + a * B[k][j], 0)))
+const transpose = A => A[0].map((x, j) => A.map(row => row[j]))
+
+describe('Cholesky decomposition', function () {
+  it('decomposes a symmetric positive definite Matrix', function () {
+    chai.expect(Matrix.of([[4, 2], [2, 5]]).cholesky().__value).to.deep.equal([[2, 0], [1, 2]])
+
+    const a = [[25, 15, -5], [15, 18, 0], [-5, 0, 11]]
+    const L = Matrix.of(a).cholesky().__value
+    chai.expect(L).to.deep.equal([[5, 0, 0], [3, 3, 0], [-1, 1, 3]])
+    expectClose(Matrix.flatten(product(L, transpose(L))), Matrix.flatten(a))
+  })
+
+  it('reports a Matrix that is not symmetric positive definite', function () {
+    chai.expect(() => Matrix.of([[1, 2], [2, 1]]).cholesky()).to.throw('positive definite')
+    chai.expect(() => Matrix.of([[1, 2], [3, 4]]).cholesky()).to.throw('positive definite')
+    chai.expect(() => Matrix.of([[1, 1], [1, 1]]).cholesky()).to.throw('positive definite')
+  })
+})
+
+describe('LDL decomposition', function () {
+  it('decomposes a symmetric Matrix', function () {
+    const a = [[4, 12, -16], [12, 37, -43], [-16, -43, 98]]
+    const [L, d] = Matrix.of(a).ldl()
+    chai.expect(L.__value).to.deep.equal([[1, 0, 0], [3, 1, 0], [-4, 5, 1]])
+    chai.expect(d).to.deep.equal([4, 1, 9])
+  })
+
+  it('decomposes a positive semidefinite Matrix', function () {
+    const a = [[1, 1, 1], [1, 1, 1], [1, 1, 2]]
+    const [L, d] = Matrix.of(a).ldl()
+    chai.expect(d).to.deep.equal([1, 0, 1])
+    const LD = L.__value.map(row => row.map((x, j) => x * d[j]))
+    expectClose(Matrix.flatten(product(LD, transpose(L.__value))), Matrix.flatten(a))
+  })
+
+  it('throws when the Matrix is not symmetric or needs pivoting', function () {
+    chai.expect(() => Matrix.of([[1, 2], [3, 4]]).ldl()).to.throw('symmetric')
+    chai.expect(() => Matrix.of([[0, 1], [1, 0]]).ldl()).to.throw('pivoting')
+  })
+})
+
+describe('Solve with the Cholesky decomposition', function () {
+  it('solves a symmetric positive definite system', function () {
+    expectClose(Matrix.of([[4, 2], [2, 5]]).solve([10, 13], 'cholesky'), [1.5, 2])
+    const A = Matrix.of([[25, 15, -5], [15, 18, 0], [-5, 0, 11]])
+    expectClose(A.solve([35, 33, 6], 'cholesky'), A.solve([35, 33, 6]))
+  })
+
+  it('throws for other Matrices and unknown methods', function () {
+    chai.expect(() => Matrix.of([[0, 1], [1, 0]]).solve([1, 2], 'cholesky')).to.throw('positive definite')
+    chai.expect(() => Matrix.of([[4, 2], [2, 5]]).solve([1, 2], 'qr')).to.throw()
+  })
+})
@@ -0,0 +1,86 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+const Complex = Matrix.Complex
+const c = (re, im) => Complex.of(re, im)
+
+const expectComplex = (actual, re, im, delta = 1e-12) => {
+  chai.expect(actual.re).to.be.closeTo(re, delta)
+  chai.expect(actual.im).to.be.closeTo(im, delta)
+}
+
+describe('Complex numbers', function () {
+  it('supports the arithmetic operations', function () {
+    const z = c(1, 2)
+    const w = c(3, -1)
+    chai.expect(z.type).to.equal('Complex')
+    chai.expect(z.add(w)).to.deep.equal(c(4, 1))
+    chai.expect(z.subtract(w)).to.deep.equal(c(-2, 3))
+    chai.expect(z.multiply(w)).to.deep.equal(c(5, 5))
+    expectComplex(z.divide(w), 0.1, 0.7)
+    expectComplex(z.divide(c(0, 2)), 1, -0.5)
+    chai.expect(z.add(1)).to.deep.equal(c(2, 2))
+    chai.expect(z.conjugate()).to.deep.equal(c(1, -2))
+    chai.expect(z.negate()).to.deep.equal(c(-1, -2))
+    chai.expect(c(3, 4).abs()).to.equal(5)
+    chai.expect(z.equals(c(1, 2))).to.be.true
+    chai.expect(c(2, 0).equals(2)).to.be.true
+  })
+
+  it('prints as a string', function () {
+    chai.expect(c(1, 2).toString()).to.equal('1 + 2i')
+    chai.expect(c(1, -2).toString()).to.equal('1 - 2i')
+    chai.expect(c(0, 3).toString()).to.equal('3i')
+    chai.expect(c(4, 0).toString()).to.equal('4')
+  })
+})
+
+describe('Complex Matrices', function () {
+  const A = Matrix.of([[c(1, 1), 2], [c(0, -1), c(3, 2)]])
+
+  it('adds, subtracts and multiplies elementwise', function () {
+    chai.expect(A.add(A).__value).to.deep.equal([[c(2, 2), 4], [c(0, -2), c(6, 4)]])
+    chai.expect(A.subtract(1).__value).to.deep.equal([[c(0, 1), 1], [c(-1, -1), c(2, 2)]])
+    chai.expect(A.multiply(c(0, 1)).__value).to.deep.equal([[c(-1, 1), c(0, 2)], [c(1, 0), c(-2, 3)]])
+    chai.expect(Matrix.of([[1, 2]]).add(c(0, 1)).__value).to.deep.equal([[c(1, 1), c(2, 1)]])
+  })
+
+  it('calculates the dot product', function () {
+    const B = Matrix.of([[1], [c(0, 1)]])
+    chai.expect(A.dot(B).__value).to.deep.equal([[c(1, 3)], [c(-2, 2)]])
+  })
+
+  it('transposes and conjugate transposes', function () {
+    chai.expect(A.transpose().__value).to.deep.equal([[c(1, 1), c(0, -1)], [2, c(3, 2)]])
+    chai.expect(A.conjugateTranspose().__value).to.deep.equal([[c(1, -1), c(0, 1)], [2, c(3, -2)]])
+    chai.expect(Matrix.conjugateTranspose([[1, 2]]).__value).to.deep.equal([[1], [2]])
+  })
+
+  it('calculates the determinant', function () {
+    // (1 + i)(3 + 2i) - 2(-i) = 1 + 5i + 2i
+    expectComplex(A.determinant(), 1, 7)
+    const B = Matrix.of([[c(0, 1), 1, 0], [1, c(0, 1), 0], [0, 0, 2]])
+    // 2 * (i * i - 1) = -4
+    expectComplex(B.determinant(), -4, 0)
+  })
+
+  it('calculates the inverse and solves a system', function () {
+    const inv = A.inverse()
+    const I = A.dot(inv).__value
+    I.forEach((row, i) => row.forEach((x, j) => expectComplex(Complex.from(x), (i === j) * 1, 0)))
+
+    const x = A.solve([c(1, 3), c(-2, 2)])
+    expectComplex(Complex.from(x[0]), 1, 0)
+    expectComplex(Complex.from(x[1]), 0, 1)
+  })
+
+  it('tests for hermitian and unitary Matrices', function () {
+    chai.expect(Matrix.of([[2, c(1, 1)], [c(1, -1), 3]]).isHermitian()).to.be.true
+    chai.expect(Matrix.of([[c(2, 0), c(1, 1)], [c(1, -1), 3]]).isHermitian()).to.be.true
+    chai.expect(Matrix.of([[2, c(1, 1)], [c(1, 1), 3]]).isHermitian()).to.be.false
+    chai.expect(Matrix.of([[1, 7, 3], [7, 4, -5], [3, -5, 6]]).isHermitian()).to.be.true
+    chai.expect(Matrix.of([[0, c(0, 1)], [c(0, 1), 0]]).isUnitary()).to.be.true
+    chai.expect(Matrix.of([[0, 1], [1, 0]]).isUnitary()).to.be.true
+    chai.expect(Matrix.of([[1, c(0, 1)], [c(0, 1), 1]]).isUnitary()).to.be.false
+  })
+})
@@ -0,0 +1,61 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+describe('CSV import and export', function () {
+  it('reads delimited text', function () {
+    chai.expect(Matrix.fromCSV('1,2\n3,4\n').toArray()).to.eql([[1, 2], [3, 4]])
+    chai.expect(Matrix.fromCSV('1\t2\r\n3\t4', { delimiter: '\t' }).toArray()).to.eql([[1, 2], [3, 4]])
+    chai.expect(Matrix.fromCSV(' 1 ; -2.5e3 \n3;4', { delimiter: ';' }).toArray()).to.eql([[1, -2500], [3, 4]])
+    chai.expect(Matrix.fromCSV('1,2', { dtype: 'float64' }).dtype).to.equal('float64')
+  })
+
+  it('keeps the header row as column labels', function () {
+    const A = Matrix.fromCSV('"a,b","say ""hi"""\n1,2\n', { header: true })
+    chai.expect(A.labels).to.eql(['a,b', 'say "hi"'])
+    chai.expect(A.toArray()).to.eql([[1, 2]])
+    chai.expect(A.toCSV()).to.equal('"a,b","say ""hi"""\n1,2\n')
+    chai.expect(A.toCSV({ header: false })).to.equal('1,2\n')
+  })
+
+  it('reads missing values as NaN', function () {
+    const A = Matrix.fromCSV('1,,3\nNA,5,"6"\n')
+    chai.expect(A.getShape()).to.eql([2, 3])
+    chai.expect(A.toArray()[0][1]).to.be.NaN
+    chai.expect(A.toArray()[1][0]).to.be.NaN
+    chai.expect(A.toArray()[1][2]).to.equal(6)
+    chai.expect(Matrix.fromCSV('1,-\n', { missing: ['-'] }).toArray()[0][1]).to.be.NaN
+  })
+
+  it('reads empty lines as rows of missing values', function () {
+    chai.expect(Matrix.fromCSV('1\n\n3\n').toArray()).to.eql([[1], [NaN], [3]])
+    chai.expect(Matrix.fromCSV('x\n1\r\n\r\n3', { header: true }).toArray()).to.eql([[1], [NaN], [3]])
+    chai.expect(Matrix.fromCSV(' 1 ; -2.5e3 \n\n3;4', { delimiter: ';' }).toArray()).to.eql([[1, -2500], [NaN, NaN], [3, 4]])
+    chai.expect(Matrix.fromCSV('1\n2\n').getShape()).to.eql([2, 1])
+  })
+
+  it('throws for values that are not numbers and ragged rows', function () {
+    chai.expect(() => Matrix.fromCSV('a,b\n1,x\n', { header: true })).to.throw('Cannot parse \'x\' in row 2, column 2 as a number')
+    chai.expect(() => Matrix.fromCSV('1,2\n3\n')).to.throw('Row 2 has 1 fields, expected 2')
+    chai.expect(() => Matrix.fromCSV('"1,2\n')).to.throw('Unterminated quoted field in row 1')
+  })
+
+  it('writes delimited text with number formatting', function () {
+    const A = Matrix.of([[1, 2.5], [3, NaN]])
+    chai.expect(A.toCSV()).to.equal('1,2.5\n3,\n')
+    chai.expect(A.toCSV({ delimiter: '\t', decimals: 2, missing: 'NA' })).to.equal('1.00\t2.50\n3.00\tNA\n')
+    chai.expect(A.toCSV({ header: ['x', 'y'], format: x => x.toExponential(1) })).to.equal('x,y\n1.0e+0,2.5e+0\n3.0e+0,\n')
+    chai.expect(() => A.toCSV({ header: ['x'] })).to.throw('The header has 1 labels, the Matrix has 2 columns')
+  })
+
+  it('writes the labels with header true and validates the header', function () {
+    const A = Matrix.fromCSV('x,y\n1,2\n', { header: true })
+    chai.expect(A.toCSV({ header: true })).to.equal('x,y\n1,2\n')
+    chai.expect(() => Matrix.of([[1, 2]]).toCSV({ header: true })).to.throw('The Matrix has no labels, pass the header as an array of labels')
+    chai.expect(() => A.toCSV({ header: 'x,y' })).to.throw('The header needs to be an array of labels or a boolean')
+  })
+
+  it('round trips a Matrix', function () {
+    const A = Matrix.of([[0.1, -2], [1e-20, 123456789.123]])
+    chai.expect(Matrix.fromCSV(A.toCSV()).toArray()).to.eql(A.toArray())
+  })
+})
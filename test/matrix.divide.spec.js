@@ -1,5 +1,5 @@
 import chai from 'chai'
-import Matrix from '../lib/@astuanax/funmatrix'
+import Matrix from '../src/matrix'
 
 describe('divide a Matrix', function () {
   it('divide is a method', function () {
@@ -17,10 +17,30 @@ describe('divide a Matrix', function () {
 
   })
 
-  it('divides by a Matrix', function () {
+  it('divides elementwise by a Matrix of any broadcastable shape', function () {
+    const X = Matrix.of([[1, 2], [3, 6]])
+    chai.expect(X.divide(X).toArray()).to.deep.equal([[1, 1], [1, 1]])
+    chai.expect(X.divide(Matrix.of([[1, 2], [1, 2]])).toArray()).to.deep.equal([[1, 1], [3, 3]])
+    chai.expect(X.divide(Matrix.of([[1, 2]])).toArray()).to.deep.equal([[1, 1], [3, 3]])
+    const Y = Matrix.of([[1, 2, 3]])
+    chai.expect(Y.subtract(Y.mean(0)).divide(Matrix.of([[1, 1, 1]])).toArray()).to.deep.equal([[0, 0, 0]])
+    chai.expect(() => X.divide(Matrix.of([[1, 2, 3]]))).to.throw('Matrices do not match, cannot divide a 2x2 and a 1x3 Matrix')
+  })
+
+  it('divides by a Matrix with rightDivide', function () {
+    const a = [[1, 1], [2, 4]]
+    const A = Matrix.of(a)
+    const B = A.identity()
+    chai.expect(A.rightDivide(A).__value).to.deep.equal(B.__value)
+  })
+
+  it('multiplies with the inverse with rightDivide', function () {
     const a = [[1, 1], [2, 4]]
     const A = Matrix.of(a)
     const B = A.identity()
-    chai.expect(A.divide(A).__value).to.deep.equal(B.__value)
+    chai.expect(A.rightDivide(A).closeTo(B)).to.equal(true)
+    chai.expect(Matrix.of([[1, 2]]).rightDivide(A).closeTo([[0, 0.5]])).to.equal(true)
+    chai.expect(() => A.rightDivide(Matrix.of([[1, 2], [2, 4]]))).to.throw('singular')
+    chai.expect(() => A.rightDivide(Matrix.of([[1, 2, 3]]))).to.throw('Matrices do not match, cannot divide a 2x2 by a 1x3 Matrix')
   })
 })
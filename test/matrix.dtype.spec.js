@@ -0,0 +1,114 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+describe('Typed array storage', function () {
+  it('stores the values in a single typed array', function () {
+    const a = [[1, 2, 3], [4, 5, 6]]
+    const A = Matrix.of(a, { dtype: 'float64' })
+    chai.expect(A.dtype).to.equal('float64')
+    chai.expect(Matrix.of(a).dtype).to.equal('array')
+    chai.expect(A.__value[0]).to.be.instanceOf(Float64Array)
+    chai.expect(A.__value[0].buffer).to.equal(A.__value[1].buffer)
+    chai.expect(A.__value[1].byteOffset).to.equal(3 * 8)
+    chai.expect(A.toArray()).to.deep.equal(a)
+    chai.expect(Array.isArray(A.toArray()[0])).to.be.true
+    chai.expect(A.getShape()).to.deep.equal([2, 3])
+
+    const B = Matrix.of(a, { dtype: 'float32' })
+    chai.expect(B.__value[0]).to.be.instanceOf(Float32Array)
+    chai.expect(B.toArray()).to.deep.equal(a)
+  })
+
+  it('converts between storage types', function () {
+    const A = Matrix.of([[1, 2], [3, 4]])
+    const T = Matrix.of(A, { dtype: 'float64' })
+    chai.expect(T.dtype).to.equal('float64')
+    chai.expect(Matrix.of(T)).to.equal(T)
+    chai.expect(Matrix.of(T, { dtype: 'array' }).__value).to.deep.equal([[1, 2], [3, 4]])
+    chai.expect(T.clone().dtype).to.equal('float64')
+    chai.expect(T.clone().__value[0].buffer).to.not.equal(T.__value[0].buffer)
+  })
+
+  it('throws for unknown dtypes and ragged rows', function () {
+    chai.expect(() => Matrix.of([[1, 2]], { dtype: 'int8' })).to.throw('dtype')
+    chai.expect(() => Matrix.of([[1, 2], [3]], { dtype: 'float64' })).to.throw('equal length')
+  })
+
+  it('keeps the storage through elementwise operations', function () {
+    const A = Matrix.of([[1, 2], [3, 4]], { dtype: 'float64' })
+    const results = [
+      [A.map(row => row.map(x => x * 10)), [[10, 20], [30, 40]]],
+      [A.add(1), [[2, 3], [4, 5]]],
+      [A.add(A), [[2, 4], [6, 8]]],
+      [A.subtract(A), [[0, 0], [0, 0]]],
+      [A.multiply(A), [[1, 4], [9, 16]]],
+      [A.transpose(), [[1, 3], [2, 4]]],
+      [A.dot(A), [[7, 10], [15, 22]]],
+      [A.identity(), [[1, 0], [0, 1]]],
+      [A.zeros(), [[0, 0], [0, 0]]]
+    ]
+    results.forEach(([M, expected]) => {
+      chai.expect(M.dtype).to.equal('float64')
+      chai.expect(M.toArray()).to.deep.equal(expected)
+    })
+    const inverse = A.inverse()
+    chai.expect(inverse.dtype).to.equal('float64')
+    chai.expect(inverse.closeTo([[-2, 1], [1.5, -0.5]])).to.equal(true)
+  })
+
+  it('supports all other methods', function () {
+    const a = [[4, 1, 2], [1, 3, 0], [2, 0, 5]]
+    const A = Matrix.of(a, { dtype: 'float64' })
+    const P = Matrix.of(a)
+    chai.expect(A.isSymmetric()).to.be.true
+    chai.expect(A.isSquare()).to.be.true
+    chai.expect(A.equals(P)).to.be.true
+    chai.expect(A.equals(a)).to.be.true
+    chai.expect(A.flatten()).to.deep.equal(P.flatten())
+    chai.expect(A.getRow(1)).to.deep.equal([1, 3, 0])
+    chai.expect(A.getColumn(1)).to.deep.equal([1, 3, 0])
+    chai.expect(A.sum()).to.equal(P.sum())
+    chai.expect(A.max()).to.equal(5)
+    chai.expect(A.min()).to.equal(0)
+    chai.expect(A.diag()).to.deep.equal([4, 3, 5])
+    chai.expect(A.determinant()).to.equal(P.determinant())
+    chai.expect(A.solve([1, 2, 3])).to.deep.equal(P.solve([1, 2, 3]))
+    chai.expect(A.rref().toArray()).to.deep.equal(P.rref().toArray())
+    chai.expect(A.rank()).to.equal(3)
+    chai.expect(A.combine(A).toArray()).to.deep.equal(P.combine(P).toArray())
+    chai.expect(A.fold((prev, next) => prev.concat(next)).__value).to.deep.equal(P.flatten())
+    chai.expect(A.cholesky().toArray()).to.deep.equal(P.cholesky().toArray())
+    chai.expect(A.eig()[0]).to.deep.equal(P.eig()[0])
+    chai.expect(A.svd()[1]).to.deep.equal(P.svd()[1])
+    chai.expect(A.qr()[1].toArray()).to.deep.equal(P.qr()[1].toArray())
+    chai.expect(A.kronecker(A).toArray()).to.deep.equal(P.kronecker(P).toArray())
+    chai.expect(Matrix.of([[0, 1], [1, 0]], { dtype: 'float32' }).isOrthogonal()).to.be.true
+  })
+
+  it('multiplies typed and nested Matrices', function () {
+    const a = [[1, 2, 3], [4, 5, 6]]
+    const b = [[7, 8], [9, 10], [11, 12]]
+    const expected = [[58, 64], [139, 154]]
+    chai.expect(Matrix.of(a, { dtype: 'float64' }).dot(Matrix.of(b)).toArray()).to.deep.equal(expected)
+    chai.expect(Matrix.of(a).dot(Matrix.of(b, { dtype: 'float32' })).toArray()).to.deep.equal(expected)
+    chai.expect(Matrix.of(a).dot(Matrix.of(b, { dtype: 'float32' })).dtype).to.equal('float32')
+  })
+
+  it('checks the shapes and the element types of a typed dot product', function () {
+    const A = Matrix.of([[1, 2], [3, 4]], { dtype: 'float64' })
+    chai.expect(() => A.dot(Matrix.of([[1, 2, 3]]))).to.throw('Matrices do not match, cannot create the dot product of a 2x2 and a 1x3 Matrix')
+    const C = A.dot(Matrix.of([[Matrix.Complex.of(0, 1)], [1]]))
+    chai.expect(C.__value.map(row => row[0].toString())).to.deep.equal([Matrix.Complex.of(2, 1).toString(), Matrix.Complex.of(4, 3).toString()])
+  })
+
+  it('writes map, transpose and setBlock directly into a single typed buffer', function () {
+    const A = Matrix.of([[1, 2, 3], [4, 5, 6]], { dtype: 'float32' })
+    const single = M => M.__value.every(row => row instanceof Float32Array && row.buffer === M.__value[0].buffer &&
+      row.buffer.byteLength === M.getRows() * M.getCols() * 4)
+    const results = [A.map(row => row.map(x => x * 2)), A.transpose(), A.setBlock(1, 1, [[0, 0]])]
+    results.forEach(M => chai.expect(single(M)).to.be.true)
+    chai.expect(results.map(M => M.toArray())).to.deep.equal([[[2, 4, 6], [8, 10, 12]], [[1, 4], [2, 5], [3, 6]], [[1, 2, 3], [4, 0, 0]]])
+    chai.expect(A.map(row => row.map(String)).dtype).to.equal('array')
+    chai.expect(A.map((row, i) => i ? row.map(String) : row).toArray()).to.deep.equal([[1, 2, 3], ['4', '5', '6']])
+  })
+})
@@ -0,0 +1,106 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+const expectClose = (actual, expected, delta = 1e-9) => {
+  chai.expect(actual.length).to.equal(expected.length)
+  actual.forEach((x, idx) => chai.expect(x).to.be.closeTo(expected[idx], delta))
+}
+
+const times = (a, v) => a.map(row => row.reduce((acc, x, idx) => acc + x * v[idx], 0))
+
+describe('Eigenvalues and eigenvectors', function () {
+  it('decomposes a symmetric Matrix', function () {
+    const a = [[4, 1, 2], [1, 3, 0], [2, 0, 5]]
+    const [values, vectors] = Matrix.of(a).eig()
+    chai.expect(values).to.deep.equal(values.slice().sort((x, y) => x - y))
+    chai.expect(values.reduce((acc, x) => acc + x, 0)).to.be.closeTo(12, 1e-9)
+    values.forEach((value, j) => {
+      const v = vectors.getColumn(j)
+      expectClose(times(a, v), v.map(x => x * value))
+      chai.expect(Math.hypot(...v)).to.be.closeTo(1, 1e-12)
+    })
+  })
+
+  it('decomposes a general Matrix with real eigenvalues', function () {
+    const a = [[2, 0, 0], [1, 3, 0], [4, 5, 6]]
+    const [values, vectors] = Matrix.of(a).eig()
+    expectClose(values.slice().sort((x, y) => x - y), [2, 3, 6])
+    values.forEach((value, j) => {
+      const v = vectors.getColumn(j)
+      expectClose(times(a, v), v.map(x => x * value))
+    })
+  })
+
+  it('reports complex conjugate pairs', function () {
+    const a = [[0, -1, 0], [1, 0, 0], [0, 0, 2]]
+    const [values, vectors] = Matrix.of(a).eig()
+    const pair = values.findIndex(x => typeof x === 'object')
+    chai.expect(values[pair].re).to.be.closeTo(0, 1e-12)
+    chai.expect(Math.abs(values[pair].im)).to.be.closeTo(1, 1e-12)
+    chai.expect(values[pair + 1].im).to.equal(-values[pair].im)
+    chai.expect(values.find(x => typeof x === 'number')).to.be.closeTo(2, 1e-12)
+
+    // A(x + iy) = (re + i im)(x + iy)
+    const { re, im } = values[pair]
+    const x = vectors.getColumn(pair)
+    const y = vectors.getColumn(pair + 1)
+    expectClose(times(a, x), x.map((xi, idx) => re * xi - im * y[idx]))
+    expectClose(times(a, y), y.map((yi, idx) => im * x[idx] + re * yi))
+  })
+
+  it('decomposes a larger general Matrix', function () {
+    const a = [[4, -2, 1, 3, 0], [1, 0, 2, -1, 5], [-3, 2, 1, 0, 1], [2, 2, -2, 1, 3], [0, 1, 4, -1, 2]]
+    const [values, vectors] = Matrix.of(a).eig()
+    const trace = values.reduce((acc, x) => acc + (typeof x === 'number' ? x : x.re), 0)
+    chai.expect(trace).to.be.closeTo(8, 1e-9)
+    values.forEach((value, j) => {
+      if (typeof value === 'number') {
+        const v = vectors.getColumn(j)
+        expectClose(times(a, v), v.map(x => x * value))
+      } else if (value.im > 0) {
+        const x = vectors.getColumn(j)
+        const y = vectors.getColumn(j + 1)
+        expectClose(times(a, x), x.map((xi, idx) => value.re * xi - value.im * y[idx]))
+        expectClose(times(a, y), y.map((yi, idx) => value.im * x[idx] + value.re * yi))
+      }
+    })
+  })
+
+  it('throws for a non square Matrix', function () {
+    chai.expect(() => Matrix.of([[1, 2, 3]]).eig()).to.throw()
+  })
+
+  it('does not treat a Matrix with small asymmetric values as symmetric', function () {
+    const A = Matrix.of([[1e9, 0, 0], [0, 1, 5], [0, -5, 1]])
+    chai.expect(A.isSymmetric()).to.be.true
+    const [values] = A.eig()
+    chai.expect(values[0]).to.be.closeTo(1e9, 1e-6)
+    chai.expect([values[1].re, values[1].im]).to.deep.equal([1, 5])
+    chai.expect([values[2].re, values[2].im]).to.deep.equal([1, -5])
+    chai.expect(() => Matrix.of([[1e8, 1], [0, 1e8]]).cholesky()).to.throw('not symmetric positive definite')
+    chai.expect(() => Matrix.of([[1e8, 1], [0, 1e8]]).ldl()).to.throw('not symmetric')
+  })
+
+  it('throws for complex values instead of treating them as real', function () {
+    const i = Matrix.Complex.of(0, 1)
+    const S = Matrix.of([[1, i], [i, 1]])
+    const H = Matrix.of([[2, i], [i.conjugate(), 2]])
+    chai.expect(S.isSymmetric({ rtol: 0 })).to.be.true
+    chai.expect(() => S.eig()).to.throw('The eigendecomposition needs a real Matrix, complex values are not supported')
+    chai.expect(() => H.cholesky()).to.throw('The Cholesky decomposition needs a real Matrix, complex values are not supported')
+    chai.expect(() => H.ldl()).to.throw('The LDL decomposition needs a real Matrix, complex values are not supported')
+  })
+})
+
+describe('Power iteration', function () {
+  it('returns the dominant eigenpair', function () {
+    const [value, vector] = Matrix.of([[2, 1], [1, 2]]).powerIteration()
+    chai.expect(value).to.be.closeTo(3, 1e-9)
+    expectClose(vector, [Math.SQRT1_2, Math.SQRT1_2], 1e-6)
+  })
+
+  it('throws when it does not converge', function () {
+    chai.expect(() => Matrix.of([[0, 1], [1, 0]]).powerIteration(50)).to.not.throw()
+    chai.expect(() => Matrix.of([[1, 0], [0, -1]]).powerIteration(50)).to.throw('converge')
+  })
+})
@@ -1,5 +1,5 @@
 import chai from 'chai'
-import Matrix from '../lib/@astuanax/funmatrix'
+import Matrix from '../src/matrix'
 
 describe('flatMap a Matrix', function () {
   it('flatMap is a function', function () {
@@ -1,5 +1,5 @@
 import chai from 'chai'
-import Matrix from '../lib/@astuanax/funmatrix'
+import Matrix from '../src/matrix'
 
 describe('fold a Matrix', function () {
   it('fold is a function', function () {
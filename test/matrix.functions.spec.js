@@ -0,0 +1,74 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+describe('Matrix functions', function () {
+  it('raises a Matrix to an integer power', function () {
+    chai.expect(Matrix.of([[1, 1], [1, 0]]).pow(10).toArray()).to.eql([[89, 55], [55, 34]])
+    chai.expect(Matrix.of([[1, 2], [3, 4]]).pow(0).toArray()).to.eql([[1, 0], [0, 1]])
+    chai.expect(Matrix.of([[2, 0], [0, 4]]).pow(-2).toArray()).to.eql([[0.25, 0], [0, 0.0625]])
+    const P = Matrix.of([[0.9, 0.1], [0.5, 0.5]])
+    chai.expect(P.pow(100).closeTo([[5 / 6, 1 / 6], [5 / 6, 1 / 6]])).to.equal(true)
+  })
+
+  it('rounds a power once according to the numeric policy', function () {
+    const A = Matrix.of([[1.01, 0], [0, 1]], { policy: { rounding: 'decimals', digits: 2 } })
+    chai.expect(A.pow(10).toArray()[0][0]).to.equal(1.1)
+  })
+
+  it('throws for a power of a non-square Matrix or a non-integer exponent', function () {
+    chai.expect(() => Matrix.of([[1, 2]]).pow(2)).to.throw('The Matrix needs to be a square Matrix to calculate a power')
+    chai.expect(() => Matrix.of([[1]]).pow(0.5)).to.throw('The exponent of a Matrix power needs to be an integer, got 0.5')
+  })
+
+  it('calculates the exponential', function () {
+    chai.expect(Matrix.of([[0, 1], [0, 0]]).expm().toArray()).to.eql([[1, 1], [0, 1]])
+    chai.expect(Matrix.zeros(2, 2).expm().toArray()).to.eql([[1, 0], [0, 1]])
+    const t = 2
+    const rotation = Matrix.of([[0, -t], [t, 0]]).expm()
+    chai.expect(rotation.closeTo([[Math.cos(t), -Math.sin(t)], [Math.sin(t), Math.cos(t)]], { atol: 1e-14 })).to.equal(true)
+    const D = Matrix.of([[10, 0], [0, -3]]).expm()
+    chai.expect(D.closeTo([[Math.exp(10), 0], [0, Math.exp(-3)]], { rtol: 1e-13 })).to.equal(true)
+    chai.expect(Matrix.of([[0, -Math.PI], [Math.PI, 0]]).expm().closeTo([[-1, 0], [0, -1]], { atol: 1e-14 })).to.equal(true)
+  })
+
+  it('calculates the square root', function () {
+    chai.expect(Matrix.of([[4, 0], [0, 9]]).sqrtm().toArray()).to.eql([[2, 0], [0, 3]])
+    const A = Matrix.of([[4, 2], [3, 7]])
+    chai.expect(A.sqrtm().pow(2).closeTo(A)).to.equal(true)
+    const h = Math.SQRT1_2
+    chai.expect(Matrix.of([[0, -1], [1, 0]]).sqrtm().closeTo([[h, -h], [h, h]])).to.equal(true)
+    chai.expect(Matrix.of([[1, 1], [1, 1]]).sqrtm().closeTo([[h, h], [h, h]])).to.equal(true)
+  })
+
+  it('calculates the logarithm', function () {
+    chai.expect(Matrix.of([[1, 1], [0, 1]]).logm().closeTo([[0, 1], [0, 0]], { atol: 1e-14 })).to.equal(true)
+    const A = Matrix.of([[100, 1], [0.5, 30]])
+    chai.expect(A.logm().expm().closeTo(A, { rtol: 1e-12 })).to.equal(true)
+    const S = Matrix.of([[2, 1], [1, 3]])
+    chai.expect(S.logm().expm().closeTo(S, { rtol: 1e-12 })).to.equal(true)
+  })
+
+  it('does not treat a nearly symmetric non-normal Matrix as symmetric', function () {
+    const A = Matrix.of([[1e8, 1], [0, 1e8]])
+    const X = A.sqrtm()
+    chai.expect(X.dot(X).getRow(0)[1]).to.be.closeTo(1, 1e-9)
+    chai.expect(X.getRow(0)[1]).to.be.closeTo(5e-5, 1e-15)
+    const L = A.logm()
+    chai.expect(L.getRow(0)[1]).to.be.closeTo(1e-8, 1e-18)
+    chai.expect(L.expm().closeTo(A, { rtol: 1e-12 })).to.equal(true)
+    chai.expect(L.expm().getRow(0)[1]).to.be.closeTo(1, 1e-9)
+  })
+
+  it('throws when there is no real principal square root or logarithm', function () {
+    chai.expect(() => Matrix.of([[-1, 0], [0, 1]]).sqrtm()).to.throw('The Matrix has a negative eigenvalue, it has no real square root')
+    chai.expect(() => Matrix.of([[-1, 1], [0, -2]]).sqrtm()).to.throw('no real principal square root')
+    chai.expect(() => Matrix.of([[1, 0], [0, 0]]).logm()).to.throw('The Matrix has an eigenvalue that is not positive, it has no real logarithm')
+    chai.expect(() => Matrix.of([[-1, 1], [0, -2]]).logm()).to.throw('no real principal logarithm')
+  })
+
+  it('solves a system with a Matrix of right-hand sides', function () {
+    const A = Matrix.of([[5, 1], [3, -4]])
+    chai.expect(A.solve(Matrix.of([[7, 5], [18, 3]])).closeTo([[2, 1], [-3, 0]])).to.equal(true)
+    chai.expect(Matrix.of([[4, 2], [2, 5]]).solve(Matrix.of([[10, 4], [13, 2]]), 'cholesky').toArray()).to.eql([[1.5, 1], [2, 0]])
+  })
+})
@@ -0,0 +1,73 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+describe('Iterative solvers', function () {
+  const n = 20
+  const a = Array.from(Array(n), (x, i) => Array.from(Array(n), (y, j) => i === j ? 4 : Math.abs(i - j) === 1 ? -1 : 0))
+  const u = Array.from(Array(n), (x, i) => Array.from(Array(n), (y, j) => i === j ? 5 : j === i + 1 ? 2 : j === i - 2 ? -1 : 0))
+  const b = Array.from(Array(n), (x, i) => Math.sin(i + 1))
+  const close = (x, y) => x.forEach((xi, i) => chai.expect(xi).to.be.closeTo(y[i], 1e-7))
+
+  it('solves symmetric positive definite systems with every method', function () {
+    const exact = Matrix.of(a).solve(b)
+    const methods = ['cg', 'bicgstab', 'gmres', 'jacobi', 'gauss-seidel', 'sor']
+    methods.forEach(method => {
+      const [x, history, converged] = Matrix.solveIterative(Matrix.of(a), b, { method, omega: 1.2 })
+      chai.expect(converged).to.equal(true)
+      chai.expect(history[history.length - 1]).to.be.at.most(Math.sqrt(Number.EPSILON) * Math.hypot(...b))
+      close(x, exact)
+    })
+  })
+
+  it('solves general systems with bicgstab, gmres and restarted gmres', function () {
+    const exact = Matrix.of(u).solve(b)
+    const options = [{ method: 'bicgstab' }, { method: 'gmres' }, { method: 'gmres', restart: 4 }]
+    options.forEach(option => {
+      const [x, , converged] = Matrix.solveIterative(u, b, option)
+      chai.expect(converged).to.equal(true)
+      close(x, exact)
+    })
+  })
+
+  it('accepts a SparseMatrix and a matvec function with a preconditioner', function () {
+    const S = Matrix.SparseMatrix.of(a)
+    const [x] = Matrix.solveIterative(S, b, { preconditioner: 'jacobi' })
+    close(x, Matrix.of(a).solve(b))
+
+    const A = v => [2 * v[0] + v[1], 3 * v[1]]
+    const [y, history, converged] = Matrix.solveIterative(A, [3, 3], { method: 'gmres', preconditioner: r => [r[0] / 2, r[1] / 3] })
+    chai.expect(converged).to.equal(true)
+    chai.expect(history.length).to.equal(3)
+    close(y, [1, 1])
+  })
+
+  it('returns the convergence history', function () {
+    const [x, history, converged] = Matrix.solveIterative([[4, 1], [1, 3]], [1, 2], { maxIter: 1 })
+    chai.expect(converged).to.equal(false)
+    chai.expect(history.length).to.equal(2)
+    chai.expect(history[0]).to.be.closeTo(Math.sqrt(5), 1e-12)
+    chai.expect(x.length).to.equal(2)
+    chai.expect(Matrix.solveIterative([[4, 1], [1, 3]], [1, 2], { x0: [1 / 11, 7 / 11] })[1].length).to.equal(1)
+    chai.expect(Matrix.solveIterative([[4, 1], [1, 3]], [0, 0])).to.eql([[0, 0], [0], true])
+  })
+
+  it('accepts a Vector and a Matrix with one column as the right-hand side', function () {
+    const [x] = Matrix.solveIterative(a, b)
+    close(Matrix.solveIterative(a, Matrix.Vector.of(b))[0], x)
+    close(Matrix.solveIterative(a, Matrix.of(b.map(bi => [bi])))[0], x)
+    close(Matrix.solveIterative(a, Matrix.of([b]))[0], x)
+  })
+
+  it('throws for invalid input', function () {
+    chai.expect(() => Matrix.solveIterative([[1, 2], [2, 1]], [1, 2])).to.throw('The conjugate gradient method needs a symmetric positive definite Matrix')
+    chai.expect(() => Matrix.solveIterative(x => x, [1, 2], { method: 'jacobi' })).to.throw('The jacobi method needs the values of the Matrix, not a function')
+    chai.expect(() => Matrix.solveIterative(x => x, [1, 2], { preconditioner: 'jacobi' })).to.throw('The \'jacobi\' preconditioner needs the values of the Matrix, not a function')
+    chai.expect(() => Matrix.solveIterative([[1, 2]], [1, 2])).to.throw('The Matrix is 1x2, it needs to be square with the 2 rows of the right-hand side')
+    chai.expect(() => Matrix.solveIterative([[0, 2], [3, 4]], [1, 2], { method: 'gauss-seidel' })).to.throw('The Matrix has a zero on the diagonal at row 0')
+    chai.expect(() => Matrix.solveIterative(a, b, { method: 'sor', omega: 2 })).to.throw('The relaxation factor omega needs to be between 0 and 2, got 2')
+    chai.expect(() => Matrix.solveIterative(a, b, { method: 'sor', preconditioner: 'jacobi' })).to.throw('A preconditioner can only be used with the cg, bicgstab and gmres methods')
+    chai.expect(() => Matrix.solveIterative(a, Matrix.of([b, b]))).to.throw('The right-hand side needs to be an array, a Vector or a Matrix with one column or one row')
+    chai.expect(() => Matrix.solveIterative(a, 1)).to.throw('The right-hand side needs to be an array, a Vector or a Matrix with one column or one row')
+    chai.expect(() => Matrix.solveIterative(a, b, { method: 'lu' })).to.throw('The iterative method needs to be either \'cg\', \'bicgstab\', \'gmres\', \'jacobi\', \'gauss-seidel\' or \'sor\'')
+  })
+})
@@ -0,0 +1,66 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+describe('Lazy pipelines', function () {
+  const A = Matrix.of([[1, 2], [3, 4]])
+
+  it('gives the same results as the eager operations', function () {
+    const B = Matrix.of([[10, 20], [30, 40]])
+    const eager = A.fill(x => x * x).add(B).multiply(2).subtract(1).transpose()
+    const lazy = A.lazy().fill(x => x * x).add(B).multiply(2).subtract(1).transpose().evaluate()
+    chai.expect(lazy.type).to.equal('Matrix')
+    chai.expect(lazy.toArray()).to.eql(eager.toArray())
+  })
+
+  it('maps with the indices of every value', function () {
+    chai.expect(A.lazy().map((x, i, j) => x + 10 * i + 100 * j).evaluate().toArray()).to.eql([[1, 102], [13, 114]])
+  })
+
+  it('defers and fuses the operations into a single pass', function () {
+    let calls = 0
+    const pipeline = A.lazy().map(x => { ++calls; return x * 2 }).add(1).transpose().multiply(A.lazy())
+    chai.expect(calls).to.equal(0)
+    chai.expect(pipeline.getShape()).to.eql([2, 2])
+    chai.expect(pipeline.evaluate().toArray()).to.eql([[3, 14], [15, 36]])
+    chai.expect(calls).to.equal(4)
+  })
+
+  it('broadcasts like the eager operations', function () {
+    chai.expect(A.lazy().add(Matrix.of([[10, 20]])).evaluate().toArray()).to.eql([[11, 22], [13, 24]])
+    chai.expect(A.lazy().multiply(Matrix.of([[10], [100]])).evaluate().toArray()).to.eql([[10, 20], [300, 400]])
+    chai.expect(Matrix.of([[1, 2]]).lazy().subtract(Matrix.of([[1], [2]])).evaluate().toArray()).to.eql([[0, 1], [-1, 0]])
+    chai.expect(() => A.lazy().add(Matrix.of([[1, 2, 3]]))).to.throw('Matrices do not match, cannot add a 2x2 and a 1x3 Matrix')
+  })
+
+  it('keeps the numeric policy of the Matrix', function () {
+    const P = Matrix.of([[1 / 3, 2]]).setPrecision(3)
+    const E = P.lazy().add(1).evaluate()
+    chai.expect(E.policy).to.deep.equal({ rounding: 'significant', digits: 3 })
+    chai.expect(E.toArray()).to.deep.equal(P.add(1).toArray())
+    chai.expect(P.lazy().dot(P.transpose()).toArray()).to.deep.equal([[4.11]])
+    chai.expect(P.lazy().dot(P.transpose()).toArray()).to.deep.equal(P.dot(P.transpose()).toArray())
+    chai.expect(A.lazy().add(1).evaluate().policy).to.deep.equal({ rounding: 'none' })
+  })
+
+  it('evaluates for dot and decompositions', function () {
+    chai.expect(A.lazy().transpose().dot(A).toArray()).to.eql([[10, 14], [14, 20]])
+    chai.expect(A.dot(A.lazy().multiply(2)).toArray()).to.eql([[14, 20], [30, 44]])
+    chai.expect(A.lazy().multiply(2).determinant()).to.be.closeTo(-8, 1e-12)
+    chai.expect(Matrix.of(A.lazy().add(1)).toArray()).to.eql([[2, 3], [4, 5]])
+  })
+
+  it('is accepted by the elementwise operations of a Matrix', function () {
+    const L = A.lazy().multiply(2)
+    chai.expect(A.add(L).toArray()).to.eql([[3, 6], [9, 12]])
+    chai.expect(A.subtract(L).toArray()).to.eql([[-1, -2], [-3, -4]])
+    chai.expect(A.multiply(L).toArray()).to.eql([[2, 8], [18, 32]])
+    chai.expect(A.divide(L).toArray()).to.eql([[0.5, 0.5], [0.5, 0.5]])
+    chai.expect(A.add(Matrix.of([[10, 20]]).lazy()).toArray()).to.eql([[11, 22], [13, 24]])
+  })
+
+  it('keeps typed storage', function () {
+    const F = Matrix.of([[1, 2]], { dtype: 'float64' })
+    chai.expect(F.lazy().fill(x => x / 2).evaluate().dtype).to.equal('float64')
+    chai.expect(F.lazy().add(Matrix.Complex.of(0, 1)).evaluate().dtype).to.equal('array')
+  })
+})
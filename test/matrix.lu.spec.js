@@ -0,0 +1,76 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+describe('LU decomposition with partial pivoting', function () {
+  it('decomposes a Matrix with a zero pivot', function () {
+    const A = Matrix.of([[0, 1], [1, 0]])
+    const [L, U, P, perm, sign] = A.lu()
+    chai.expect(L.__value).to.deep.equal([[1, 0], [0, 1]])
+    chai.expect(U.__value).to.deep.equal([[1, 0], [0, 1]])
+    chai.expect(P.__value).to.deep.equal([[0, 1], [1, 0]])
+    chai.expect(perm).to.deep.equal([1, 0])
+    chai.expect(sign).to.equal(-1)
+  })
+
+  it('returns PA = LU', function () {
+    const A = Matrix.of([[1, 2, 3], [4, 2, 5], [9, 8, 7]])
+    const [L, U, P, perm] = A.lu()
+    const LU = Matrix.dot(L, U).flatten()
+    const PA = Matrix.dot(P, A).flatten()
+    LU.forEach((x, idx) => chai.expect(x).to.be.closeTo(PA[idx], 1e-3))
+    chai.expect(perm).to.deep.equal([2, 1, 0])
+    L.__value.forEach((row, idx) => row.slice(idx + 1).forEach(x => chai.expect(x).to.equal(0)))
+    U.__value.forEach((row, idx) => row.slice(0, idx).forEach(x => chai.expect(x).to.equal(0)))
+  })
+
+  it('throws for a non square Matrix', function () {
+    const A = Matrix.of([[1, 2, 3], [4, 5, 6]])
+    chai.expect(() => A.lu()).to.throw()
+  })
+
+  it('solves a system that needs a row exchange', function () {
+    const A = Matrix.of([[0, 1], [1, 0]])
+    chai.expect(A.solve([3, 4])).to.deep.equal([4, 3])
+
+    const B = Matrix.of([[0, 2, 1], [1, 1, 1], [2, 1, 0]])
+    const x = B.solve([7, 6, 4])
+    x.forEach((v, idx) => chai.expect(v).to.be.closeTo([1, 2, 3][idx], 1e-9))
+  })
+
+  it('throws when solving a singular system', function () {
+    const A = Matrix.of([[1, 2], [2, 4]])
+    chai.expect(() => A.solve([1, 2])).to.throw('singular')
+  })
+
+  it('returns the determinant with the sign of the permutation', function () {
+    chai.expect(Matrix.determinant([[0, 1], [1, 0]])).to.equal(-1)
+    chai.expect(Matrix.determinant([[0, 1, 0], [1, 0, 0], [0, 0, 1]])).to.equal(-1)
+    chai.expect(Matrix.determinant([[0, 0, 1], [0, 1, 0], [1, 0, 0]])).to.equal(-1)
+    chai.expect(Matrix.determinant([[0, 2, 1], [1, 1, 1], [2, 1, 0]])).to.be.closeTo(3, 1e-9)
+    chai.expect(Matrix.determinant([[1, 2, 3], [2, 4, 6], [1, 1, 1]])).to.equal(0)
+  })
+
+  it('treats pivots that are zero up to rounding as singular', function () {
+    const A = Matrix.of([[1, 2, 3], [4, 5, 6], [7, 8, 9]])
+    chai.expect(A.determinant()).to.be.closeTo(0, 1e-14)
+    chai.expect(() => A.solve([1, 2, 3])).to.throw('The Matrix is singular, cannot solve the system of linear equations')
+    chai.expect(Matrix.determinant([[0.3, 2.1], [0.1, 0.7]])).to.be.closeTo(0, 1e-15)
+    chai.expect(Matrix.determinant([[1e-10, 0, 0], [0, 1e-10, 0], [0, 0, 1e-10]])).to.be.closeTo(1e-30, 1e-40)
+  })
+
+  it('solves well-conditioned systems with small pivots', function () {
+    chai.expect(Matrix.determinant([[1, 0], [0, 1e-9]])).to.equal(1e-9)
+    chai.expect(Matrix.determinant([[1e-9, 0], [0, 1]])).to.equal(1e-9)
+    chai.expect(Matrix.determinant([[1, 0, 0], [0, 1e-9, 0], [0, 0, 1]])).to.equal(1e-9)
+    Matrix.of([[1, 0, 0], [0, 1e-9, 0], [0, 0, 1]]).solve([1, 1, 1]).forEach((v, idx) => chai.expect(v).to.be.closeTo([1, 1e9, 1][idx], 1e-6))
+    chai.expect(Matrix.of([[1, 0], [0, 1e-9]]).isSingular()).to.equal(false)
+    chai.expect(Matrix.of([[1, 0.5], [0, 1e-9]]).inverse().closeTo([[1, -5e8], [0, 1e9]])).to.equal(true)
+  })
+
+  it('accepts the pivot cutoff as an option', function () {
+    const A = Matrix.of([[1, 0], [0, 1e-9]])
+    chai.expect(() => A.solve([1, 1], { tol: 1e-8 })).to.throw('The Matrix is singular, cannot solve the system of linear equations')
+    chai.expect(() => A.inverse({ tol: 1e-8 })).to.throw('Matrix is singular, cannot create inverse')
+    A.solve([1, 1], { method: 'lu', tol: 1e-10 }).forEach((v, idx) => chai.expect(v).to.be.closeTo([1, 1e9][idx], 1e-6))
+  })
+})
@@ -0,0 +1,60 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+describe('Matrix Market format', function () {
+  it('reads the coordinate format', function () {
+    const text = '%%MatrixMarket matrix coordinate real general\n% comment\n2 3 3\n1 1 1.5\n2 3 -2\n1 2 4e-1\n'
+    chai.expect(Matrix.fromMatrixMarket(text).toArray()).to.eql([[1.5, 0.4, 0], [0, 0, -2]])
+    const S = Matrix.fromMatrixMarket(text, { sparse: true })
+    chai.expect(S.type).to.equal('SparseMatrix')
+    chai.expect(S.nnz()).to.equal(3)
+    chai.expect(S.toArray()).to.eql([[1.5, 0.4, 0], [0, 0, -2]])
+  })
+
+  it('mirrors symmetric and skew-symmetric matrices', function () {
+    const symmetric = '%%MatrixMarket matrix coordinate integer symmetric\n2 2 2\n1 1 4\n2 1 -1\n'
+    chai.expect(Matrix.fromMatrixMarket(symmetric).toArray()).to.eql([[4, -1], [-1, 0]])
+    const skew = '%%MatrixMarket matrix array real skew-symmetric\n3 3\n1\n2\n3.5\n'
+    chai.expect(Matrix.fromMatrixMarket(skew).toArray()).to.eql([[0, -1, -2], [1, 0, -3.5], [2, 3.5, 0]])
+  })
+
+  it('reads the array format and pattern fields', function () {
+    chai.expect(Matrix.fromMatrixMarket('%%MatrixMarket matrix array real general\r\n2 2\r\n1\r\n2\r\n3\r\n4\r\n').toArray()).to.eql([[1, 3], [2, 4]])
+    chai.expect(Matrix.fromMatrixMarket('%%matrixmarket matrix COORDINATE Pattern General\n2 2 2\n1 2\n2 1\n').toArray()).to.eql([[0, 1], [1, 0]])
+  })
+
+  it('writes the array and coordinate formats', function () {
+    const A = Matrix.of([[1.5, 0], [0, 2]])
+    chai.expect(A.toMatrixMarket()).to.equal('%%MatrixMarket matrix array real general\n2 2\n1.5\n0\n0\n2\n')
+    chai.expect(A.toMatrixMarket({ format: 'coordinate' })).to.equal('%%MatrixMarket matrix coordinate real general\n2 2 2\n1 1 1.5\n2 2 2\n')
+    chai.expect(Matrix.of([[4, -1], [-1, 0]]).toMatrixMarket({ format: 'coordinate', symmetry: 'symmetric' }))
+      .to.equal('%%MatrixMarket matrix coordinate integer symmetric\n2 2 2\n1 1 4\n2 1 -1\n')
+    chai.expect(Matrix.of([[0, -1], [1, 0]]).toMatrixMarket({ symmetry: 'skew-symmetric', field: 'real' }))
+      .to.equal('%%MatrixMarket matrix array real skew-symmetric\n2 2\n1\n')
+    chai.expect(Matrix.SparseMatrix.of([[0, 5], [7, 0]]).toMatrixMarket({ field: 'pattern' }))
+      .to.equal('%%MatrixMarket matrix coordinate pattern general\n2 2 2\n2 1\n1 2\n')
+  })
+
+  it('round trips a Matrix', function () {
+    const A = Matrix.of([[0.1, 0, -3], [2, 1e-20, 0]])
+    chai.expect(Matrix.fromMatrixMarket(A.toMatrixMarket()).toArray()).to.eql(A.toArray())
+    chai.expect(Matrix.fromMatrixMarket(A.toMatrixMarket({ format: 'coordinate' })).toArray()).to.eql(A.toArray())
+  })
+
+  it('throws for invalid input', function () {
+    chai.expect(() => Matrix.fromMatrixMarket('1 1 1\n1 1 1\n')).to.throw('The text needs to start with a \'%%MatrixMarket matrix <format> <field> <symmetry>\' header')
+    chai.expect(() => Matrix.fromMatrixMarket('%%MatrixMarket matrix coordinate complex general\n1 1 1\n1 1 1 0\n'))
+      .to.throw('Unsupported Matrix Market field \'complex\', use \'real\', \'integer\' or \'pattern\'')
+    chai.expect(() => Matrix.fromMatrixMarket('%%MatrixMarket matrix coordinate integer general\n1 1 1\n1 1 1.5\n'))
+      .to.throw('Cannot parse \'1.5\' as a Matrix Market integer value')
+    chai.expect(() => Matrix.fromMatrixMarket('%%MatrixMarket matrix coordinate real general\n1 1 1\n2 1 1\n'))
+      .to.throw('The Matrix Market entry (2, 1) lies outside of the 1x1 Matrix')
+    chai.expect(() => Matrix.fromMatrixMarket('%%MatrixMarket matrix coordinate real general\n2 2 2\n1 1 1\n'))
+      .to.throw('Expected 2 Matrix Market entries, found 1')
+    chai.expect(() => Matrix.of([[1, 2], [3, 4]]).toMatrixMarket({ symmetry: 'symmetric' })).to.throw('The Matrix is not symmetric')
+    chai.expect(() => Matrix.of([[1]]).toMatrixMarket({ field: 'pattern' })).to.throw('The Matrix Market array format does not support the pattern field')
+    chai.expect(() => Matrix.of([[1.5]]).toMatrixMarket({ field: 'integer' })).to.throw('The value 1.5 cannot be written as a Matrix Market integer value')
+    chai.expect(() => Matrix.SparseMatrix.of([[0, 2.5]]).toMatrixMarket({ format: 'coordinate', field: 'integer' })).to.throw('The value 2.5 cannot be written')
+    chai.expect(Matrix.of([[2]]).toMatrixMarket({ field: 'integer' })).to.equal('%%MatrixMarket matrix array integer general\n1 1\n2\n')
+  })
+})
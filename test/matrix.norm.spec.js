@@ -0,0 +1,57 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+describe('Matrix norms', function () {
+  const A = Matrix.of([[1, -2], [3, 4]])
+
+  it('calculates the Frobenius, 1 and Infinity norms', function () {
+    chai.expect(A.norm()).to.be.closeTo(Math.sqrt(30), 1e-12)
+    chai.expect(A.norm('fro')).to.be.closeTo(Math.sqrt(30), 1e-12)
+    chai.expect(A.norm(1)).to.equal(6)
+    chai.expect(A.norm(Infinity)).to.equal(7)
+  })
+
+  it('calculates the spectral and nuclear norms', function () {
+    const s = [Math.sqrt(15 + Math.sqrt(125)), Math.sqrt(15 - Math.sqrt(125))]
+    chai.expect(A.norm(2)).to.be.closeTo(s[0], 1e-12)
+    chai.expect(A.norm('nuc')).to.be.closeTo(s[0] + s[1], 1e-12)
+    chai.expect(Matrix.of([[1, 2, 3]]).norm(2)).to.be.closeTo(Math.sqrt(14), 1e-12)
+    chai.expect(Matrix.zeros(2, 3).norm(2)).to.equal(0)
+  })
+
+  it('does not overflow or underflow', function () {
+    const B = Matrix.of([[3e200, 0], [0, -4e200]])
+    chai.expect(B.norm() / 5e200).to.be.closeTo(1, 1e-12)
+    chai.expect(B.norm(2)).to.be.closeTo(4e200, 1e188)
+    chai.expect(B.singularValues()[1]).to.be.closeTo(3e200, 1e188)
+    chai.expect(Matrix.of([[3e-200, 4e-200]]).norm(2) / 5e-200).to.be.closeTo(1, 1e-12)
+  })
+
+  it('throws for an unknown norm type', function () {
+    chai.expect(() => A.norm('max')).to.throw('Unknown norm type \'max\'')
+  })
+})
+
+describe('Condition number', function () {
+  it('calculates the condition number in the 2-norm', function () {
+    const A = Matrix.of([[1, 2], [3, 4]])
+    chai.expect(A.cond()).to.be.closeTo(A.norm(2) * A.inverse().norm(2), 1e-9)
+    chai.expect(Matrix.identity(3, 3).cond()).to.be.closeTo(1, 1e-15)
+    chai.expect(Matrix.of([[1, 0], [0, 1e-10]]).cond()).to.be.closeTo(1e10, 1)
+    chai.expect(Matrix.of([[1, 0], [0, 2], [0, 0]]).cond()).to.be.closeTo(2, 1e-15)
+  })
+
+  it('calculates the condition number in other norms', function () {
+    const A = Matrix.of([[1, 2], [3, 4]])
+    chai.expect(A.cond(1)).to.be.closeTo(21, 1e-12)
+    chai.expect(A.cond(Infinity)).to.be.closeTo(21, 1e-12)
+    chai.expect(A.cond('fro')).to.be.closeTo(15, 1e-12)
+    chai.expect(() => Matrix.of([[1, 2, 3]]).cond(1)).to.throw('square Matrix')
+  })
+
+  it('is Infinity for a singular Matrix', function () {
+    chai.expect(Matrix.of([[1, 2], [2, 4]]).cond()).to.equal(Infinity)
+    chai.expect(Matrix.of([[1, 2], [2, 4]]).cond(1)).to.equal(Infinity)
+    chai.expect(Matrix.zeros(2, 2).cond()).to.equal(Infinity)
+  })
+})
@@ -0,0 +1,65 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+const npyFile = (major, header, size, write) => {
+  const start = major === 1 ? 10 : 12
+  const bytes = new Uint8Array(start + header.length + 6 * size)
+  const view = new DataView(bytes.buffer)
+  '\x93NUMPY'.split('').forEach((c, k) => { bytes[k] = c.charCodeAt(0) })
+  bytes[6] = major
+  if (major === 1) view.setUint16(8, header.length, true)
+  else view.setUint32(8, header.length, true)
+  header.split('').forEach((c, k) => { bytes[start + k] = c.charCodeAt(0) })
+  ;[1, 4, 2, 5, 3, 6].forEach((x, k) => write(view, start + header.length + k * size, x))
+  return bytes
+}
+
+describe('NumPy .npy format', function () {
+  it('writes the .npy header like numpy.save', function () {
+    const bytes = Matrix.of([[1.5, 2], [3, -4]]).toNpy()
+    const header = '{\'descr\': \'<f8\', \'fortran_order\': False, \'shape\': (2, 2), }'
+    chai.expect(bytes.length).to.equal(128 + 4 * 8)
+    chai.expect(Array.from(bytes.subarray(0, 10))).to.eql([0x93, 78, 85, 77, 80, 89, 1, 0, 118, 0])
+    chai.expect(String.fromCharCode.apply(null, bytes.subarray(10, 128))).to.equal(header + ' '.repeat(127 - 10 - header.length) + '\n')
+    chai.expect(new DataView(bytes.buffer).getFloat64(128 + 24, true)).to.equal(-4)
+  })
+
+  it('reads big endian column-major values', function () {
+    const header = '{\'descr\': \'>f4\', \'fortran_order\': True, \'shape\': (2, 3), }\n'
+    const A = Matrix.fromNpy(npyFile(2, header, 4, (view, offset, x) => view.setFloat32(offset, x + 0.5, false)))
+    chai.expect(A.dtype).to.equal('float32')
+    chai.expect(A.toArray()).to.eql([[1.5, 2.5, 3.5], [4.5, 5.5, 6.5]])
+  })
+
+  it('reads int32 values as plain numbers', function () {
+    const header = '{"descr": "<i4", "fortran_order": False, "shape": (3, 2)}\n'
+    const A = Matrix.fromNpy(npyFile(1, header, 4, (view, offset, x) => view.setInt32(offset, -x, true)).buffer)
+    chai.expect(A.dtype).to.equal('array')
+    chai.expect(A.toArray()).to.eql([[-1, -4], [-2, -5], [-3, -6]])
+  })
+
+  it('round trips every dtype, order and byte order', function () {
+    const A = Matrix.of([[1, -2, 3], [4, 5, -6]])
+    ;['float64', 'float32', 'int32'].forEach(dtype => {
+      [true, false].forEach(fortranOrder => {
+        [true, false].forEach(littleEndian => {
+          const B = Matrix.fromNpy(A.toNpy({ dtype, fortranOrder, littleEndian }))
+          chai.expect(B.toArray()).to.eql(A.toArray())
+        })
+      })
+    })
+    const F = Matrix.of([[0.1, 1e-300]], { dtype: 'float32' })
+    chai.expect(Matrix.fromNpy(F.toNpy()).toArray()).to.eql(F.toArray())
+  })
+
+  it('throws for unsupported input', function () {
+    chai.expect(() => Matrix.fromNpy(new Uint8Array(16))).to.throw('The buffer does not start with the .npy magic string')
+    const complex = '{\'descr\': \'<c16\', \'fortran_order\': False, \'shape\': (2, 3), }\n'
+    chai.expect(() => Matrix.fromNpy(npyFile(1, complex, 16, () => {}))).to.throw('Unsupported .npy dtype \'<c16\', use float64, float32 or int32')
+    const vector = '{\'descr\': \'<f8\', \'fortran_order\': False, \'shape\': (6,), }\n'
+    chai.expect(() => Matrix.fromNpy(npyFile(1, vector, 8, () => {}))).to.throw('Only 2-D .npy arrays can be read, got shape (6)')
+    chai.expect(() => Matrix.fromNpy(Matrix.of([[1, 2]]).toNpy().subarray(0, 130))).to.throw('The .npy data is truncated, expected 2 values')
+    chai.expect(() => Matrix.of([[1.5]]).toNpy({ dtype: 'int32' })).to.throw('The value 1.5 cannot be written as int32')
+    chai.expect(() => Matrix.of([[1]]).toNpy({ dtype: 'uint8' })).to.throw('Unsupported .npy dtype \'uint8\'')
+  })
+})
@@ -0,0 +1,56 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+describe('Covariance, correlation and PCA', function () {
+  const X = Matrix.of([[2, 0, 1], [0, 1, 3], [4, 1, 0], [1, 5, 2]])
+
+  it('calculates the covariance with ddof', function () {
+    chai.expect(Matrix.of([[1, 2], [2, 4], [3, 6]]).cov().toArray()).to.eql([[1, 2], [2, 4]])
+    chai.expect(Matrix.of([[1, 2], [3, 6]]).cov(0).toArray()).to.eql([[1, 2], [2, 4]])
+    const C = X.cov()
+    chai.expect(C.isSymmetric()).to.equal(true)
+    chai.expect(C.toArray()[0][0]).to.be.closeTo(X.variance(0, 1).toArray()[0][0], 1e-12)
+  })
+
+  it('calculates the correlation coefficients', function () {
+    chai.expect(Matrix.of([[1, 3], [2, 2], [3, 1]]).corrcoef().toArray()).to.eql([[1, -1], [-1, 1]])
+    const R = X.corrcoef().toArray()
+    chai.expect(R[0][0]).to.equal(1)
+    chai.expect(R[0][1]).to.be.closeTo(-1.0833333333333333 / Math.sqrt(2.9166666666666665 * 4.916666666666666), 1e-12)
+    chai.expect(Matrix.of([[1, 5], [2, 5]]).corrcoef().toArray()[1][1]).to.be.NaN
+  })
+
+  it('standardizes the columns', function () {
+    chai.expect(Matrix.of([[1, 10], [3, 10]]).standardize().toArray()).to.eql([[-1, 0], [1, 0]])
+    const Z = X.standardize(1)
+    chai.expect(Z.mean(0).closeTo([[0, 0, 0]], { atol: 1e-12 })).to.equal(true)
+    chai.expect(Z.std(0, 1).closeTo([[1, 1, 1]])).to.equal(true)
+  })
+
+  it('returns the principal components, explained variance ratios and projected data', function () {
+    const [components, ratios, projected] = X.pca(2)
+    chai.expect(components.getShape()).to.eql([3, 2])
+    chai.expect(projected.getShape()).to.eql([4, 2])
+    chai.expect(ratios[0]).to.be.above(ratios[1])
+    const C = X.cov()
+    const trace = C.toArray().reduce((acc, row, i) => acc + row[i], 0)
+    ratios.forEach((ratio, j) => {
+      const v = Matrix.of(components.getColumn(j).map(x => [x]))
+      chai.expect(C.dot(v).closeTo(v.multiply(ratio * trace), { atol: 1e-10 })).to.equal(true)
+    })
+    chai.expect(X.pca()[1].reduce((acc, x) => acc + x, 0)).to.be.closeTo(1, 1e-12)
+    chai.expect(projected.closeTo(X.subtract(X.mean(0)).dot(components))).to.equal(true)
+  })
+
+  it('chooses deterministic signs for the components', function () {
+    const [components, ratios, projected] = Matrix.of([[1, 1], [2, 2], [3, 3]]).pca(1)
+    chai.expect(components.closeTo([[Math.SQRT1_2], [Math.SQRT1_2]])).to.equal(true)
+    chai.expect(ratios).to.eql([1])
+    chai.expect(projected.closeTo([[-Math.SQRT2], [0], [Math.SQRT2]], { atol: 1e-12 })).to.equal(true)
+  })
+
+  it('throws for an invalid number of components', function () {
+    chai.expect(() => X.pca(4)).to.throw('The number of components needs to be an integer between 1 and 3')
+    chai.expect(() => X.pca(0)).to.throw('between 1 and 3')
+  })
+})
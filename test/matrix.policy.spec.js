@@ -0,0 +1,63 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+describe('Numeric policy', function () {
+  it('calculates in full precision by default', function () {
+    const A = Matrix.of([[12345.6, 1], [0, 1]])
+    chai.expect(A.policy).to.deep.equal({ rounding: 'none' })
+    const [[a, b]] = A.dot(A).toArray()
+    chai.expect(a).to.equal(12345.6 * 12345.6)
+    chai.expect(b).to.equal(12346.6)
+  })
+
+  it('rounds the results of dot, inverse, rref and determinant to decimals', function () {
+    const A = Matrix.of([[1.23456, 2], [2, 3]], { policy: { rounding: 'decimals', digits: 2 } })
+    const D = A.dot(A)
+    chai.expect(D.toArray()).to.deep.equal([[5.52, 8.47], [8.47, 13]])
+    chai.expect(D.policy).to.deep.equal({ rounding: 'decimals', digits: 2 })
+    chai.expect(A.inverse().toArray()).to.deep.equal([[-10.12, 6.75], [6.75, -4.17]])
+    chai.expect(A.determinant()).to.equal(-0.3)
+    chai.expect(Matrix.of([[1, 2, 3], [2, 3, 4]], { policy: { rounding: 'decimals', digits: 1 } }).rref().toArray()).to.deep.equal([[1, 0, -1], [0, 1, 2]])
+  })
+
+  it('rounds to significant digits with setPrecision', function () {
+    const A = Matrix.of([[1 / 3, 0, 0], [0, 1, 0], [0, 0, 7]]).setPrecision(3)
+    chai.expect(A.policy).to.deep.equal({ rounding: 'significant', digits: 3 })
+    chai.expect(A.determinant()).to.equal(2.33)
+    chai.expect(A.inverse().toArray()).to.deep.equal([[3, 0, 0], [0, 1, 0], [0, 0, 0.143]])
+  })
+
+  it('keeps the deprecated precision property as an accessor of the policy', function () {
+    const A = Matrix.of([[1 / 3, 2]])
+    chai.expect(A.precision).to.equal(undefined)
+    A.precision = 2
+    chai.expect(A.policy).to.deep.equal({ rounding: 'significant', digits: 2 })
+    chai.expect(A.precision).to.equal(2)
+    chai.expect(Matrix.of([[1]]).precision).to.equal(undefined)
+    chai.expect(Matrix.of([[1]], { policy: { rounding: 'decimals', digits: 3 } }).precision).to.equal(3)
+  })
+
+  it('is carried through clone and keeps typed storage', function () {
+    const policy = { rounding: 'decimals', digits: 3 }
+    const T = Matrix.of([[1 / 3, 1]], { dtype: 'float64', policy })
+    chai.expect(T.clone().policy).to.deep.equal(policy)
+    chai.expect(T.clone().dtype).to.equal('float64')
+    const D = T.dot([[1], [1]])
+    chai.expect(D.dtype).to.equal('float64')
+    chai.expect(D.toArray()).to.deep.equal([[1.333]])
+  })
+
+  it('does not change the policy of the Matrix it is created from', function () {
+    const A = Matrix.of([[1.25]])
+    const B = Matrix.of(A, { policy: { rounding: 'decimals', digits: 1 } })
+    chai.expect(A.policy).to.deep.equal({ rounding: 'none' })
+    chai.expect(B.applyPolicy().toArray()).to.deep.equal([[1.3]])
+    chai.expect(A.applyPolicy()).to.equal(A)
+  })
+
+  it('throws for an invalid policy', function () {
+    chai.expect(() => Matrix.of([[1]]).setPolicy({ rounding: 'up' })).to.throw('Unknown rounding')
+    chai.expect(() => Matrix.of([[1]]).setPolicy({ rounding: 'significant', digits: 0 })).to.throw('integer between 1 and 100')
+    chai.expect(() => Matrix.of([[1]]).setPolicy({ rounding: 'decimals' })).to.throw('integer between 0 and 100')
+  })
+})
@@ -0,0 +1,80 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+const expectClose = (actual, expected, delta = 1e-9) => {
+  chai.expect(actual.length).to.equal(expected.length)
+  actual.forEach((x, idx) => chai.expect(x).to.be.closeTo(expected[idx], delta))
+}
+
+const product = (A, B) => A.__value.map(row => B.getRow(0).map((x, j) => row.reduce((acc, a, k) => acc + a * B.__value[k][j], 0)))
+
+describe('QR decomposition', function () {
+  it('returns the thin decomposition by default', function () {
+    const A = Matrix.of([[3, 0], [4, 5], [0, 4]])
+    const [Q, R] = A.qr()
+    chai.expect(Q.getShape()).to.deep.equal([3, 2])
+    chai.expect(R.getShape()).to.deep.equal([2, 2])
+    expectClose(Matrix.flatten(product(Q, R)), A.flatten())
+    chai.expect(R.__value[1][0]).to.equal(0)
+  })
+
+  it('returns the full decomposition with an orthogonal Q', function () {
+    const A = Matrix.of([[1, 2], [3, 4], [5, 6]])
+    const [Q, R] = A.qr('full')
+    chai.expect(Q.getShape()).to.deep.equal([3, 3])
+    chai.expect(R.getShape()).to.deep.equal([3, 2])
+    expectClose(Matrix.flatten(product(Q, R)), A.flatten())
+    expectClose(Matrix.flatten(product(Q.transpose(), Q)), Matrix.identity(3, 3).flatten())
+    expectClose([R.__value[1][0], R.__value[2][0], R.__value[2][1]], [0, 0, 0])
+  })
+
+  it('decomposes a wide Matrix', function () {
+    const A = Matrix.of([[1, 2, 3], [4, 5, 6]])
+    const [Q, R] = A.qr()
+    chai.expect(Q.getShape()).to.deep.equal([2, 2])
+    chai.expect(R.getShape()).to.deep.equal([2, 3])
+    expectClose(Matrix.flatten(product(Q, R)), A.flatten())
+  })
+
+  it('throws for an unknown mode', function () {
+    chai.expect(() => Matrix.of([[1]]).qr('economic')).to.throw()
+  })
+})
+
+describe('Least-squares solutions', function () {
+  it('solves an overdetermined system', function () {
+    const A = Matrix.of([[1, 0], [1, 1], [1, 2]])
+    const [x, residual, rank] = A.lstsq([1, 2, 2])
+    expectClose(x, [7 / 6, 0.5])
+    chai.expect(residual).to.be.closeTo(Math.sqrt(1 / 6), 1e-9)
+    chai.expect(rank).to.equal(2)
+  })
+
+  it('returns the exact solution of a square system', function () {
+    const A = Matrix.of([[0, 1], [1, 0]])
+    const [x, residual, rank] = A.lstsq([3, 4])
+    expectClose(x, [4, 3])
+    chai.expect(residual).to.be.closeTo(0, 1e-12)
+    chai.expect(rank).to.equal(2)
+  })
+
+  it('returns the minimum norm solution of an underdetermined system', function () {
+    const A = Matrix.of([[1, 1]])
+    const [x, residual, rank] = A.lstsq([2])
+    expectClose(x, [1, 1])
+    chai.expect(residual).to.be.closeTo(0, 1e-12)
+    chai.expect(rank).to.equal(1)
+  })
+
+  it('handles a rank deficient Matrix', function () {
+    const A = Matrix.of([[1, 2], [2, 4], [3, 6]])
+    const [x, residual, rank] = A.lstsq([1, 2, 3])
+    expectClose(x, [0.2, 0.4])
+    chai.expect(residual).to.be.closeTo(0, 1e-12)
+    chai.expect(rank).to.equal(1)
+  })
+
+  it('throws when the right hand side does not match', function () {
+    chai.expect(() => Matrix.of([[1, 2], [3, 4]]).lstsq([1])).to.throw()
+  })
+})
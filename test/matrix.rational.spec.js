@@ -0,0 +1,81 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+const Rational = Matrix.Rational
+const strings = M => M.toArray().map(row => row.map(String))
+
+describe('Rational numbers', function () {
+  it('are stored in lowest terms', function () {
+    const r = Rational.of(-6, 4)
+    chai.expect(r.type).to.equal('Rational')
+    chai.expect(r.toString()).to.equal('-3/2')
+    chai.expect(Rational.of(3, -1).toString()).to.equal('-3')
+    chai.expect(() => Rational.of(1, 0)).to.throw('cannot be zero')
+    chai.expect(() => Rational.of(0.5)).to.throw('need to be integers')
+  })
+
+  it('supports the arithmetic operations', function () {
+    const a = Rational.of(1, 3)
+    const b = Rational.of(1, 6)
+    chai.expect(a.add(b).toString()).to.equal('1/2')
+    chai.expect(a.subtract(b).toString()).to.equal('1/6')
+    chai.expect(a.multiply(b).toString()).to.equal('1/18')
+    chai.expect(a.divide(b).toString()).to.equal('2')
+    chai.expect(a.add(1).toString()).to.equal('4/3')
+    chai.expect(a.negate().abs().equals(a)).to.be.true
+    chai.expect(a.subtract(a).isZero()).to.be.true
+    chai.expect(Rational.of(4, 2).equals(2)).to.be.true
+    chai.expect(a < b).to.be.false
+    chai.expect(() => a.divide(0)).to.throw('by zero')
+  })
+
+  it('converts numbers and strings exactly', function () {
+    chai.expect(String(Rational.from(0.1))).to.equal('1/10')
+    chai.expect(String(Rational.from(-2.5e-3))).to.equal('-1/400')
+    chai.expect(String(Rational.from('0.75'))).to.equal('3/4')
+    chai.expect(String(Rational.from(' 2 / 6 '))).to.equal('1/3')
+    chai.expect(() => Rational.from(NaN)).to.throw('Cannot convert')
+    chai.expect(JSON.stringify([Rational.of(1, 2)])).to.equal('["1/2"]')
+  })
+})
+
+describe('Rational Matrix', function () {
+  const hilbert = n => Matrix.of(Array.from(Array(n), (x, i) => Array.from(Array(n), (y, j) => '1/' + (i + j + 1))), { dtype: 'rational' })
+
+  it('is created with the rational dtype', function () {
+    const A = Matrix.of([[1, 0.5], ['1/3', 2]], { dtype: 'rational' })
+    chai.expect(A.dtype).to.equal('rational')
+    chai.expect(strings(A)).to.deep.equal([['1', '1/2'], ['1/3', '2']])
+    chai.expect(A.add(1).dtype).to.equal('rational')
+    chai.expect(strings(A.add(1))).to.deep.equal([['2', '3/2'], ['4/3', '3']])
+    chai.expect(strings(A.dot(A))).to.deep.equal([['7/6', '3/2'], ['1', '25/6']])
+  })
+
+  it('calculates the exact inverse and determinant', function () {
+    const H = hilbert(4)
+    const inverse = H.inverse()
+    chai.expect(inverse.dtype).to.equal('rational')
+    chai.expect(strings(inverse)).to.deep.equal([
+      ['16', '-120', '240', '-140'],
+      ['-120', '1200', '-2700', '1680'],
+      ['240', '-2700', '6480', '-4200'],
+      ['-140', '1680', '-4200', '2800']
+    ])
+    chai.expect(H.dot(inverse).equals(Matrix.of(Matrix.identity(4, 4), { dtype: 'rational' }))).to.be.true
+    chai.expect(H.determinant().toString()).to.equal('1/6048000')
+  })
+
+  it('calculates the exact rref, lu, rank and solution', function () {
+    const H = hilbert(3)
+    const [L, U] = H.lu()
+    chai.expect(strings(L)).to.deep.equal([['1', '0', '0'], ['1/2', '1', '0'], ['1/3', '1', '1']])
+    chai.expect(strings(U)).to.deep.equal([['1', '1/2', '1/3'], ['0', '1/12', '1/12'], ['0', '0', '1/180']])
+    chai.expect(H.solve([1, 2, 3]).map(String)).to.deep.equal(['27', '-192', '210'])
+
+    const S = Matrix.of([[1, 2, 3], [2, 4, 6], ['1/2', 1, 2]], { dtype: 'rational' })
+    chai.expect(S.rank()).to.equal(2)
+    chai.expect(strings(S.rref())).to.deep.equal([['1', '2', '0'], ['0', '0', '1'], ['0', '0', '0']])
+    chai.expect(S.determinant().isZero()).to.be.true
+    chai.expect(() => S.inverse()).to.throw('singular')
+  })
+})
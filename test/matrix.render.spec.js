@@ -0,0 +1,51 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+describe('Rendering', function () {
+  const A = Matrix.of([[1.5, -2], [3, 10]])
+  const B = Matrix.of(Array.from(Array(12), (row, i) => Array.from(Array(12), (x, j) => i * 12 + j)))
+
+  it('renders aligned text', function () {
+    chai.expect(A.toString()).to.equal('[[1.5, -2],\n [  3, 10]]')
+    chai.expect(String(Matrix.of([[1, 2]]))).to.equal('[[1, 2]]')
+    chai.expect(Matrix.of([]).toString()).to.equal('[]')
+    chai.expect(Matrix.of([[Matrix.Complex.of(1, 2), 2]]).toString()).to.equal('[[1 + 2i, 2]]')
+  })
+
+  it('truncates large matrices with an ellipsis', function () {
+    chai.expect(B.toString({ edgeItems: 1 })).to.equal('[[  0, ...,  11],\n ...,\n [132, ..., 143]]')
+    chai.expect(B.toString({ maxRows: 20, maxCols: 2, edgeItems: 1 }).split('\n')).to.have.length(12)
+    chai.expect(B.toString({ maxRows: 12, maxCols: 12 })).not.to.contain('...')
+  })
+
+  it('shows at most half of the maximum at both sides of an ellipsis', function () {
+    const C = Matrix.of(Array.from(Array(5), (x, i) => Array.from(Array(5), (y, j) => 5 * i + j)))
+    chai.expect(C.toString({ maxRows: 4, maxCols: 4, edgeItems: 3 })).to.equal('[[ 0,  1, ...,  3,  4],\n [ 5,  6, ...,  8,  9],\n ...,\n [15, 16, ..., 18, 19],\n [20, 21, ..., 23, 24]]')
+  })
+
+  it('respects the numeric policy and formatters', function () {
+    chai.expect(Matrix.of([[1.23456, 2]]).setPrecision(3).toString()).to.equal('[[1.23, 2]]')
+    chai.expect(A.toString({ decimals: 2 })).to.equal('[[1.50, -2.00],\n [3.00, 10.00]]')
+    chai.expect(A.toString({ format: x => x.toExponential(1) })).to.equal('[[1.5e+0, -2.0e+0],\n [3.0e+0,  1.0e+1]]')
+  })
+
+  it('renders Markdown tables', function () {
+    chai.expect(A.toMarkdown({ header: ['x', 'y|z'] })).to.equal('|   x | y\\|z |\n| --: | ---: |\n| 1.5 |   -2 |\n|   3 |   10 |')
+    chai.expect(A.toMarkdown()).to.equal('|   0 |  1 |\n| --: | -: |\n| 1.5 | -2 |\n|   3 | 10 |')
+    chai.expect(Matrix.fromCSV('a,b\n1,2\n', { header: true }).toMarkdown()).to.equal('|  a |  b |\n| -: | -: |\n|  1 |  2 |')
+    chai.expect(B.toMarkdown({ edgeItems: 1 }).split('\n')).to.eql([
+      '|   0 | ... |  11 |',
+      '| --: | --: | --: |',
+      '|   0 | ... |  11 |',
+      '| ... | ... | ... |',
+      '| 132 | ... | 143 |'
+    ])
+    chai.expect(() => A.toMarkdown({ header: ['x'] })).to.throw('The header has 1 labels, the Matrix has 2 columns')
+  })
+
+  it('renders LaTeX', function () {
+    chai.expect(Matrix.of([[1, 2], [3, 4]]).toLatex()).to.equal('\\begin{bmatrix}\n1 & 2 \\\\\n3 & 4\n\\end{bmatrix}')
+    chai.expect(Matrix.of([[1, 2]]).toLatex({ env: 'pmatrix' })).to.equal('\\begin{pmatrix}\n1 & 2\n\\end{pmatrix}')
+    chai.expect(B.toLatex({ edgeItems: 1 })).to.equal('\\begin{bmatrix}\n0 & \\cdots & 11 \\\\\n\\vdots & \\ddots & \\vdots \\\\\n132 & \\cdots & 143\n\\end{bmatrix}')
+  })
+})
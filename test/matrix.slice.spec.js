@@ -0,0 +1,83 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+const A = Matrix.of([[1, 2, 3], [4, 5, 6], [7, 8, 9]])
+
+describe('Matrix slice and pick', function () {
+  it('slices with ranges, negative indices and steps', function () {
+    chai.expect(A.slice([0, 2], [1]).toArray()).to.deep.equal([[2, 3], [5, 6]])
+    chai.expect(A.slice([null, null, -1], -1).toArray()).to.deep.equal([[9], [6], [3]])
+    chai.expect(A.slice([-2], [null, null, 2]).toArray()).to.deep.equal([[4, 6], [7, 9]])
+    chai.expect(A.slice([-1, -4, -1], [-5, 10]).toArray()).to.deep.equal([[7, 8, 9], [4, 5, 6], [1, 2, 3]])
+    chai.expect(A.slice(1).toArray()).to.deep.equal([[4, 5, 6]])
+    chai.expect(() => A.slice([0, 2, 0])).to.throw('non-zero integer')
+    chai.expect(() => A.slice(3)).to.throw('out of bounds')
+  })
+
+  it('picks rows and columns in the given order', function () {
+    chai.expect(A.pick([2, 0], [-1, 0]).toArray()).to.deep.equal([[9, 7], [3, 1]])
+    chai.expect(A.pick([1, 1]).toArray()).to.deep.equal([[4, 5, 6], [4, 5, 6]])
+    chai.expect(A.pick(undefined, [1]).toArray()).to.deep.equal([[2], [5], [8]])
+    chai.expect(() => A.pick([0], [3])).to.throw('Index 3 is out of bounds')
+  })
+
+  it('keeps the dtype', function () {
+    const T = Matrix.of(A, { dtype: 'float32' })
+    chai.expect(T.slice([1]).dtype).to.equal('float32')
+    chai.expect(T.pick([0], [0]).toArray()).to.deep.equal([[1]])
+  })
+
+  it('returns an empty Matrix for an empty range', function () {
+    chai.expect(A.slice([1, 1]).getShape()).to.deep.equal([0, 0])
+    chai.expect(A.slice(undefined, [1, 1]).getShape()).to.deep.equal([3, 0])
+  })
+
+  it('has curried static counterparts', function () {
+    chai.expect(Matrix.slice([1], [1])(A).toArray()).to.deep.equal([[5, 6], [8, 9]])
+    chai.expect(Matrix.pick([0])([0, 2])(A).toArray()).to.deep.equal([[1, 3]])
+  })
+})
+
+describe('Matrix immutable assignment', function () {
+  it('sets a value', function () {
+    chai.expect(A.set(0, -1, 30).toArray()).to.deep.equal([[1, 2, 30], [4, 5, 6], [7, 8, 9]])
+    chai.expect(A.toArray()[0]).to.deep.equal([1, 2, 3])
+    chai.expect(() => A.set(3, 0, 1)).to.throw('out of bounds')
+  })
+
+  it('sets a row and a column', function () {
+    chai.expect(A.setRow(-1, [0, 0, 0]).toArray()).to.deep.equal([[1, 2, 3], [4, 5, 6], [0, 0, 0]])
+    chai.expect(A.setColumn(1, [0, 0, 0]).toArray()).to.deep.equal([[1, 0, 3], [4, 0, 6], [7, 0, 9]])
+    chai.expect(() => A.setRow(0, [1])).to.throw('The row has 1 values, the Matrix has 3 columns')
+    chai.expect(() => A.setColumn(0, [1, 2])).to.throw('The column has 2 values, the Matrix has 3 rows')
+  })
+
+  it('sets a block', function () {
+    chai.expect(Matrix.zeros(3, 3).setBlock(1, 1, [[1, 2], [3, 4]]).toArray()).to.deep.equal([[0, 0, 0], [0, 1, 2], [0, 3, 4]])
+    chai.expect(A.setBlock(0, 0, Matrix.of([[0]])).toArray()[0]).to.deep.equal([0, 2, 3])
+    chai.expect(() => A.setBlock(2, 2, [[1, 2]])).to.throw('The 1x2 block at (2, 2) does not fit in the 3x3 Matrix')
+  })
+
+  it('keeps the dtype and the policy', function () {
+    const T = Matrix.of(A, { dtype: 'float64', policy: { rounding: 'decimals', digits: 1 } })
+    const S = T.set(0, 0, 0.5)
+    chai.expect(S.dtype).to.equal('float64')
+    chai.expect(S.policy).to.deep.equal({ rounding: 'decimals', digits: 1 })
+    chai.expect(S.getRow(0)).to.deep.equal([0.5, 2, 3])
+  })
+
+  it('stores values that do not fit in a typed Matrix in an array Matrix', function () {
+    const i = Matrix.Complex.of(0, 1)
+    const S = Matrix.of([[1, 2]], { dtype: 'float64' }).set(0, 0, i)
+    chai.expect(S.dtype).to.equal('array')
+    chai.expect(S.getRow(0)[0].equals(i)).to.equal(true)
+    chai.expect(S.getRow(0)[1]).to.equal(2)
+  })
+
+  it('has curried static counterparts', function () {
+    chai.expect(Matrix.set(1, 1, 0)(A).getRow(1)).to.deep.equal([4, 0, 6])
+    chai.expect(Matrix.setRow(0)([0, 0, 0])(A).getRow(0)).to.deep.equal([0, 0, 0])
+    chai.expect(Matrix.setColumn(0, [0, 0, 0], A).getColumn(0)).to.deep.equal([0, 0, 0])
+    chai.expect(Matrix.setBlock(0)(0)([[9]])(A).getRow(0)).to.deep.equal([9, 2, 3])
+  })
+})
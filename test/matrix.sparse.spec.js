@@ -0,0 +1,83 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+const SparseMatrix = Matrix.SparseMatrix
+
+describe('SparseMatrix construction', function () {
+  it('builds CSR storage from COO entries', function () {
+    const S = SparseMatrix.fromCOO(3, 4, [2, 0, 1, 0, 2], [1, 3, 0, 3, 3], [5, 1, 2, 3, 0])
+    chai.expect(S.type).to.equal('SparseMatrix')
+    chai.expect(S.values).to.deep.equal([4, 2, 5])
+    chai.expect(S.colIndices).to.deep.equal([3, 0, 1])
+    chai.expect(S.rowPointers).to.deep.equal([0, 1, 2, 3])
+    chai.expect(S.getShape()).to.deep.equal([3, 4])
+    chai.expect(S.nnz()).to.equal(3)
+    chai.expect(S.toArray()).to.deep.equal([[0, 0, 0, 4], [2, 0, 0, 0], [0, 5, 0, 0]])
+  })
+
+  it('throws for entries outside of the Matrix', function () {
+    chai.expect(() => SparseMatrix.fromCOO(2, 2, [2], [0], [1])).to.throw('outside')
+    chai.expect(() => SparseMatrix.fromCOO(2, 2, [0, 1], [0], [1])).to.throw('length')
+    chai.expect(() => SparseMatrix.fromCOO(2, 2, [0.5], [0], [1])).to.throw('The COO entry (0.5, 0) needs integer indices')
+    chai.expect(() => SparseMatrix.fromCOO(2, 2, [0, 1], [1, '1'], [1, 2])).to.throw('The COO entry (1, 1) needs integer indices')
+  })
+
+  it('converts to and from a dense Matrix', function () {
+    const a = [[1, 0, 0], [0, 0, 2], [0, 3, 0]]
+    const S = Matrix.of(a).toSparse()
+    chai.expect(S.nnz()).to.equal(3)
+    chai.expect(S.toMatrix().__value).to.deep.equal(a)
+    chai.expect(SparseMatrix.of(a).rowPointers).to.deep.equal([0, 1, 2, 3])
+    chai.expect(Matrix.of(S).__value).to.deep.equal(a)
+  })
+})
+
+describe('SparseMatrix operations', function () {
+  const a = [[1, 0, 2], [0, 0, 3], [4, 5, 0]]
+  const b = [[0, 1, -2], [0, 0, 0], [6, 0, 1]]
+  const A = SparseMatrix.of(a)
+  const B = SparseMatrix.of(b)
+
+  it('adds', function () {
+    const C = A.add(B)
+    chai.expect(C.type).to.equal('SparseMatrix')
+    chai.expect(C.toArray()).to.deep.equal([[1, 1, 0], [0, 0, 3], [10, 5, 1]])
+    chai.expect(C.nnz()).to.equal(6)
+    chai.expect(A.add(Matrix.of(b)).__value).to.deep.equal(Matrix.of(a).add(Matrix.of(b)).__value)
+    chai.expect(Matrix.of(b).add(A).__value).to.deep.equal(C.toArray())
+    chai.expect(A.add(1).__value).to.deep.equal([[2, 1, 3], [1, 1, 4], [5, 6, 1]])
+  })
+
+  it('multiplies elementwise', function () {
+    chai.expect(A.multiply(B).toArray()).to.deep.equal([[0, 0, -4], [0, 0, 0], [24, 0, 0]])
+    chai.expect(A.multiply(Matrix.of(b)).toArray()).to.deep.equal([[0, 0, -4], [0, 0, 0], [24, 0, 0]])
+    chai.expect(A.multiply(2).toArray()).to.deep.equal([[2, 0, 4], [0, 0, 6], [8, 10, 0]])
+    chai.expect(A.multiply(0).nnz()).to.equal(0)
+    chai.expect(() => A.multiply(SparseMatrix.of([[1]]))).to.throw('do not match')
+  })
+
+  it('calculates the dot product', function () {
+    const expected = [[12, 1, 0], [18, 0, 3], [0, 4, -8]]
+    const C = A.dot(B)
+    chai.expect(C.type).to.equal('SparseMatrix')
+    chai.expect(C.toArray()).to.deep.equal(expected)
+    chai.expect(A.dot(Matrix.of(b)).__value).to.deep.equal(expected)
+    chai.expect(SparseMatrix.dot(A, b).__value).to.deep.equal(expected)
+    chai.expect(Matrix.of(a).dot(B).__value).to.deep.equal(expected)
+    chai.expect(A.dot(Matrix.of([[1], [1], [1]])).__value).to.deep.equal([[3], [3], [9]])
+    chai.expect(() => A.dot(SparseMatrix.of([[1, 2]]))).to.throw('do not match')
+  })
+
+  it('transposes', function () {
+    const T = SparseMatrix.of([[1, 0, 2], [0, 0, 3]]).transpose()
+    chai.expect(T.getShape()).to.deep.equal([3, 2])
+    chai.expect(T.toArray()).to.deep.equal([[1, 0], [0, 0], [2, 3]])
+    chai.expect(T.rowPointers).to.deep.equal([0, 1, 1, 3])
+  })
+
+  it('returns rows, columns and the sum', function () {
+    chai.expect(A.getRow(2)).to.deep.equal([4, 5, 0])
+    chai.expect(A.getColumn(2)).to.deep.equal([2, 3, 0])
+    chai.expect(A.sum()).to.equal(Matrix.sum(a))
+  })
+})
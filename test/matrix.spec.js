@@ -1,5 +1,5 @@
 import chai from 'chai'
-import Matrix from '../lib/@astuanax/funmatrix'
+import Matrix from '../src/matrix'
 
 describe('create a Matrix', function () {
   it('it returns type Matrix', function () {
@@ -349,8 +349,9 @@ describe('Matrix decomposition', function () {
   it('LU', function () {
     const result = [[3, -7, -2, 2], [-3, 5, 1, 0], [6, -4, 0, -5], [-9, 5, -5, 12]]
     const A = Matrix.fromArray(result)
-    const lu = A.lu()
-    chai.expect(Matrix.dot(lu[0], lu[1])).to.deep.equal(A)
+    const [L, U, P] = A.lu()
+    const PA = Matrix.dot(P, A).flatten()
+    Matrix.dot(L, U).flatten().forEach((x, idx) => chai.expect(x).to.be.closeTo(PA[idx], 1e-3))
   })
 
   it('rref', function () {
@@ -0,0 +1,96 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+describe('Statistical reductions', function () {
+  const X = Matrix.of([[1, 2], [3, 6]])
+
+  it('reduces all values without an axis', function () {
+    chai.expect(X.sum()).to.equal(12)
+    chai.expect(X.prod()).to.equal(36)
+    chai.expect(X.mean()).to.equal(3)
+    chai.expect(X.median()).to.equal(2.5)
+    chai.expect(X.max()).to.equal(6)
+    chai.expect(X.min()).to.equal(1)
+  })
+
+  it('reduces the columns with axis 0 and the rows with axis 1', function () {
+    chai.expect(X.sum(0).toArray()).to.eql([[4, 8]])
+    chai.expect(X.sum(1).toArray()).to.eql([[3], [9]])
+    chai.expect(X.mean(0).toArray()).to.eql([[2, 4]])
+    chai.expect(X.median(1).toArray()).to.eql([[1.5], [4.5]])
+    chai.expect(X.prod(0).toArray()).to.eql([[3, 12]])
+    chai.expect(X.max(1).toArray()).to.eql([[2], [6]])
+    chai.expect(X.min(0).toArray()).to.eql([[1, 2]])
+    chai.expect(X.aggregate(values => values.length, 1).toArray()).to.eql([[2], [2]])
+  })
+
+  it('calculates the variance and standard deviation with ddof', function () {
+    chai.expect(X.variance(0).toArray()).to.eql([[1, 4]])
+    chai.expect(X.variance(0, 1).toArray()).to.eql([[2, 8]])
+    chai.expect(X.std(0).toArray()).to.eql([[1, 2]])
+    chai.expect(X.variance()).to.equal(3.5)
+    chai.expect(Matrix.of([[1, 2]]).variance(0, 1).toArray()).to.satisfy(([row]) => row.every(Number.isNaN))
+  })
+
+  it('calculates cumulative sums', function () {
+    chai.expect(X.cumsum(0).toArray()).to.eql([[1, 2], [4, 8]])
+    chai.expect(X.cumsum(1).toArray()).to.eql([[1, 3], [3, 9]])
+    chai.expect(X.cumsum().toArray()).to.eql([[1, 3, 6, 12]])
+  })
+
+  it('returns the positions of the extremes', function () {
+    const A = Matrix.of([[4, 2, 4], [1, 3, 5]])
+    chai.expect(A.argmax()).to.eql([1, 2])
+    chai.expect(A.argmin()).to.eql([1, 0])
+    chai.expect(A.argmax(0).toArray()).to.eql([[0, 1, 1]])
+    chai.expect(A.argmax(1).toArray()).to.eql([[0], [2]])
+    chai.expect(A.argmin(1).toArray()).to.eql([[1], [0]])
+  })
+
+  it('propagates NaN and skips it in the nan variants', function () {
+    const A = Matrix.of([[1, NaN], [3, 4]])
+    chai.expect(A.sum()).to.be.NaN
+    chai.expect(A.max()).to.be.NaN
+    chai.expect(A.argmax()).to.eql([0, 1])
+    chai.expect(A.nansum()).to.equal(8)
+    chai.expect(A.nanmean(1).toArray()).to.eql([[1], [3.5]])
+    chai.expect(A.nanmedian(0).toArray()).to.eql([[2, 4]])
+    chai.expect(A.nanprod()).to.equal(12)
+    chai.expect(A.nanvariance(0).toArray()).to.eql([[1, 0]])
+    chai.expect(A.nanstd(1).toArray()).to.eql([[0], [0.5]])
+    chai.expect(A.nanmax(0).toArray()).to.eql([[3, 4]])
+    chai.expect(A.nanmin()).to.equal(1)
+    chai.expect(A.nanargmax()).to.eql([1, 1])
+    chai.expect(A.nanargmin(1).toArray()).to.eql([[0], [0]])
+    chai.expect(A.nancumsum(1).toArray()).to.eql([[1, 1], [3, 7]])
+    chai.expect(Matrix.of([[NaN]]).nanargmax()).to.eql([-1, -1])
+  })
+
+  it('keeps the element type of complex values', function () {
+    const { Complex } = Matrix
+    const C = Matrix.of([[Complex.of(1, 1), Complex.of(2, -1)]])
+    chai.expect(C.sum().toString()).to.equal('3')
+    chai.expect(C.sum(0).toArray()[0][1].toString()).to.equal('2 - 1i')
+  })
+
+  it('calculates the mean and variance of complex values and fractions', function () {
+    const { Complex } = Matrix
+    const C = Matrix.of([[Complex.of(1, 1), 2], [3, Complex.of(0, 2)]])
+    chai.expect(C.mean().toString()).to.equal('1.5 + 0.75i')
+    chai.expect(C.variance()).to.be.closeTo(1.9375, 1e-12)
+    chai.expect(C.std()).to.be.closeTo(Math.sqrt(1.9375), 1e-12)
+    const R = Matrix.of([['1/2', '1/3'], ['1', '2']], { dtype: 'rational' })
+    chai.expect(R.mean().toString()).to.equal('23/24')
+    chai.expect(R.variance().toString()).to.equal('27/64')
+  })
+
+  it('returns an empty row for the column reductions of an empty Matrix', function () {
+    chai.expect(Matrix.of([]).sum(0).toArray()).to.eql([[]])
+    chai.expect(Matrix.of([]).mean(1).toArray()).to.eql([])
+  })
+
+  it('throws for an unknown axis', function () {
+    chai.expect(() => X.sum(2)).to.throw('Unknown axis 2, use 0 for the columns or 1 for the rows')
+    chai.expect(() => X.cumsum(-1)).to.throw('Unknown axis -1')
+  })
+})
@@ -0,0 +1,89 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+const expectClose = (actual, expected, delta = 1e-9) => {
+  chai.expect(actual.length).to.equal(expected.length)
+  actual.forEach((x, idx) => chai.expect(x).to.be.closeTo(expected[idx], delta))
+}
+
+const product = (A, B) => A.map(row => B[0].map((x, j) => row.reduce((acc, a, k) => acc + a * B[k][j], 0)))
+const transpose = A => A[0].map((x, j) => A.map(row => row[j]))
+
+describe('Singular value decomposition', function () {
+  it('decomposes a tall Matrix', function () {
+    const a = [[1, 2], [3, 4], [5, 6]]
+    const [U, s, V] = Matrix.of(a).svd()
+    chai.expect(U.getShape()).to.deep.equal([3, 2])
+    chai.expect(V.getShape()).to.deep.equal([2, 2])
+    expectClose(s, [9.525518091565107, 0.514300580658644])
+    const USV = product(U.__value.map(row => row.map((x, j) => x * s[j])), transpose(V.__value))
+    expectClose(Matrix.flatten(USV), Matrix.flatten(a))
+    expectClose(Matrix.flatten(product(transpose(U.__value), U.__value)), [1, 0, 0, 1])
+  })
+
+  it('decomposes a wide and rank deficient Matrix', function () {
+    const a = [[1, 2, 3], [2, 4, 6]]
+    const [U, s, V] = Matrix.of(a).svd()
+    chai.expect(U.getShape()).to.deep.equal([2, 2])
+    chai.expect(V.getShape()).to.deep.equal([3, 2])
+    expectClose(s, [Math.sqrt(70), 0])
+    expectClose(Matrix.flatten(product(transpose(U.__value), U.__value)), [1, 0, 0, 1])
+    const USV = product(U.__value.map(row => row.map((x, j) => x * s[j])), transpose(V.__value))
+    expectClose(Matrix.flatten(USV), Matrix.flatten(a))
+  })
+
+  it('returns a numerically sound rank', function () {
+    chai.expect(Matrix.of([[1, 2], [2, 4]]).rank()).to.equal(1)
+    chai.expect(Matrix.of([[1, 2, 3], [4, 5, 6], [7, 8, 9]]).rank()).to.equal(2)
+    chai.expect(Matrix.of([[1, 0], [0, 1], [1, 1]]).rank()).to.equal(2)
+    chai.expect(Matrix.zeros(2, 3).rank()).to.equal(0)
+  })
+})
+
+describe('Pseudoinverse', function () {
+  it('equals the inverse of a regular Matrix', function () {
+    expectClose(Matrix.of([[1, 1], [2, 4]]).pinv().flatten(), [2, -0.5, -1, 0.5])
+  })
+
+  it('inverts a singular Matrix', function () {
+    expectClose(Matrix.of([[1, 2], [2, 4]]).pinv().flatten(), [0.04, 0.08, 0.08, 0.16])
+  })
+
+  it('satisfies the Moore-Penrose conditions for a rectangular Matrix', function () {
+    const a = [[1, 2], [3, 4], [5, 6]]
+    const p = Matrix.of(a).pinv().__value
+    chai.expect([p.length, p[0].length]).to.deep.equal([2, 3])
+    expectClose(Matrix.flatten(product(product(a, p), a)), Matrix.flatten(a))
+    expectClose(Matrix.flatten(product(product(p, a), p)), Matrix.flatten(p))
+  })
+})
+
+describe('Low rank approximation', function () {
+  it('keeps the largest singular values', function () {
+    expectClose(Matrix.of([[3, 0], [0, 1]]).lowRank(1).flatten(), [3, 0, 0, 0])
+    const a = [[1, 2], [3, 4], [5, 6]]
+    expectClose(Matrix.of(a).lowRank(2).flatten(), Matrix.flatten(a))
+    chai.expect(Matrix.of(a).lowRank(1).rank()).to.equal(1)
+    expectClose(Matrix.of(a).lowRank(0).flatten(), [0, 0, 0, 0, 0, 0])
+  })
+
+  it('throws for a rank that is not an integer between 0 and the smallest dimension', function () {
+    const A = Matrix.of([[1, 2], [3, 4], [5, 6]])
+    chai.expect(() => A.lowRank(-1)).to.throw('The rank needs to be an integer between 0 and 2')
+    chai.expect(() => A.lowRank(3)).to.throw('The rank needs to be an integer between 0 and 2')
+    chai.expect(() => A.lowRank(1.5)).to.throw('The rank needs to be an integer between 0 and 2')
+  })
+})
+
+describe('Inverse of invalid input', function () {
+  it('throws for a singular or non square Matrix', function () {
+    chai.expect(() => Matrix.of([[1, 2], [2, 4]]).inverse()).to.throw('singular')
+    chai.expect(() => Matrix.of([[1, 2, 3], [4, 5, 6]]).inverse()).to.throw('square')
+    chai.expect(() => Matrix.of([[1, 2, 3], [4, 5, 6], [7, 8, 9]]).inverse()).to.throw('Matrix is singular, cannot create inverse')
+  })
+
+  it('pivots to invert a Matrix with a zero in the top left corner', function () {
+    const inv = Matrix.of([[1e-20, 1], [1, 1]]).inverse()
+    expectClose(inv.flatten(), [-1, 1, 1, 0])
+  })
+})
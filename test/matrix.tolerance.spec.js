@@ -0,0 +1,77 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+describe('Tolerance-aware equality', function () {
+  const A = Matrix.of([[1, 2], [3, 4]])
+
+  it('equals is exact without options', function () {
+    chai.expect(A.equals([[1, 2], [3, 4 + 1e-12]])).to.be.false
+    chai.expect(A.equals([[1, 2], [3, 4 + 1e-12]], {})).to.be.true
+    chai.expect(A.equals([[1, 2], [3, 4.001]], { atol: 1e-2 })).to.be.true
+  })
+
+  it('closeTo compares relative to the magnitude of the Matrices', function () {
+    chai.expect(A.closeTo([[1, 2], [3, 4 + 1e-9]])).to.be.true
+    chai.expect(A.closeTo([[1, 2], [3, 4 + 1e-6]])).to.be.false
+    chai.expect(Matrix.of([[1e10, 1]]).closeTo([[1e10, 1.5]])).to.be.true
+    chai.expect(Matrix.of([[1e10, 1]]).closeTo([[1e10, 1.5]], { rtol: 0 })).to.be.false
+    chai.expect(A.closeTo([[1, 2], [3, 4.5]], { rtol: 0.2 })).to.be.true
+    chai.expect(A.closeTo([[1, 2], [3, NaN]])).to.be.false
+  })
+
+  it('matrices of different shapes are not close', function () {
+    chai.expect(Matrix.of([[1, 2]]).closeTo([[1, 2, 3]])).to.be.false
+    chai.expect(Matrix.of([[1, 2]]).closeTo([[1], [2]])).to.be.false
+  })
+})
+
+describe('Structural predicates', function () {
+  it('isSymmetric and isOrthogonal accept a tolerance', function () {
+    const S = Matrix.of([[1, 0.5], [0.5 + 1e-12, 1]])
+    chai.expect(S.isSymmetric()).to.be.true
+    chai.expect(S.isSymmetric({ rtol: 0 })).to.be.false
+    chai.expect(Matrix.of([[1, 2, 3]]).isSymmetric()).to.be.false
+
+    const Q = Matrix.of([[0.6, -0.8 + 1e-12], [0.8, 0.6]])
+    chai.expect(Q.isOrthogonal()).to.be.true
+    chai.expect(Matrix.of([[1, 1], [0, 1]]).isOrthogonal()).to.be.false
+    chai.expect(Matrix.of([[0.6, -0.8001], [0.8, 0.6]]).isOrthogonal()).to.be.false
+    chai.expect(Matrix.of([[1, 0, 0], [0, 1, 0]]).isOrthogonal()).to.be.false
+  })
+
+  it('isDiagonal, isUpperTriangular and isLowerTriangular', function () {
+    const U = Matrix.of([[1, 2, 3], [1e-17, 4, 5], [0, 0, 6]])
+    chai.expect(U.isUpperTriangular()).to.be.true
+    chai.expect(U.isUpperTriangular({ rtol: 0 })).to.be.false
+    chai.expect(U.isLowerTriangular()).to.be.false
+    chai.expect(U.transpose().isLowerTriangular()).to.be.true
+    chai.expect(U.isDiagonal()).to.be.false
+    chai.expect(Matrix.of([[2, 0], [1e-20, 3]]).isDiagonal()).to.be.true
+    chai.expect(Matrix.of([[1, 2, 3], [0, 4, 5]]).isUpperTriangular()).to.be.true
+  })
+
+  it('isIdentity', function () {
+    chai.expect(Matrix.of([[1, 1e-17], [0, 1 - 1e-16]]).isIdentity()).to.be.true
+    chai.expect(Matrix.of([[1, 0], [0, 2]]).isIdentity()).to.be.false
+    chai.expect(Matrix.of([[1, 0, 0], [0, 1, 0]]).isIdentity()).to.be.false
+  })
+
+  it('isPositiveDefinite', function () {
+    chai.expect(Matrix.of([[2, -1], [-1, 2]]).isPositiveDefinite()).to.be.true
+    chai.expect(Matrix.of([[1, 1], [1, 1]]).isPositiveDefinite()).to.be.false
+    chai.expect(Matrix.of([[1, 1], [1, 1 + 1e-12]]).isPositiveDefinite()).to.be.false
+    chai.expect(Matrix.of([[1, 1], [1, 1 + 1e-12]]).isPositiveDefinite({ rtol: 0 })).to.be.true
+    chai.expect(Matrix.of([[1, 2], [2, 1]]).isPositiveDefinite()).to.be.false
+    chai.expect(Matrix.of([[2, 1], [0, 2]]).isPositiveDefinite()).to.be.false
+  })
+
+  it('isSingular', function () {
+    const A = Matrix.of([[1, 2], [2, 4.0000000001]])
+    chai.expect(A.isSingular()).to.be.false
+    chai.expect(A.isSingular({ rtol: 1e-8 })).to.be.true
+    chai.expect(Matrix.of([[1, 2], [2, 4]]).isSingular()).to.be.true
+    chai.expect(Matrix.of([[1, 2], [3, 4]]).isSingular()).to.be.false
+    chai.expect(Matrix.of([['1/2', '1/3'], ['1', '2/3']], { dtype: 'rational' }).isSingular()).to.be.true
+    chai.expect(() => Matrix.of([[1, 2]]).isSingular()).to.throw('square Matrix')
+  })
+})
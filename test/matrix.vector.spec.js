@@ -0,0 +1,72 @@
+import chai from 'chai'
+import Matrix from '../src/matrix'
+
+const Vector = Matrix.Vector
+
+describe('Vector', function () {
+  it('is created with an orientation', function () {
+    const v = Vector.of([1, 2, 3])
+    chai.expect(v.type).to.equal('Vector')
+    chai.expect(v.orientation).to.equal('column')
+    chai.expect(v.size()).to.equal(3)
+    chai.expect(v.toMatrix().toArray()).to.deep.equal([[1], [2], [3]])
+    chai.expect(v.transpose().toMatrix().toArray()).to.deep.equal([[1, 2, 3]])
+    chai.expect(Vector.fromMatrix([[1, 2]]).orientation).to.equal('row')
+    chai.expect(() => Vector.of([1], 'diagonal')).to.throw('Unknown orientation')
+    chai.expect(() => Vector.fromMatrix([[1, 2], [3, 4]])).to.throw('A 2x2 Matrix is not a Vector')
+  })
+
+  it('calculates p-norms without overflow', function () {
+    const v = Vector.of([3, -4])
+    chai.expect(v.norm()).to.equal(5)
+    chai.expect(v.norm(1)).to.equal(7)
+    chai.expect(v.norm(Infinity)).to.equal(4)
+    chai.expect(v.norm(3)).to.be.closeTo(Math.cbrt(91), 1e-12)
+    chai.expect(Vector.of([3e200, 4e200]).norm()).to.be.closeTo(5e200, 1e188)
+    chai.expect(Vector.of([3e-200, 4e-200]).norm()).to.be.closeTo(5e-200, 1e-212)
+    chai.expect(Vector.of([0, 0]).norm()).to.equal(0)
+    chai.expect(() => v.norm(0)).to.throw('positive number')
+  })
+
+  it('normalizes', function () {
+    chai.expect(Vector.of([3, 4]).normalize().toArray()).to.deep.equal([0.6, 0.8])
+    chai.expect(Vector.of([1, -3], 'row').normalize(1).toArray()).to.deep.equal([0.25, -0.75])
+    chai.expect(() => Vector.of([0, 0]).normalize()).to.throw('zero Vector')
+  })
+
+  it('calculates the inner, outer and cross products', function () {
+    const v = Vector.of([1, 2, 3])
+    chai.expect(v.inner([4, 5, 6])).to.equal(32)
+    chai.expect(v.inner(Vector.of([4, 5, 6], 'row'))).to.equal(32)
+    chai.expect(() => v.inner([1])).to.throw('Vectors of length 3 and 1 do not match')
+    chai.expect(Vector.of([1, 2]).outer([3, 4, 5]).toArray()).to.deep.equal([[3, 4, 5], [6, 8, 10]])
+    chai.expect(Vector.of([1, 0, 0]).cross([0, 1, 0]).toArray()).to.deep.equal([0, 0, 1])
+    chai.expect(v.cross(v).toArray()).to.deep.equal([0, 0, 0])
+    chai.expect(() => Vector.of([1, 2]).cross([3, 4])).to.throw('length 3')
+  })
+
+  it('calculates angles and projections', function () {
+    chai.expect(Vector.of([1, 0]).angleTo([0, 2])).to.be.closeTo(Math.PI / 2, 1e-15)
+    chai.expect(Vector.of([1, 1]).angleTo([-2, -2])).to.be.closeTo(Math.PI, 1e-7)
+    chai.expect(Vector.of([1e200, 0]).angleTo([1e200, 1e200])).to.be.closeTo(Math.PI / 4, 1e-15)
+    chai.expect(() => Vector.of([0, 0]).angleTo([1, 0])).to.throw('zero Vector')
+    const p = Vector.of([2, 3], 'row').projectOnto([1, 1])
+    chai.expect(p.toArray()).to.deep.equal([2.5, 2.5])
+    chai.expect(p.orientation).to.equal('row')
+    chai.expect(() => p.projectOnto([0, 0])).to.throw('zero Vector')
+  })
+
+  it('interoperates with the Matrix dot product', function () {
+    const A = Matrix.of([[0, 1], [1, 0]])
+    const v = Vector.of([3, 4])
+    const Av = A.dot(v)
+    chai.expect(Av).to.be.an.instanceof(Vector)
+    chai.expect(Av.orientation).to.equal('column')
+    chai.expect(Av.toArray()).to.deep.equal([4, 3])
+    chai.expect(v.transpose().dot(A).toArray()).to.deep.equal([4, 3])
+    chai.expect(v.dot(v.transpose()).toArray()).to.deep.equal([[9, 12], [12, 16]])
+    chai.expect(Matrix.of(v).getShape()).to.deep.equal([2, 1])
+    chai.expect(A.getRowVector(1).toArray()).to.deep.equal([1, 0])
+    chai.expect(A.getColumnVector(1).orientation).to.equal('column')
+  })
+})